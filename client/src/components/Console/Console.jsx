@@ -1,8 +1,19 @@
-import { useEffect, useRef, useMemo } from 'react'
+import { useEffect, useRef, useMemo, useState } from 'react'
 import './Console.css'
 
-function Console({ logs, isOpen, onToggle, errors = [] }) {
+const SEVERITY_ICONS = { error: '●', warning: '▲', info: 'ℹ' }
+
+function Console({ logs, isOpen, onToggle, errors = [], onJumpTo, isCompiling = false, progress = null, onClearCache }) {
     const contentRef = useRef(null)
+    const [activeTab, setActiveTab] = useState('log') // 'log' | 'problems'
+    const [showBadBoxes, setShowBadBoxes] = useState(false)
+
+    // Open the problems list after a build that reported errors
+    useEffect(() => {
+        if (!isCompiling && errors.some(e => (e.severity || e.type) === 'error')) {
+            setActiveTab('problems')
+        }
+    }, [errors, isCompiling])
 
     // Auto-scroll to first error or bottom when logs change
     useEffect(() => {
@@ -60,6 +71,53 @@ function Console({ logs, isOpen, onToggle, errors = [] }) {
         return { parsedLines: lines, errorCount: errCount, warningCount: warnCount }
     }, [logs])
 
+    // Structured entries from the server log parser, when available
+    const problems = useMemo(() => {
+        const visible = showBadBoxes ? errors : errors.filter(e => e.category !== 'badbox')
+        return {
+            visible,
+            errors: errors.filter(e => (e.severity || e.type) === 'error').length,
+            warnings: errors.filter(e => (e.severity || e.type) === 'warning').length,
+            badBoxes: errors.filter(e => e.category === 'badbox').length
+        }
+    }, [errors, showBadBoxes])
+
+    const shownErrorCount = errors.length > 0 ? problems.errors : errorCount
+    const shownWarningCount = errors.length > 0 ? problems.warnings : warningCount
+
+    const renderProblems = () => {
+        if (problems.visible.length === 0) {
+            return (
+                <div className="console__empty">
+                    <p>No problems reported.</p>
+                    {problems.badBoxes > 0 && (
+                        <p className="text-muted">{problems.badBoxes} overfull/underfull box{problems.badBoxes > 1 ? 'es' : ''} hidden.</p>
+                    )}
+                </div>
+            )
+        }
+
+        return problems.visible.map((entry, i) => {
+            const severity = entry.severity || entry.type || 'error'
+            const location = entry.file ? `${entry.file}${entry.line ? `:${entry.line}` : ''}` : ''
+            return (
+                <div
+                    key={i}
+                    className={`console__problem console__problem--${severity} ${entry.file && onJumpTo ? 'console__problem--link' : ''}`}
+                    onClick={() => entry.file && onJumpTo?.(entry)}
+                    title={entry.raw || entry.message}
+                >
+                    <span className="console__problem-icon">{SEVERITY_ICONS[severity] || SEVERITY_ICONS.error}</span>
+                    <span className="console__problem-message">
+                        {entry.message}
+                        {entry.hint && <span className="console__problem-hint">{entry.hint}</span>}
+                    </span>
+                    {location && <span className="console__problem-location">{location}</span>}
+                </div>
+            )
+        })
+    }
+
     return (
         <div className={`console ${isOpen ? 'console--open' : ''}`}>
             <div className="console__header">
@@ -69,18 +127,62 @@ function Console({ logs, isOpen, onToggle, errors = [] }) {
                         <line x1="12" y1="19" x2="20" y2="19" />
                     </svg>
                     Compilation Log
-                    {errorCount > 0 && (
+                    {shownErrorCount > 0 && (
                         <span className="console__badge console__badge--error">
-                            {errorCount} error{errorCount > 1 ? 's' : ''}
+                            {shownErrorCount} error{shownErrorCount > 1 ? 's' : ''}
                         </span>
                     )}
-                    {warningCount > 0 && (
+                    {shownWarningCount > 0 && (
                         <span className="console__badge console__badge--warning">
-                            {warningCount} warning{warningCount > 1 ? 's' : ''}
+                            {shownWarningCount} warning{shownWarningCount > 1 ? 's' : ''}
+                        </span>
+                    )}
+                    {isCompiling && progress && (
+                        <span className="console__progress" title={progress.file || ''}>
+                            {progress.pass && `Pass ${progress.pass} (${progress.tool})`}
+                            {progress.page > 0 && ` · page ${progress.page}`}
+                            {progress.file && ` · ${progress.file}`}
                         </span>
                     )}
                 </div>
+                <div className="console__tabs">
+                    <button
+                        className={`console__tab ${activeTab === 'log' ? 'console__tab--active' : ''}`}
+                        onClick={() => setActiveTab('log')}
+                    >
+                        Raw log
+                    </button>
+                    <button
+                        className={`console__tab ${activeTab === 'problems' ? 'console__tab--active' : ''}`}
+                        onClick={() => setActiveTab('problems')}
+                    >
+                        Problems{errors.length > 0 ? ` (${problems.visible.length})` : ''}
+                    </button>
+                </div>
                 <div className="console__actions">
+                    {activeTab === 'problems' && problems.badBoxes > 0 && (
+                        <label className="console__filter" title="Show overfull/underfull boxes">
+                            <input
+                                type="checkbox"
+                                checked={showBadBoxes}
+                                onChange={(e) => setShowBadBoxes(e.target.checked)}
+                            />
+                            Bad boxes
+                        </label>
+                    )}
+                    {onClearCache && (
+                        <button
+                            className="btn btn--icon btn--tiny"
+                            onClick={onClearCache}
+                            disabled={isCompiling}
+                            title="Clear cache and rebuild"
+                        >
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="1,4 1,10 7,10" />
+                                <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+                            </svg>
+                        </button>
+                    )}
                     <button
                         className="btn btn--icon btn--tiny"
                         onClick={() => {
@@ -103,7 +205,7 @@ function Console({ logs, isOpen, onToggle, errors = [] }) {
                 </div>
             </div>
             <div className="console__content" ref={contentRef}>
-                {parsedLines.length > 0 ? (
+                {activeTab === 'problems' ? renderProblems() : parsedLines.length > 0 ? (
                     parsedLines.map((line) => (
                         <div key={line.index} className={`console__line ${line.className}`}>
                             {line.text || '\u00A0'}
@@ -11,6 +11,8 @@ import './Editor.css'
  * @param {string} props.code - Initial code content
  * @param {Function} props.onChange - Callback when content changes
  * @param {Function} props.onCompile - Callback for compile action (Ctrl+S)
+ * @param {Function} props.onSyncTeX - Callback for jumping to the PDF (Ctrl+click, Ctrl+Alt+J), gets (line, column)
+ * @param {Function} props.onCopyImage - Callback for copying math as an image (Ctrl+Alt+C), gets the math selection or null
  * @param {string} props.activeFile - Currently active file path
  * @param {Array} props.errors - Array of error objects with line numbers
  * @param {Object} props.jumpToLine - Jump to line configuration
@@ -26,6 +28,8 @@ function Editor({
     code,
     onChange,
     onCompile,
+    onSyncTeX,
+    onCopyImage,
     activeFile,
     errors = [],
     jumpToLine,
@@ -42,6 +46,8 @@ function Editor({
         code,
         onChange,
         onCompile,
+        onSyncTeX,
+        onCopyImage,
         activeFile,
         errors,
         jumpToLine,
@@ -55,7 +61,7 @@ function Editor({
 
     return (
         <div className="editor-panel">
-            <EditorHeader displayName={displayName} readOnly={readOnly} />
+            <EditorHeader displayName={displayName} readOnly={readOnly} canCopyImage={!!onCopyImage} />
             {yDoc && !isSynced && (
                 <div className="editor-loading-overlay">
                     <div className="loading-spinner"></div>
@@ -1,7 +1,7 @@
 /**
  * EditorHeader - Tab bar and shortcuts display for the editor
  */
-function EditorHeader({ displayName, readOnly }) {
+function EditorHeader({ displayName, readOnly, canCopyImage }) {
     return (
         <div className="editor-panel__header">
             <div className="editor-panel__tabs">
@@ -14,13 +14,16 @@ function EditorHeader({ displayName, readOnly }) {
                 </button>
                 {readOnly && <span className="read-only-badge">Read Only</span>}
             </div>
-            {!readOnly && (
-                <div className="editor-panel__shortcuts">
-                    <span className="shortcut-hint" title="Bold">Ctrl+B</span>
-                    <span className="shortcut-hint" title="Italic">Ctrl+I</span>
-                    <span className="shortcut-hint" title="Save & Compile">Ctrl+S</span>
-                </div>
-            )}
+            <div className="editor-panel__shortcuts">
+                {!readOnly && (
+                    <>
+                        <span className="shortcut-hint" title="Bold">Ctrl+B</span>
+                        <span className="shortcut-hint" title="Italic">Ctrl+I</span>
+                        <span className="shortcut-hint" title="Save & Compile">Ctrl+S</span>
+                    </>
+                )}
+                {canCopyImage && <span className="shortcut-hint" title="Copy math as image">Ctrl+Alt+C</span>}
+            </div>
         </div>
     )
 }
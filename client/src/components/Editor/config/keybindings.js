@@ -2,13 +2,16 @@ import { keymap } from '@codemirror/view'
 import { indentWithTab, insertTab } from '@codemirror/commands'
 import { completionStatus, acceptCompletion, startCompletion } from '@codemirror/autocomplete'
 import { wrapSelection } from '../utils/wrapSelection'
+import { getMathSelection } from '../utils/mathSelection'
 
 /**
  * Create editor keybindings with callback refs for compile action
  * @param {React.MutableRefObject} onCompileRef - Ref to the onCompile callback
+ * @param {React.MutableRefObject} onSyncTeXRef - Ref to the forward SyncTeX callback (line, column)
+ * @param {React.MutableRefObject} onCopyImageRef - Ref to the "copy as image" callback (see getMathSelection)
  * @returns {Extension} CodeMirror keymap extension
  */
-export function createKeybindings(onCompileRef) {
+export function createKeybindings(onCompileRef, onSyncTeXRef, onCopyImageRef) {
     return keymap.of([
         {
             key: 'Tab',
@@ -37,5 +40,26 @@ export function createKeybindings(onCompileRef) {
             key: 'Ctrl-Enter',
             run: () => { onCompileRef.current?.(); return true }
         },
+        {
+            // Jump to the cursor's location in the PDF
+            key: 'Ctrl-Alt-j',
+            run: (view) => {
+                if (!onSyncTeXRef?.current) return false
+                const pos = view.state.selection.main.head
+                const line = view.state.doc.lineAt(pos)
+                onSyncTeXRef.current(line.number, pos - line.from)
+                return true
+            }
+        },
+        {
+            // Copy the selected formula (or the one under the cursor) as a rendered image
+            key: 'Ctrl-Alt-c',
+            preventDefault: true,
+            run: (view) => {
+                if (!onCopyImageRef?.current) return false
+                onCopyImageRef.current(getMathSelection(view.state))
+                return true
+            }
+        },
     ])
 }
@@ -98,11 +98,32 @@ const mathSnippets = [
     { label: '\\[', info: 'Display Math (LaTeX)', apply: '\\[\n\t${1}\n\\]' },
 ]
 
+// Packages installed on the server (GET /api/compile/packages), offered inside \usepackage{}
+let installedPackages = []
+
+export function setInstalledPackages(packages) {
+    installedPackages = packages || []
+}
+
 /**
  * LaTeX autocomplete function for CodeMirror
  */
 export function latexCompletions(context) {
     const word = context.matchBefore(/(\\[\w]*|\$\$?|\\\[)/)
+    const packageMatch = context.matchBefore(/\\(?:usepackage|RequirePackage)(?:\[[^\]]*\])?\{[\w.,\s-]*/)
+
+    if (packageMatch && installedPackages.length > 0) {
+        // Complete the last name of a comma list
+        const prefix = packageMatch.text.match(/[\w.-]*$/)[0]
+        return {
+            from: packageMatch.to - prefix.length,
+            options: installedPackages
+                .filter(name => name.startsWith(prefix))
+                .map(name => ({ label: name, type: 'namespace', info: 'Installed package' })),
+            validFor: /^[\w.-]*$/
+        }
+    }
+
     const envMatch = context.matchBefore(/\\begin\{[\w]*/)
     const endEnvMatch = context.matchBefore(/\\end\{[\w]*/)
 
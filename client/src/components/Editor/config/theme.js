@@ -72,6 +72,15 @@ export const createEditorTheme = () => EditorView.theme({
         paddingLeft: '4px',
         display: 'block',
     },
+    '.cm-line-warning': {
+        backgroundColor: 'rgba(245, 158, 11, 0.08)',
+    },
+    '.cm-warning-gutter-marker': {
+        color: 'var(--warning)',
+        fontSize: '10px',
+        paddingLeft: '4px',
+        display: 'block',
+    },
     '.cm-ySelectionInfo': {
         fontFamily: 'Inter, sans-serif',
         fontSize: '10px',
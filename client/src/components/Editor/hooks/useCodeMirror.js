@@ -13,7 +13,7 @@ import { latexHighlightStyle, createEditorTheme } from '../config/theme'
 import { createKeybindings } from '../config/keybindings'
 
 // Utils imports
-import { errorField, errorGutter, setErrors, errorMark, errorGutterMarker } from '../utils/errorDecorations'
+import { errorField, errorGutter, setErrors, errorMark, errorGutterMarker, warningMark, warningGutterMarker } from '../utils/errorDecorations'
 
 /**
  * Professional Overleaf-style Editor Hook
@@ -28,6 +28,8 @@ export function useCodeMirror({
     code,
     onChange,
     onCompile,
+    onSyncTeX,
+    onCopyImage,
     activeFile,
     errors = [],
     jumpToLine,
@@ -40,6 +42,8 @@ export function useCodeMirror({
     const viewRef = useRef(null)
     const onChangeRef = useRef(onChange)
     const onCompileRef = useRef(onCompile)
+    const onSyncTeXRef = useRef(onSyncTeX)
+    const onCopyImageRef = useRef(onCopyImage)
     const isInternalChange = useRef(false)
     const lastJumpRef = useRef(null)
 
@@ -47,11 +51,13 @@ export function useCodeMirror({
     useEffect(() => {
         onChangeRef.current = onChange
         onCompileRef.current = onCompile
-    }, [onChange, onCompile])
+        onSyncTeXRef.current = onSyncTeX
+        onCopyImageRef.current = onCopyImage
+    }, [onChange, onCompile, onSyncTeX, onCopyImage])
 
     // Memoize theme
     const editorTheme = useMemo(() => createEditorTheme(), [])
-    const keybindings = useMemo(() => createKeybindings(onCompileRef), [])
+    const keybindings = useMemo(() => createKeybindings(onCompileRef, onSyncTeXRef, onCopyImageRef), [])
 
     // Initialize CodeMirror
     useEffect(() => {
@@ -79,6 +85,18 @@ export function useCodeMirror({
                     onChangeRef.current?.(update.state.doc.toString())
                 }
             }),
+            // Ctrl/Cmd-click jumps to the clicked line in the PDF
+            EditorView.domEventHandlers({
+                mousedown: (event, view) => {
+                    if (!(event.ctrlKey || event.metaKey) || event.button !== 0 || !onSyncTeXRef.current) return false
+                    const pos = view.posAtCoords({ x: event.clientX, y: event.clientY })
+                    if (pos === null) return false
+                    const line = view.state.doc.lineAt(pos)
+                    event.preventDefault()
+                    onSyncTeXRef.current(line.number, pos - line.from)
+                    return true
+                }
+            }),
             errorField,
             errorGutter,
             EditorState.readOnly.of(readOnly),
@@ -145,15 +163,21 @@ export function useCodeMirror({
     // Error and Jump functionality handled as normal
     useEffect(() => {
         if (!viewRef.current || !activeFile) return
-        // ... (Error handling logic unchanged)
+        // Errors and warnings get gutter markers; info entries (bad boxes) only show in the console
         const activeErrors = errors.filter(e => e.file === activeFile || e.file === activeFile.split('/').pop())
         const deco = []
-        for (const err of activeErrors) {
+        const markedLines = new Set()
+        const bySeverity = [...activeErrors].sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1))
+        for (const err of bySeverity) {
+            const isError = (err.severity || err.type) === 'error'
+            if (!isError && (err.severity || err.type) !== 'warning') continue
+            if (markedLines.has(err.line)) continue
             if (err.line >= 1 && err.line <= viewRef.current.state.doc.lines) {
                 try {
                     const line = viewRef.current.state.doc.line(err.line)
-                    deco.push(errorMark.range(line.from))
-                    deco.push(errorGutterMarker.range(line.from))
+                    deco.push((isError ? errorMark : warningMark).range(line.from))
+                    deco.push((isError ? errorGutterMarker : warningGutterMarker).range(line.from))
+                    markedLines.add(err.line)
                 } catch (e) { }
             }
         }
@@ -6,13 +6,14 @@ export { default as Editor } from './Editor'
 export { default as EditorHeader } from './EditorHeader'
 
 // Config
-export { latexCommands, latexEnvironments, latexCompletions } from './config/latexCommands'
+export { latexCommands, latexEnvironments, latexCompletions, setInstalledPackages } from './config/latexCommands'
 export { latexHighlightStyle, createEditorTheme, USER_COLORS } from './config/theme'
 export { createKeybindings } from './config/keybindings'
 
 // Utils
 export { wrapSelection } from './utils/wrapSelection'
-export { errorMark, errorGutterMarker, setErrors, errorField, errorGutter } from './utils/errorDecorations'
+export { getMathSelection } from './utils/mathSelection'
+export { errorMark, errorGutterMarker, warningMark, warningGutterMarker, setErrors, errorField, errorGutter } from './utils/errorDecorations'
 
 // Hooks
 export { useCodeMirror } from './hooks/useCodeMirror'
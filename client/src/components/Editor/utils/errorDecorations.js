@@ -9,6 +9,13 @@ export const errorMark = Decoration.line({
     attributes: { class: 'cm-line-error' }
 })
 
+/**
+ * Line decoration for warning highlighting
+ */
+export const warningMark = Decoration.line({
+    attributes: { class: 'cm-line-warning' }
+})
+
 /**
  * Gutter marker for error lines
  */
@@ -22,6 +29,19 @@ export const errorGutterMarker = new class extends GutterMarker {
     }
 }
 
+/**
+ * Gutter marker for warning lines
+ */
+export const warningGutterMarker = new class extends GutterMarker {
+    toDOM() {
+        const span = document.createElement('span')
+        span.className = 'cm-warning-gutter-marker'
+        span.innerHTML = '▲'
+        span.title = 'LaTeX Warning'
+        return span
+    }
+}
+
 /**
  * State effect for setting error decorations
  */
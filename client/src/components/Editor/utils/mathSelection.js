@@ -0,0 +1,83 @@
+// Delimiters whose content is rendered as display-style math
+const MATH_DELIMITERS = [['$$', '$$'], ['\\[', '\\]'], ['\\(', '\\)'], ['$', '$']]
+
+// Numbered environments are rendered in their starred form: a lone equation has no number
+const NUMBERED_ENVIRONMENTS = /\\(begin|end)\{(equation|align|gather|multline|flalign|alignat)\}/g
+
+// Preamble lines a fragment may depend on: macro definitions and math packages
+const MACRO_LINE = /^\s*\\(newcommand|renewcommand|providecommand|DeclareMathOperator|DeclarePairedDelimiter|def|let)\b/
+const MATH_PACKAGES = new Set(['amsmath', 'amssymb', 'amsfonts', 'amsthm', 'mathtools', 'bm', 'mathrsfs', 'esint', 'stmaryrd', 'bbm', 'dsfont', 'cancel', 'physics', 'siunitx', 'xcolor', 'braket', 'tikz-cd'])
+
+function stripDelimiters(text) {
+    const trimmed = text.trim()
+    for (const [open, close] of MATH_DELIMITERS) {
+        if (trimmed.length > open.length + close.length && trimmed.startsWith(open) && trimmed.endsWith(close)) {
+            return trimmed.slice(open.length, -close.length)
+        }
+    }
+    return null
+}
+
+/**
+ * Inline or display math around the cursor, on the cursor's line
+ */
+function findMathAtCursor(state) {
+    const pos = state.selection.main.head
+    const line = state.doc.lineAt(pos)
+    const offset = pos - line.from
+    const pattern = /\$\$(.+?)\$\$|\\\[(.+?)\\\]|\\\((.+?)\\\)|(?<!\\)\$(.+?)(?<!\\)\$/g
+    for (const match of line.text.matchAll(pattern)) {
+        if (offset >= match.index && offset <= match.index + match[0].length) {
+            return match.slice(1).find(group => group !== undefined)
+        }
+    }
+    return null
+}
+
+/**
+ * Balanced-brace macro definitions and math package loads from the document's preamble
+ */
+function extractPreamble(source) {
+    const end = source.indexOf('\\begin{document}')
+    if (end === -1) return null
+
+    const lines = ['\\usepackage{amsmath,amssymb}']
+    for (const line of source.substring(0, end).split('\n')) {
+        const code = line.replace(/(^|[^\\])%.*$/, '$1')
+        const packages = code.match(/^\s*\\usepackage\s*(?:\[[^\]]*\])?\{([^}]*)\}/)
+        if (packages) {
+            const names = packages[1].split(',').map(name => name.trim())
+            if (names.every(name => MATH_PACKAGES.has(name))) lines.push(code.trim())
+        } else if (MACRO_LINE.test(code) && code.split('{').length === code.split('}').length) {
+            lines.push(code.trim())
+        }
+    }
+    return lines.join('\n')
+}
+
+/**
+ * What "copy as image" renders: the selected math, or the math formula under the cursor
+ * @param {EditorState} state - CodeMirror state
+ * @returns {Object|null} `{ source, fragment, mode, preamble }` for the render API
+ *   (`preamble` is null when the file has none), or null when there is no math to render
+ */
+export function getMathSelection(state) {
+    const { from, to } = state.selection.main
+    const selected = state.doc.sliceString(from, to)
+    const preamble = extractPreamble(state.doc.toString())
+
+    if (!selected.trim()) {
+        const math = findMathAtCursor(state)
+        return math ? { source: math, fragment: math, mode: 'math', preamble } : null
+    }
+
+    const inner = stripDelimiters(selected)
+    if (inner !== null) return { source: selected, fragment: inner, mode: 'math', preamble }
+
+    // Math environments are typeset as they are, anything else is taken as formula content
+    if (/^\s*\\begin\{/.test(selected)) {
+        const fragment = selected.replace(NUMBERED_ENVIRONMENTS, (match, edge, env) => `\\${edge}{${env}*}`)
+        return { source: selected, fragment, mode: 'raw', preamble }
+    }
+    return { source: selected, fragment: selected, mode: 'math', preamble }
+}
@@ -0,0 +1,172 @@
+import { useState, useEffect, useRef } from 'react'
+import './ExportMenu.css'
+
+const IMAGE_LABELS = {
+    embed: 'Include as they are',
+    convert: 'Convert PDF figures to PNG',
+    omit: 'Leave out'
+}
+
+/**
+ * Toolbar dropdown for exporting the main document to DOCX, HTML or EPUB
+ * @param {Array} formats - From GET /api/export/formats
+ * @param {string[]} cslFiles - Project .csl files offered as citation styles
+ * @param {Function} onExport - `(format, tool, options)`, returns a promise
+ * @param {Function} [onExportSubmission] - `({ flatten, stripComments })`, returns a promise
+ */
+function ExportMenu({ formats = [], cslFiles = [], onExport, onExportSubmission }) {
+    const [isOpen, setIsOpen] = useState(false)
+    const [format, setFormat] = useState('docx')
+    const [tool, setTool] = useState('')
+    const [citations, setCitations] = useState(true)
+    const [csl, setCsl] = useState('')
+    const [images, setImages] = useState('embed')
+    const [flatten, setFlatten] = useState(true)
+    const [stripComments, setStripComments] = useState(true)
+    const [isExporting, setIsExporting] = useState(false)
+    const containerRef = useRef(null)
+
+    // The chosen format, or the first one this server can produce
+    const current = formats.find(f => f.id === format && f.available) || formats.find(f => f.available)
+    const installedTools = (current?.tools || []).filter(t => t.available)
+    const activeTool = tool || installedTools[0]?.id
+
+    // Close when clicking outside
+    useEffect(() => {
+        if (!isOpen) return
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false)
+        }
+        document.addEventListener('mousedown', handleClick)
+        return () => document.removeEventListener('mousedown', handleClick)
+    }, [isOpen])
+
+    const handleFormatChange = (id) => {
+        setFormat(id)
+        setTool('')
+    }
+
+    const runExport = async (action) => {
+        setIsExporting(true)
+        try {
+            await action()
+            setIsOpen(false)
+        } finally {
+            setIsExporting(false)
+        }
+    }
+
+    const handleExport = () => runExport(() => onExport(current.id, activeTool, { citations, csl: csl || undefined, images }))
+    const handleExportSubmission = () => runExport(() => onExportSubmission({ flatten, stripComments }))
+
+    if (formats.length === 0 && !onExportSubmission) return null
+
+    return (
+        <div className="export-menu" ref={containerRef}>
+            <button
+                className="btn btn--secondary"
+                onClick={() => setIsOpen(!isOpen)}
+                title="Export to Word, HTML or EPUB, or as a submission bundle"
+            >
+                Export
+            </button>
+
+            {isOpen && (
+                <div className="export-menu__dropdown">
+                    {formats.length > 0 && (
+                        <>
+                            <div className="export-menu__formats">
+                                {formats.map(f => (
+                                    <label
+                                        key={f.id}
+                                        className={`export-menu__format ${f.available ? '' : 'export-menu__format--unavailable'}`}
+                                        title={f.available ? '' : `Needs ${f.tools.map(t => t.id).join(' or ')} on the server`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="export-format"
+                                            checked={current?.id === f.id}
+                                            disabled={!f.available}
+                                            onChange={() => handleFormatChange(f.id)}
+                                        />
+                                        {f.label}{f.available ? '' : ' (not installed)'}
+                                    </label>
+                                ))}
+                            </div>
+
+                            {installedTools.length > 1 && (
+                                <label className="export-menu__option">
+                                    Converter
+                                    <select value={activeTool} onChange={(e) => setTool(e.target.value)}>
+                                        {installedTools.map(t => <option key={t.id} value={t.id}>{t.id}</option>)}
+                                    </select>
+                                </label>
+                            )}
+
+                            {activeTool === 'pandoc' && (
+                                <>
+                                    <label className="export-menu__option export-menu__option--inline">
+                                        <input type="checkbox" checked={citations} onChange={(e) => setCitations(e.target.checked)} />
+                                        Format citations and bibliography
+                                    </label>
+                                    {citations && (
+                                        <label className="export-menu__option">
+                                            Bibliography style
+                                            <select value={csl} onChange={(e) => setCsl(e.target.value)}>
+                                                <option value="">Chicago author-date (default)</option>
+                                                {cslFiles.map(file => <option key={file} value={file}>{file}</option>)}
+                                            </select>
+                                        </label>
+                                    )}
+                                </>
+                            )}
+
+                            <label className="export-menu__option">
+                                Images
+                                <select value={images} onChange={(e) => setImages(e.target.value)}>
+                                    {Object.entries(IMAGE_LABELS).map(([mode, label]) => (
+                                        <option key={mode} value={mode} disabled={mode === 'convert' && !current?.convertImages}>
+                                            {label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+
+                            <button
+                                className="btn btn--primary export-menu__submit"
+                                onClick={handleExport}
+                                disabled={isExporting || !current?.available}
+                            >
+                                {isExporting ? 'Exporting...' : `Download ${current?.label || ''}`}
+                            </button>
+                        </>
+                    )}
+
+                    {onExportSubmission && (
+                        <div className="export-menu__section">
+                            <div className="export-menu__heading">For submission (arXiv, journals)</div>
+                            <label className="export-menu__option export-menu__option--inline">
+                                <input type="checkbox" checked={flatten} onChange={(e) => setFlatten(e.target.checked)} />
+                                Inline \input and \include
+                            </label>
+                            <label className="export-menu__option export-menu__option--inline">
+                                <input type="checkbox" checked={stripComments} onChange={(e) => setStripComments(e.target.checked)} />
+                                Remove % comments
+                            </label>
+                            <button
+                                className="btn btn--secondary export-menu__submit"
+                                onClick={handleExportSubmission}
+                                disabled={isExporting}
+                                title="Only the files the last build read, with the generated .bbl and a manifest"
+                            >
+                                Download submission .zip
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ExportMenu
@@ -4,7 +4,7 @@ import { useConfirm } from '../ConfirmDialog/ConfirmDialog'
 import JSZip from 'jszip'
 import './FileTree.css'
 
-function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDeleteFile, onRenameFile, onUploadFile, onDuplicateFile, onStorageUpdate }) {
+function FileTree({ projectId, files, activeFile, rootFile = 'main.tex', onFileSelect, onAddFile, onDeleteFile, onRenameFile, onUploadFile, onDuplicateFile, onSetRootFile, onStorageUpdate }) {
     const toast = useToast()
     const { confirm } = useConfirm()
 
@@ -83,7 +83,8 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
                         type: isLast && !file.name.endsWith('/') ? (file.type || 'file') : 'folder',
                         children: [],
                         size: file.size,
-                        updatedAt: file.updatedAt
+                        updatedAt: file.updatedAt,
+                        font: isLast ? file.font : undefined
                     }
                     current.children.push(child)
                 }
@@ -150,6 +151,17 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
                         <polyline points="21,15 16,10 5,21" />
                     </svg>
                 )
+            case 'ttf':
+            case 'otf':
+            case 'ttc':
+            case 'otc':
+                return (
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#ec4899" strokeWidth="2">
+                        <polyline points="4,7 4,4 20,4 20,7" />
+                        <line x1="9" y1="20" x2="15" y2="20" />
+                        <line x1="12" y1="4" x2="12" y2="20" />
+                    </svg>
+                )
             case 'pdf':
                 return (
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#ef4444" strokeWidth="2">
@@ -665,6 +677,12 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
         setContextMenu(null)
     }
 
+    const handleSetRootFile = async () => {
+        if (!contextMenu || !onSetRootFile) return
+        await onSetRootFile(contextMenu.item.path)
+        setContextMenu(null)
+    }
+
     const handleDuplicate = async () => {
         if (!contextMenu || !onDuplicateFile) return
         try {
@@ -866,11 +884,21 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
                                 onClick={(e) => e.stopPropagation()}
                             />
                         ) : (
-                            <span className="file-tree__name">{item.name}</span>
+                            <>
+                                <span className="file-tree__name">{item.name}</span>
+                                {item.font && (
+                                    <span
+                                        className="file-tree__font"
+                                        title={`Font family for \\setmainfont: ${item.font.family}${item.font.style ? ` (${item.font.style})` : ''}`}
+                                    >
+                                        {item.font.family}{item.font.style ? ` ${item.font.style}` : ''}
+                                    </span>
+                                )}
+                            </>
                         )}
                     </div>
-                    {item.path === 'main.tex' && (
-                        <span className="file-tree__badge" title="Main file">★</span>
+                    {item.path === rootFile && (
+                        <span className="file-tree__badge" title="Main document">★</span>
                     )}
                 </div>
 
@@ -1092,6 +1120,14 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
                             </svg>
                             Rename
                         </button>
+                        {contextMenu.item.type !== 'folder' && contextMenu.item.path.endsWith('.tex') && contextMenu.item.path !== rootFile && onSetRootFile && (
+                            <button onClick={handleSetRootFile}>
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <polygon points="12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26" />
+                                </svg>
+                                Set as main document
+                            </button>
+                        )}
                         {contextMenu.item.type !== 'folder' && (
                             <>
                                 <button onClick={handleDownload}>
@@ -1111,7 +1147,7 @@ function FileTree({ projectId, files, activeFile, onFileSelect, onAddFile, onDel
                                 </button>
                             </>
                         )}
-                        {contextMenu.item.path !== 'main.tex' && (
+                        {contextMenu.item.path !== rootFile && (
                             <>
                                 <div className="context-menu__separator" />
                                 <button onClick={handleDelete} className="danger">
@@ -0,0 +1,172 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { getBuildHistory, diffBuilds, getBuildArtifactUrl } from '../../services/api'
+
+const formatDuration = (ms) => ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+})
+
+/**
+ * History dropdown for the Preview toolbar: last builds of the project with
+ * their artifacts, and a comparison against the build before each one
+ */
+function BuildHistory({ projectId, sid, viewedBuildId, onViewBuild }) {
+    const [isOpen, setIsOpen] = useState(false)
+    const [builds, setBuilds] = useState([])
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const [diff, setDiff] = useState(null) // { buildId, result }
+    const containerRef = useRef(null)
+
+    const loadBuilds = useCallback(async () => {
+        setLoading(true)
+        setError(null)
+        try {
+            const data = await getBuildHistory(projectId, sid)
+            setBuilds(data.builds || [])
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }, [projectId, sid])
+
+    useEffect(() => {
+        if (isOpen) loadBuilds()
+        else setDiff(null)
+    }, [isOpen, loadBuilds])
+
+    // Close when clicking outside
+    useEffect(() => {
+        if (!isOpen) return
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false)
+        }
+        document.addEventListener('mousedown', handleClick)
+        return () => document.removeEventListener('mousedown', handleClick)
+    }, [isOpen])
+
+    // Older builds may have been pruned from the history since the list was loaded
+    const openArtifact = async (build, artifact) => {
+        try {
+            const url = await getBuildArtifactUrl(projectId, build.id, artifact, sid, true)
+            const a = document.createElement('a')
+            a.href = url
+            a.download = `build-${build.id}.${artifact}`
+            a.click()
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const viewPdf = async (build) => {
+        try {
+            onViewBuild?.(build, await getBuildArtifactUrl(projectId, build.id, 'pdf', sid))
+            setIsOpen(false)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const toggleDiff = async (build, previous) => {
+        if (diff?.buildId === build.id) return setDiff(null)
+        try {
+            const result = await diffBuilds(projectId, previous.id, build.id, sid)
+            setDiff({ buildId: build.id, result })
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const renderDiff = ({ changes, artifacts, diagnostics }) => {
+        const changedArtifacts = Object.entries(artifacts).filter(([, state]) => state !== 'unchanged')
+        return (
+            <div className="build-history__diff">
+                {Object.entries(changes).filter(([field]) => field !== 'duration').map(([field, { from, to }]) => (
+                    <div key={field}>{field}: {String(from)} → {String(to)}</div>
+                ))}
+                <div>
+                    Artifacts: {changedArtifacts.length > 0
+                        ? changedArtifacts.map(([name, state]) => `${name} ${state}`).join(', ')
+                        : 'identical'}
+                </div>
+                {diagnostics.introduced.map((d, i) => (
+                    <div key={`new-${i}`} className="build-history__diff-added">+ {d.file ? `${d.file}: ` : ''}{d.message}</div>
+                ))}
+                {diagnostics.resolved.map((d, i) => (
+                    <div key={`old-${i}`} className="build-history__diff-removed">− {d.file ? `${d.file}: ` : ''}{d.message}</div>
+                ))}
+            </div>
+        )
+    }
+
+    return (
+        <div className="build-history" ref={containerRef}>
+            <button
+                className={`toolbar-btn ${isOpen || viewedBuildId ? 'active' : ''}`}
+                title="Build history"
+                onClick={() => setIsOpen(!isOpen)}
+            >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10" />
+                    <polyline points="12 6 12 12 16 14" />
+                </svg>
+            </button>
+
+            {isOpen && (
+                <div className="build-history__dropdown">
+                    <div className="build-history__header">Build history</div>
+                    {loading && builds.length === 0 && <div className="build-history__empty">Loading...</div>}
+                    {error && <div className="build-history__empty">{error}</div>}
+                    {!loading && !error && builds.length === 0 && (
+                        <div className="build-history__empty">No builds yet.</div>
+                    )}
+                    {builds.map((build, i) => {
+                        const previous = builds[i + 1]
+                        return (
+                            <div
+                                key={build.id}
+                                className={`build-history__item ${build.id === viewedBuildId ? 'build-history__item--active' : ''}`}
+                            >
+                                <div className="build-history__row">
+                                    <span className={`build-history__status build-history__status--${build.status}`} title={build.status} />
+                                    <span className="build-history__time">{formatTime(build.timestamp)}</span>
+                                    <span className="build-history__meta">
+                                        {build.engine} · {formatDuration(build.duration)}
+                                    </span>
+                                </div>
+                                <div className="build-history__row build-history__row--details">
+                                    <span title={build.user?.email || build.user?.uid || ''}>
+                                        {build.user?.email || (build.user?.uid ? 'member' : 'anonymous')}
+                                    </span>
+                                    <span>
+                                        {build.errorCount} error{build.errorCount === 1 ? '' : 's'}, {build.warningCount} warning{build.warningCount === 1 ? '' : 's'}
+                                    </span>
+                                </div>
+                                <div className="build-history__actions">
+                                    {build.artifacts?.pdf && (
+                                        <button onClick={() => viewPdf(build)}>View PDF</button>
+                                    )}
+                                    {['pdf', 'log', 'bbl', 'aux'].filter(name => build.artifacts?.[name]).map(name => (
+                                        <button key={name} onClick={() => openArtifact(build, name)} title={`Download .${name}`}>
+                                            .{name}
+                                        </button>
+                                    ))}
+                                    {previous && (
+                                        <button onClick={() => toggleDiff(build, previous)} title="Compare with the build before">
+                                            {diff?.buildId === build.id ? 'Hide changes' : 'Changes'}
+                                        </button>
+                                    )}
+                                </div>
+                                {diff?.buildId === build.id && renderDiff(diff.result)}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default BuildHistory
@@ -2,13 +2,14 @@ import { useRef, useEffect, useState, useCallback } from 'react'
 import { Document, Page, pdfjs } from 'react-pdf'
 import 'react-pdf/dist/Page/TextLayer.css'
 import 'react-pdf/dist/Page/AnnotationLayer.css'
+import BuildHistory from './BuildHistory'
 import './Preview.css'
 
 // Configure worker
 // Use CDN worker to avoid version mismatches and bundling issues
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 
-function Preview({ pdfUrl, onSyncTeX }) {
+function Preview({ pdfUrl: latestPdfUrl, pdfName, onSyncTeX, syncLocation, projectId, sid }) {
     const containerRef = useRef(null)
     const [numPages, setNumPages] = useState(0)
     const [pdfDocument, setPdfDocument] = useState(null)
@@ -19,12 +20,41 @@ function Preview({ pdfUrl, onSyncTeX }) {
     const [sidebarView, setSidebarView] = useState('thumbnails') // 'thumbnails' | 'outline'
 
     const [pageHeight, setPageHeight] = useState(841.89) // Default A4 height in points
+    const [highlight, setHighlight] = useState(null) // { page, boxes (fractions of the page), key }
+    const [viewedBuild, setViewedBuild] = useState(null) // { build, url } when showing a build from the history
+
+    // A new compile result replaces whatever older build was on screen
+    useEffect(() => {
+        setViewedBuild(null)
+    }, [latestPdfUrl])
+
+    const pdfUrl = viewedBuild?.url || latestPdfUrl
+
+    // Rebuilt PDFs replace the old one in place: remember where the reader was
+    // before the new document unmounts the old pages, and scroll back once they render
+    const shownUrlRef = useRef(pdfUrl)
+    const restoreScrollRef = useRef(null) // { top, page }
+    if (shownUrlRef.current !== pdfUrl) {
+        if (shownUrlRef.current && containerRef.current) {
+            restoreScrollRef.current = { top: containerRef.current.scrollTop, page: currentPage }
+        }
+        shownUrlRef.current = pdfUrl
+    }
+
+    const handlePageRender = (pageNum) => {
+        const restore = restoreScrollRef.current
+        if (!restore || !containerRef.current) return
+        containerRef.current.scrollTop = restore.top
+        if (pageNum >= restore.page) restoreScrollRef.current = null
+    }
 
     // Callback when document loads successfully
     async function onDocumentLoadSuccess(pdf) {
         setNumPages(pdf.numPages)
         setPdfDocument(pdf)
-        setCurrentPage(1)
+        const restore = restoreScrollRef.current
+        setCurrentPage(restore ? Math.min(restore.page, pdf.numPages) : 1)
+        if (restore && restore.page > pdf.numPages) restore.page = pdf.numPages
 
         try {
             // Get dimensions of the first page to use for SyncTeX coordinate inversion
@@ -129,9 +159,61 @@ function Preview({ pdfUrl, onSyncTeX }) {
         }
     }, [pdfDocument, numPages, scale]) // Re-observe when pages change
 
+    // Forward SyncTeX: scroll to the location and flash a box over it
+    useEffect(() => {
+        if (!syncLocation || !pdfDocument || !containerRef.current) return
+        let cancelled = false
+        let clearTimer = null
+
+        const showLocation = async () => {
+            const { page: pageNum, boxes } = syncLocation
+            if (pageNum < 1 || pageNum > numPages) return
+            try {
+                // Boxes are in PDF points; store them relative to the page so zooming keeps them aligned
+                const page = await pdfDocument.getPage(pageNum)
+                const viewport = page.getViewport({ scale: 1 })
+                if (cancelled) return
+                const relativeBoxes = boxes.map(b => ({
+                    left: b.x / viewport.width,
+                    top: b.y / viewport.height,
+                    width: b.width / viewport.width,
+                    height: b.height / viewport.height
+                }))
+                setHighlight({ page: pageNum, boxes: relativeBoxes, key: syncLocation.timestamp })
+                clearTimer = setTimeout(() => setHighlight(null), 2000)
+
+                const container = containerRef.current
+                const pageElement = container?.querySelector(`.page-wrapper[data-page-number="${pageNum}"]`)
+                if (!pageElement) return
+                const firstTop = Math.min(...relativeBoxes.map(b => b.top))
+                const pageRect = pageElement.getBoundingClientRect()
+                const containerRect = container.getBoundingClientRect()
+
+                isManualScroll.current = true
+                setCurrentPage(pageNum)
+                container.scrollTo({
+                    top: container.scrollTop + pageRect.top - containerRect.top + firstTop * pageRect.height - container.clientHeight / 3,
+                    behavior: 'smooth'
+                })
+                setTimeout(() => {
+                    isManualScroll.current = false
+                }, 800)
+            } catch (err) {
+                console.error('Error showing SyncTeX location:', err)
+            }
+        }
+        showLocation()
+
+        return () => {
+            cancelled = true
+            clearTimeout(clearTimer)
+        }
+    }, [syncLocation, pdfDocument, numPages])
+
     // SyncTeX Handler
     const handleDoubleClick = useCallback(async (e, pageNum) => {
-        if (!onSyncTeX || !pdfDocument) return
+        // SyncTeX data only matches the latest build
+        if (!onSyncTeX || !pdfDocument || viewedBuild) return
 
         // Find the actual PDF page element
         const pageElement = e.currentTarget.querySelector('.react-pdf__Page')
@@ -163,13 +245,13 @@ function Preview({ pdfUrl, onSyncTeX }) {
         } catch (err) {
             console.error('Error calculating SyncTeX coordinates:', err)
         }
-    }, [onSyncTeX, pdfDocument])
+    }, [onSyncTeX, pdfDocument, viewedBuild])
 
     const handleDownload = () => {
         if (!pdfUrl) return
         const a = document.createElement('a')
         a.href = pdfUrl
-        a.download = 'document.pdf'
+        a.download = viewedBuild ? `build-${viewedBuild.build.id}.pdf` : (pdfName || 'document.pdf')
         a.click()
     }
 
@@ -248,6 +330,14 @@ function Preview({ pdfUrl, onSyncTeX }) {
                 </div>
 
                 <div className="toolbar-right">
+                    {projectId && (
+                        <BuildHistory
+                            projectId={projectId}
+                            sid={sid}
+                            viewedBuildId={viewedBuild?.build.id}
+                            onViewBuild={(build, url) => setViewedBuild({ build, url })}
+                        />
+                    )}
                     <button className="toolbar-btn" title="Print" onClick={handlePrint}>
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             <polyline points="6 9 6 2 18 2 18 9" />
@@ -315,6 +405,12 @@ function Preview({ pdfUrl, onSyncTeX }) {
                 )}
 
                 <div className="preview-panel__content" ref={containerRef}>
+                    {viewedBuild && (
+                        <div className="preview-panel__history-banner">
+                            <span>Viewing build from {new Date(viewedBuild.build.timestamp).toLocaleString()}</span>
+                            <button onClick={() => setViewedBuild(null)}>Back to latest</button>
+                        </div>
+                    )}
                     {!pdfUrl ? (
                         <div className="preview-panel__empty">
                             <div className="document-icon-static">
@@ -345,6 +441,7 @@ function Preview({ pdfUrl, onSyncTeX }) {
                                     className="page-wrapper"
                                     data-page-number={i + 1}
                                     style={{
+                                        position: 'relative',
                                         margin: '20px auto',
                                         width: 'fit-content',
                                         boxShadow: '0 4px 15px rgba(0,0,0,0.4)',
@@ -358,7 +455,20 @@ function Preview({ pdfUrl, onSyncTeX }) {
                                         renderTextLayer={true}
                                         renderAnnotationLayer={true}
                                         loading={null}
+                                        onRenderSuccess={() => handlePageRender(i + 1)}
                                     />
+                                    {highlight?.page === i + 1 && highlight.boxes.map((box, idx) => (
+                                        <div
+                                            key={`${highlight.key}-${idx}`}
+                                            className="synctex-highlight"
+                                            style={{
+                                                left: `${box.left * 100}%`,
+                                                top: `${box.top * 100}%`,
+                                                width: `${box.width * 100}%`,
+                                                height: `${box.height * 100}%`
+                                            }}
+                                        />
+                                    ))}
                                 </div>
                             ))}
                         </Document>
@@ -1,14 +1,18 @@
 import { useState, useEffect } from 'react'
-import { getProjectInfo, shareProject } from '../../services/api'
+import { getProjectInfo, shareProject, regenerateShareLink } from '../../services/api'
 import { useToast } from '../Toast/Toast'
+import { useConfirm } from '../ConfirmDialog/ConfirmDialog'
 import './ShareModal.css'
 
 function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
     const [sharingSettings, setSharingSettings] = useState({
         publicAccess: 'private', // private, view, edit
         collaborators: [],
-        shares: { view: '', edit: '' }
+        shares: { view: '', edit: '' },
+        shellEscape: false,
+        compileTimeout: null
     })
+    const [maxCompileTimeout, setMaxCompileTimeout] = useState(null)
     const [linkLevel, setLinkLevel] = useState('view') // 'view' or 'edit'
     const [email, setEmail] = useState('')
     const [inviteRole, setInviteRole] = useState('view')
@@ -16,6 +20,7 @@ function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
     const [copySuccess, setCopySuccess] = useState(false)
 
     const toast = useToast()
+    const { confirm } = useConfirm()
 
     useEffect(() => {
         if (isOpen && projectId) {
@@ -25,8 +30,11 @@ function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
                     setSharingSettings({
                         publicAccess: data.publicAccess || 'private',
                         collaborators: data.collaborators || [],
-                        shares: data.shares || { view: '', edit: '' }
+                        shares: data.shares || { view: '', edit: '' },
+                        shellEscape: data.shellEscape === true,
+                        compileTimeout: data.compileTimeout || null
                     })
+                    setMaxCompileTimeout(data.maxCompileTimeout || null)
                 } catch (err) {
                     console.error('Failed to fetch settings:', err)
                 }
@@ -83,6 +91,25 @@ function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
         }
     }
 
+    const handleRegenerateLink = async () => {
+        const confirmed = await confirm({
+            title: 'Regenerate Link',
+            message: `The current ${linkLevel} link will stop working, and people who have the project open with it will be disconnected.`,
+            confirmText: 'Regenerate',
+            cancelText: 'Cancel',
+            type: 'danger'
+        })
+        if (!confirmed) return
+
+        try {
+            const data = await regenerateShareLink(projectId, linkLevel, sid)
+            setSharingSettings(prev => ({ ...prev, shares: data.shares }))
+            toast.success('New link created')
+        } catch (err) {
+            toast.error(err.message)
+        }
+    }
+
     const handleAddCollaborator = (e) => {
         e.preventDefault()
         if (!email) return
@@ -154,6 +181,14 @@ function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
                             >
                                 {copySuccess ? 'Copied!' : 'Copy Link'}
                             </button>
+                            <button
+                                className="regenerate-btn"
+                                onClick={handleRegenerateLink}
+                                disabled={!getShareUrl()}
+                                title="Replace this link; the old one stops working"
+                            >
+                                Regenerate
+                            </button>
                         </div>
 
                     </div>
@@ -211,6 +246,39 @@ function ShareModal({ isOpen, onClose, projectId, projectName, sid }) {
                             )}
                         </div>
                     </div>
+
+                    <div className="share-divider" />
+
+                    <div className="share-section">
+                        <h3>Compiler</h3>
+                        <label className="share-option">
+                            <input
+                                type="checkbox"
+                                checked={sharingSettings.shellEscape}
+                                onChange={e => setSharingSettings({ ...sharingSettings, shellEscape: e.target.checked })}
+                            />
+                            <span>
+                                Allow shell escape (<code>\write18</code>)
+                                <small>Needed by packages such as minted. Anyone who can edit this project can then run commands on the build server.</small>
+                            </span>
+                        </label>
+                        {maxCompileTimeout && (
+                            <label className="share-option">
+                                <input
+                                    type="number"
+                                    className="share-option__number"
+                                    min={10}
+                                    max={maxCompileTimeout}
+                                    value={sharingSettings.compileTimeout ?? maxCompileTimeout}
+                                    onChange={e => setSharingSettings({ ...sharingSettings, compileTimeout: e.target.value === '' ? null : Number(e.target.value) })}
+                                />
+                                <span>
+                                    Compile timeout (seconds)
+                                    <small>Builds running longer are stopped. The server allows at most {maxCompileTimeout} seconds.</small>
+                                </span>
+                            </label>
+                        )}
+                    </div>
                 </div>
 
                 <div className="share-modal__footer">
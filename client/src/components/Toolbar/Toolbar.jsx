@@ -1,15 +1,30 @@
 import { useState, useEffect } from 'react'
+import ExportMenu from '../ExportMenu/ExportMenu'
 import './Toolbar.css'
 
 function Toolbar({
     engine,
+    engineLocked = false,
+    engines = [],
     onEngineChange,
+    profiles = [],
+    profile = null,
+    onProfileChange,
     onCompile,
+    onStop,
+    autoCompile = false,
+    onToggleAutoCompile,
     isCompiling,
+    queuePosition = 0,
     theme,
     onThemeChange,
     collaborators = [],
     pdfUrl,
+    pdfName,
+    exportFormats = [],
+    cslFiles = [],
+    onExport,
+    onExportSubmission,
     projectName,
     onRenameProject,
     onBackToHome,
@@ -37,7 +52,7 @@ function Toolbar({
         if (pdfUrl) {
             const a = document.createElement('a')
             a.href = pdfUrl
-            a.download = 'document.pdf'
+            a.download = pdfName || 'document.pdf'
             a.click()
         }
     }
@@ -126,15 +141,46 @@ function Toolbar({
                     </div>
                 )}
 
+                {/* Build Profile Selector */}
+                {profiles.length > 0 && (
+                    <select
+                        className="toolbar__engine-select toolbar__profile-select"
+                        value={profile || ''}
+                        onChange={(e) => onProfileChange(e.target.value || null)}
+                        title="Build profile"
+                    >
+                        <option value="">Default</option>
+                        {profiles.map(p => (
+                            <option
+                                key={p.name}
+                                value={p.name}
+                                title={[p.rootFile, p.jobname && `jobname ${p.jobname}`, p.outputName].filter(Boolean).join(', ')}
+                            >
+                                {p.name}
+                            </option>
+                        ))}
+                    </select>
+                )}
+
                 {/* Engine Selector */}
                 <select
                     className="toolbar__engine-select"
                     value={engine}
                     onChange={(e) => onEngineChange(e.target.value)}
+                    disabled={engineLocked}
+                    title={engineLocked ? 'Set by the build profile' : undefined}
                 >
-                    <option value="pdflatex">pdflatex</option>
-                    <option value="xelatex">xelatex</option>
-                    <option value="lualatex">lualatex</option>
+                    {engines.length === 0 && <option value={engine}>{engine}</option>}
+                    {engines.map(e => (
+                        <option
+                            key={e.id}
+                            value={e.id}
+                            disabled={!e.available}
+                            title={e.available ? e.steps.join(' → ') : `Not installed on this server: ${e.missing.join(', ')}`}
+                        >
+                            {e.label}{e.available ? '' : ' (not installed)'}
+                        </option>
+                    ))}
                 </select>
 
                 {/* Share Button */}
@@ -161,7 +207,7 @@ function Toolbar({
                     {isCompiling ? (
                         <>
                             <div className="spinner"></div>
-                            Compiling...
+                            {queuePosition > 0 ? `Queued (#${queuePosition})` : 'Compiling...'}
                         </>
                     ) : (
                         <>
@@ -173,6 +219,32 @@ function Toolbar({
                     )}
                 </button>
 
+                {/* Auto-compile Toggle */}
+                {onToggleAutoCompile && (
+                    <label className="toolbar__auto-compile" title="Rebuild on the server after edits and refresh everyone's preview">
+                        <input
+                            type="checkbox"
+                            checked={autoCompile}
+                            onChange={onToggleAutoCompile}
+                        />
+                        Auto
+                    </label>
+                )}
+
+                {/* Stop Button */}
+                {isCompiling && onStop && (
+                    <button
+                        className="btn btn--secondary toolbar__stop-btn"
+                        onClick={onStop}
+                        title="Stop compilation"
+                    >
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+                            <rect x="6" y="6" width="12" height="12" rx="1" />
+                        </svg>
+                        Stop
+                    </button>
+                )}
+
                 {/* Download Button */}
                 <button
                     className="btn btn--secondary"
@@ -187,6 +259,9 @@ function Toolbar({
                     </svg>
                 </button>
 
+                {/* Export */}
+                {onExport && <ExportMenu formats={exportFormats} cslFiles={cslFiles} onExport={onExport} onExportSubmission={onExportSubmission} />}
+
                 {/* Theme Switcher */}
                 <div className="theme-switcher">
                     <button
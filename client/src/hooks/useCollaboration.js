@@ -1,6 +1,9 @@
 import { useEffect, useRef, useState, useCallback } from 'react'
 import * as Y from 'yjs'
 import { WebsocketProvider } from 'y-websocket'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { onIdTokenChanged } from 'firebase/auth'
 import { auth } from '../config/firebase'
 
 const USER_COLORS = [
@@ -9,11 +12,28 @@ const USER_COLORS = [
     '#e8aa14', '#ff5714', '#ea9ab2', '#7fb069', '#31afb4'
 ]
 
-export function useCollaboration(projectId, userId, userName, activeFile, sid) {
+// Server -> client messages (see server/services/projectDocuments.js): a finished build,
+// files created, changed, renamed or deleted by anyone, and what this connection may do
+const messageBuild = 4
+const messageFiles = 5
+const messagePermission = 6
+// Client -> server: the auth token again after Firebase refreshed it
+const messageAuth = 7
+
+// Close code of a session whose access was revoked; reconnecting would only be refused
+const CLOSE_ACCESS_CHANGED = 4403
+
+export function useCollaboration(projectId, userId, userName, activeFile, sid, onBuild, onFilesChanged) {
     const ydocRef = useRef(new Y.Doc())
     const providerRef = useRef(null)
+    const onBuildRef = useRef(onBuild)
+    onBuildRef.current = onBuild
+    const onFilesChangedRef = useRef(onFilesChanged)
+    onFilesChangedRef.current = onFilesChanged
     const [collaborators, setCollaborators] = useState([])
     const [isSynced, setIsSynced] = useState(false)
+    const [permission, setPermission] = useState(null) // 'edit' | 'view', as granted by the server
+    const [accessRevoked, setAccessRevoked] = useState(false)
 
     // Stable user color to persist across re-renders
     const userColorRef = useRef(USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)])
@@ -34,6 +54,33 @@ export function useCollaboration(projectId, userId, userName, activeFile, sid) {
             const provider = new WebsocketProvider(wsUrl, projectId, ydocRef.current, { params })
             providerRef.current = provider
 
+            // New PDF built by someone else or by server-side auto-compile
+            provider.messageHandlers[messageBuild] = (encoder, decoder) => {
+                try {
+                    onBuildRef.current?.(JSON.parse(decoding.readVarString(decoder)))
+                } catch (err) {
+                    console.warn('[useCollaboration] Bad build message:', err)
+                }
+            }
+
+            // { action: 'create' | 'update' | 'delete' | 'rename', path, newPath }
+            provider.messageHandlers[messageFiles] = (encoder, decoder) => {
+                try {
+                    onFilesChangedRef.current?.(JSON.parse(decoding.readVarString(decoder)))
+                } catch (err) {
+                    console.warn('[useCollaboration] Bad file message:', err)
+                }
+            }
+
+            // The server ignores changes from read-only connections, so the editor must not make any
+            provider.messageHandlers[messagePermission] = (encoder, decoder) => {
+                try {
+                    setPermission(JSON.parse(decoding.readVarString(decoder)).permission)
+                } catch (err) {
+                    console.warn('[useCollaboration] Bad permission message:', err)
+                }
+            }
+
             const handleAwarenessUpdate = () => {
                 const states = provider.awareness.getStates()
                 const collabs = []
@@ -56,10 +103,32 @@ export function useCollaboration(projectId, userId, userName, activeFile, sid) {
                 setIsSynced(isSynced)
                 console.log('[useCollaboration] sync event, isSynced:', isSynced)
             })
+
+            provider.on('connection-close', (event) => {
+                if (event?.code !== CLOSE_ACCESS_CHANGED) return
+                provider.shouldConnect = false
+                setIsSynced(false)
+                setAccessRevoked(true)
+            })
         }
 
         setupProvider()
 
+        // Tokens expire after an hour: the server checks open sessions again, so it gets each
+        // refreshed token, and reconnects use it too
+        const unsubscribeToken = onIdTokenChanged(auth, async (user) => {
+            const provider = providerRef.current
+            if (!user || !provider) return
+            const token = await user.getIdToken()
+            provider.url = provider.url.replace(/([?&]token=)[^&]*/, `$1${encodeURIComponent(token)}`)
+            if (provider.wsconnected) {
+                const encoder = encoding.createEncoder()
+                encoding.writeVarUint(encoder, messageAuth)
+                encoding.writeVarString(encoder, token)
+                provider.ws.send(encoding.toUint8Array(encoder))
+            }
+        })
+
         const cleanup = () => {
             if (providerRef.current) {
                 // IMPORTANT: Explicitly set local state to null to notify others we are leaving immediately
@@ -74,6 +143,7 @@ export function useCollaboration(projectId, userId, userName, activeFile, sid) {
 
         return () => {
             window.removeEventListener('beforeunload', cleanup)
+            unsubscribeToken()
             cleanup()
         }
     }, [projectId, sid])
@@ -88,8 +158,7 @@ export function useCollaboration(projectId, userId, userName, activeFile, sid) {
             color: userColorRef.current,
             colorLight: userColorRef.current + '33',
             activeFile: activeFile,
-            id: userId || 'anon',
-            fileSystemUpdate: Date.now()
+            id: userId || 'anon'
         }
 
         // Broacast user state immediately
@@ -102,6 +171,8 @@ export function useCollaboration(projectId, userId, userName, activeFile, sid) {
         provider: providerRef.current,
         collaborators,
         awareness: providerRef.current?.awareness || null,
-        isSynced
+        isSynced,
+        permission,
+        accessRevoked
     }
 }
@@ -1,13 +1,109 @@
-import { useState, useCallback } from 'react'
-import { compileLatex } from '../services/api'
+import { useState, useCallback, useRef, useEffect } from 'react'
+import { compileLatex, openCompileEvents, cancelCompile, getBuild, getLatestPdf } from '../services/api'
 
-export function useCompiler(projectId, sid) {
+// Client generated job id so we can follow the build while the request is pending
+const createJobId = () => (
+    window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+)
+
+// profile: selected build profile (null for the project's default target)
+export function useCompiler(projectId, sid, profile = null) {
     const [pdfUrl, setPdfUrl] = useState(null)
+    const [pdfTarget, setPdfTarget] = useState({ profile: null, outputName: null }) // what the PDF on screen was built as
     const [logs, setLogs] = useState('')
     const [isCompiling, setIsCompiling] = useState(false)
     const [compilationErrors, setCompilationErrors] = useState([])
+    const [diagnostics, setDiagnostics] = useState([]) // errors, warnings and bad boxes from the log parser
+    const [queuePosition, setQueuePosition] = useState(0)
+    const [progress, setProgress] = useState(null) // { pass, tool, page, file }
+    const eventSourceRef = useRef(null)
+    const activeJobRef = useRef(null)
+    const compileJobRef = useRef(null) // job of the pending compile request, for cancelling
+    const latestPdfRef = useRef(null) // server file of the PDF on screen, to skip pushes of our own builds
+    const pdfVersionRef = useRef(0) // bumped whenever a build is shown, so a stale "latest PDF" does not replace it
+
+    // Links are signed per user and expire; the server file identifies the build
+    const showPdf = useCallback((url, target, pdfFile = null) => {
+        pdfVersionRef.current++
+        latestPdfRef.current = pdfFile
+        setPdfUrl(url)
+        setPdfTarget(target)
+    }, [])
+
+    const stopEvents = useCallback(() => {
+        activeJobRef.current = null
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close()
+            eventSourceRef.current = null
+        }
+        setQueuePosition(0)
+        setProgress(null)
+    }, [])
+
+    // Follow queue position and engine output while the compile request is pending
+    const startEvents = useCallback(async (jobId) => {
+        stopEvents()
+        activeJobRef.current = jobId
+        try {
+            const source = await openCompileEvents(projectId, jobId, sid)
+            // The compile may have finished while we were fetching the token
+            if (activeJobRef.current !== jobId) {
+                source.close()
+                return
+            }
+            eventSourceRef.current = source
+
+            source.addEventListener('status', (e) => {
+                const status = JSON.parse(e.data)
+                if (status.state === 'queued') {
+                    setQueuePosition(status.position)
+                    setLogs(`Queued (#${status.position})...`)
+                } else {
+                    setQueuePosition(0)
+                    setLogs('')
+                }
+            })
+            source.addEventListener('pass', (e) => {
+                const pass = JSON.parse(e.data)
+                setProgress(prev => ({ ...prev, pass: pass.index, tool: pass.tool }))
+                setLogs(prev => `${prev}\n=== Pass ${pass.index}: ${pass.tool} (${pass.reason}) ===\n`)
+            })
+            source.addEventListener('output', (e) => {
+                const { text } = JSON.parse(e.data)
+                setLogs(prev => prev + text)
+            })
+            source.addEventListener('progress', (e) => {
+                const { page, file } = JSON.parse(e.data)
+                setProgress(prev => ({ ...prev, page, file }))
+            })
+            source.addEventListener('done', () => source.close())
+            // Streaming is best effort: the compile response still carries the full log
+            source.onerror = () => source.close()
+        } catch (err) {
+            console.warn('[useCompiler] Live output unavailable:', err)
+        }
+    }, [projectId, sid, stopEvents])
+
+    useEffect(() => stopEvents, [stopEvents])
 
-    const compile = useCallback(async (activeFile, code, engine = 'pdflatex', triggerSaveSync) => {
+    // Show the last PDF of the target right away, without compiling (share link viewers cannot)
+    useEffect(() => {
+        if (!projectId) return
+        let cancelled = false
+        const version = pdfVersionRef.current
+        getLatestPdf(projectId, sid, profile)
+            .then(latest => {
+                if (!latest || cancelled || compileJobRef.current || pdfVersionRef.current !== version) return
+                showPdf(latest.url, { profile: latest.profile || null, outputName: latest.outputName || null })
+            })
+            .catch(err => console.warn('[useCompiler] Could not load the latest PDF:', err))
+        return () => { cancelled = true }
+    }, [projectId, sid, profile, showPdf])
+
+    // options.clearCache: drop the server's work dir (aux files) and rebuild from scratch
+    const compile = useCallback(async (activeFile, code, engine = 'pdflatex', triggerSaveSync, options = {}) => {
         setIsCompiling(true)
         setLogs('Compiling...')
 
@@ -17,39 +113,89 @@ export function useCompiler(projectId, sid) {
                 await triggerSaveSync(code)
             }
 
+            const jobId = createJobId()
+            compileJobRef.current = jobId
+            startEvents(jobId)
+
             const result = await compileLatex({
                 projectId,
                 code: '', // backend reads from disk
                 engine,
-                filename: 'main',
-                sid
+                sid,
+                jobId,
+                clearCache: options.clearCache === true,
+                profile
             })
 
             if (result.success) {
-                setPdfUrl(result.pdfUrl + '?t=' + Date.now())
+                showPdf(result.pdfUrl, { profile: result.profile || null, outputName: result.outputName || null }, result.pdfFile)
                 setLogs(result.logs || 'Compilation successful!')
                 setCompilationErrors([])
+            } else if (result.cancelled) {
+                setLogs(prev => `${result.logs || prev}\n\nCompilation cancelled.`)
+                setCompilationErrors([])
             } else {
                 setLogs(result.logs || 'Compilation failed.')
                 setCompilationErrors(result.errors || [])
             }
+            setDiagnostics(result.diagnostics || result.errors || [])
             return result
         } catch (error) {
             setLogs(`Error: ${error.message}`)
             return { success: false, error: error.message }
         } finally {
+            compileJobRef.current = null
+            stopEvents()
             setIsCompiling(false)
         }
+    }, [projectId, sid, profile, startEvents, stopEvents, showPdf])
+
+    // Build announced over the collaboration socket (another user, or server auto-compile)
+    const applyRemoteBuild = useCallback(async (build) => {
+        // Our own compile response carries the same result
+        if (compileJobRef.current || (build.pdfFile && build.pdfFile === latestPdfRef.current)) return false
+        // Builds of another profile are a different document
+        if ((build.profile || null) !== profile) return false
+
+        if (build.success && build.pdfUrl) {
+            showPdf(build.pdfUrl, { profile: build.profile || null, outputName: build.outputName || null }, build.pdfFile)
+        }
+        if (build.buildId) {
+            try {
+                const { build: details } = await getBuild(projectId, build.buildId, sid)
+                setDiagnostics(details.diagnostics || [])
+                setCompilationErrors(build.success ? [] : (details.diagnostics || []).filter(d => d.severity === 'error'))
+            } catch (error) {
+                console.warn('[useCompiler] Could not load build details:', error)
+            }
+        }
+        return true
+    }, [projectId, sid, profile, showPdf])
+
+    // Stop the running (or queued) build; the pending compile request then resolves as cancelled
+    const cancel = useCallback(async () => {
+        if (!compileJobRef.current) return
+        try {
+            await cancelCompile({ projectId, jobId: compileJobRef.current, sid })
+        } catch (error) {
+            console.warn('[useCompiler] Cancel failed:', error)
+        }
     }, [projectId, sid])
 
     return {
         pdfUrl,
         setPdfUrl,
+        pdfTarget,
         logs,
         setLogs,
         isCompiling,
+        queuePosition,
+        progress,
         compilationErrors,
         setCompilationErrors,
-        compile
+        diagnostics,
+        compile,
+        cancel,
+        applyRemoteBuild
     }
 }
@@ -4,6 +4,7 @@ import { useAuth } from '../../contexts/AuthContext'
 
 // Components
 import Editor from '../../components/Editor/Editor'
+import { setInstalledPackages } from '../../components/Editor/config/latexCommands'
 import Preview from '../../components/Preview/Preview'
 import Toolbar from '../../components/Toolbar/Toolbar'
 import FileTree from '../../components/FileTree/FileTree'
@@ -14,7 +15,7 @@ import { useToast } from '../../components/Toast/Toast'
 import { useConfirm } from '../../components/ConfirmDialog/ConfirmDialog'
 
 // Services
-import { createFile, deleteFile, renameFile, duplicateFile, resolveSyncTeX, renameProject, getFileUrl } from '../../services/api'
+import { createFile, deleteFile, renameFile, duplicateFile, resolveSyncTeX, forwardSyncTeX, renameProject, setRootFile, setAutoCompile, getEngines, getInstalledPackages, getExportFormats, exportProject, exportSubmission, renderFragment, getFileUrl } from '../../services/api'
 
 // Components
 import FileViewer from '../../components/FileViewer/FileViewer'
@@ -29,6 +30,11 @@ import { useCollaboration } from '../../hooks/useCollaboration'
 
 import './EditorPage.css'
 
+// Files kept in the shared Yjs document and written by the server (same rules as isWritablePath
+// in server/services/writeBack.js: hidden files such as .project.json are never shared)
+const SHARED_TEXT_PATTERN = /\.(tex|bib|cls|sty|txt|md|json)$/i
+const isSharedText = (path) => SHARED_TEXT_PATTERN.test(path) && !path.split('/').some(part => part.startsWith('.'))
+
 function EditorPage() {
     const { projectId } = useParams()
     const [searchParams] = useSearchParams()
@@ -61,25 +67,86 @@ function EditorPage() {
 
 
     // 4. Compiler & PDF
+    const [profile, setProfile] = useState(null) // build profile name, null = project defaults
+    const profiles = projectInfo?.profiles || []
+    const selectedProfile = profiles.find(p => p.name === profile) || null
     const {
         pdfUrl,
         setPdfUrl,
+        pdfTarget,
         logs,
         setLogs,
         isCompiling,
+        queuePosition,
+        progress,
         compilationErrors,
         setCompilationErrors,
-        compile
-    } = useCompiler(projectId, sid)
+        diagnostics,
+        compile,
+        cancel: cancelCompile,
+        applyRemoteBuild
+    } = useCompiler(projectId, sid, selectedProfile ? profile : null)
+
+    // Builds pushed by the server: a collaborator compiled, or auto-compile ran
+    const handleRemoteBuild = async (build) => {
+        const applied = await applyRemoteBuild(build)
+        if (!applied) return
+        const by = build.auto ? 'Auto-compile' : (build.user?.email || 'A collaborator')
+        if (build.success) toast.info(`${by}: PDF updated`)
+        else toast.warning(`${by} failed with ${build.errorCount} error${build.errorCount === 1 ? '' : 's'}`)
+    }
+
+    // File changes pushed by the server (anyone's, including the AI assistant's). Our own
+    // requests are followed up by their handlers, so only the file list is refreshed for them
+    const pendingPathsRef = useRef(new Set())
+    const handleFilesChanged = (event) => {
+        refreshFiles()
+        if (pendingPathsRef.current.has(event.path)) return
+
+        const isAffected = activeFileName === event.path || activeFileName.startsWith(`${event.path}/`)
+        if (event.action === 'rename' && isAffected) {
+            handleFileSelect(event.newPath + activeFileName.substring(event.path.length))
+        } else if (event.action === 'delete' && isAffected) {
+            handleFileSelect(rootFile)
+            toast.warning(`${activeFileName} was deleted by a collaborator`)
+        } else if (event.path !== activeFileName || !isSharedText(event.path)) {
+            // Open shared texts are already up to date through Yjs
+            refreshFileContent(event.path)
+        }
+    }
 
     // 5. Collaboration
-    const { yDoc, collaborators: liveCollaborators, awareness, isSynced } = useCollaboration(projectId, user?.uid, user?.displayName || user?.email, activeFileName, sid)
+    const { yDoc, collaborators: liveCollaborators, awareness, isSynced, permission, accessRevoked } = useCollaboration(projectId, user?.uid, user?.displayName || user?.email, activeFileName, sid, handleRemoteBuild, handleFilesChanged)
+
+    // The connection's permission is what the server enforces; the project info covers the time before it connects
+    const isReadOnly = (permission || projectInfo?.permission) === 'view'
+
+    // While synced, the server writes shared texts from the Yjs document; saving the editor's
+    // copy over HTTP as well could put back text a collaborator has just changed
+    const saveActiveFile = useCallback(async (content) => {
+        if (isSynced && isSharedText(activeFileName)) return true
+        return triggerSave(content)
+    }, [isSynced, activeFileName, triggerSave])
 
     // 6. Auto-save
-    useAutoSave(projectId, activeFileName, code, triggerSave, isCodeLoading, isLoading)
+    useAutoSave(projectId, activeFileName, code, saveActiveFile, isCodeLoading, isLoading)
 
     // UI States
     const [engine, setEngine] = useState('pdflatex')
+    const [engines, setEngines] = useState([]) // from the server: { id, label, available, missing }
+    const [exportFormats, setExportFormats] = useState([])
+
+    useEffect(() => {
+        getEngines()
+            .then(data => setEngines(data.engines || []))
+            .catch(err => console.warn('[EditorPage] Could not load engines:', err))
+        getExportFormats()
+            .then(data => setExportFormats(data.formats || []))
+            .catch(err => console.warn('[EditorPage] Could not load export formats:', err))
+        getInstalledPackages()
+            .then(data => setInstalledPackages(data.packages))
+            .catch(err => console.warn('[EditorPage] Could not load installed packages:', err))
+    }, [])
     const [theme, setTheme] = useState(() => {
         const saved = localStorage.getItem('latex-theme')
         return saved || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light')
@@ -88,6 +155,7 @@ function EditorPage() {
     const [isShareModalOpen, setIsShareModalOpen] = useState(false)
     const [isAIChatOpen, setIsAIChatOpen] = useState(false)
     const [jumpToLine, setJumpToLine] = useState(null)
+    const [pdfLocation, setPdfLocation] = useState(null) // forward SyncTeX target shown in the preview
 
     // Handle Access Denied / Error
     useEffect(() => {
@@ -103,49 +171,81 @@ function EditorPage() {
         }
     }, [error, confirm, navigate])
 
-    // Ref handlers for child actions
-    const lastFileSystemUpdateRef = useRef(0)
+    // The owner removed us, regenerated our share link or deleted the project: the server closed the session
+    useEffect(() => {
+        if (!accessRevoked) return
+        confirm({
+            title: 'Access Changed',
+            message: 'Your access to this project was changed, so you were disconnected. Ask the owner for a new link or invitation.',
+            confirmText: 'OK',
+            showCancel: false
+        }).then(() => {
+            navigate('/')
+        })
+    }, [accessRevoked, confirm, navigate])
+
+    // Role changed by the owner while the project is open (the editor follows the new permission)
+    const lastPermissionRef = useRef(null)
+    useEffect(() => {
+        if (!permission) return
+        if (lastPermissionRef.current && lastPermissionRef.current !== permission) {
+            toast.info(permission === 'view' ? 'Your access was changed: you can now only view this project' : 'Your access was changed: you can now edit this project')
+        }
+        lastPermissionRef.current = permission
+    }, [permission, toast])
 
+    // Collaborators hear about file changes from the server
     const handleStorageUpdate = useCallback(() => {
         refreshFiles()
-        // Broadcast file system change to others
-        if (awareness) {
-            const now = Date.now()
-            awareness.setLocalStateField('fileSystemUpdate', now)
-            lastFileSystemUpdateRef.current = now
-        }
-    }, [refreshFiles, awareness])
+    }, [refreshFiles])
 
-    // Listen for file system updates from others
-    useEffect(() => {
-        if (!awareness) return
+    // Main document compiled by the server (stored in .project.json)
+    const rootFile = projectInfo?.rootFile || 'main.tex'
 
-        const handleAwarenessChange = () => {
-            const states = awareness.getStates()
-            let maxUpdate = 0
+    // Open the main document when the project uses something other than main.tex
+    const openedRootRef = useRef(false)
+    useEffect(() => {
+        if (openedRootRef.current || !projectInfo) return
+        openedRootRef.current = true
+        if (activeFileName === 'main.tex' && rootFile !== 'main.tex') handleFileSelect(rootFile)
+    }, [projectInfo, rootFile, activeFileName, handleFileSelect])
 
-            states.forEach(state => {
-                if (state.user && state.user.fileSystemUpdate) {
-                    if (state.user.fileSystemUpdate > maxUpdate) {
-                        maxUpdate = state.user.fileSystemUpdate
-                    }
-                }
-            })
+    const handleSetRootFile = async (name) => {
+        try {
+            const res = await setRootFile(projectId, name, sid)
+            setProjectInfo(prev => ({ ...prev, rootFile: res.rootFile }))
+            toast.success(`${res.rootFile} is now the main document`)
+            return true
+        } catch (err) {
+            toast.error(err.message)
+            return false
+        }
+    }
 
-            if (maxUpdate > lastFileSystemUpdateRef.current) {
-                console.log('[FileTree] Remote update detected, refreshing...')
-                refreshFiles()
-                lastFileSystemUpdateRef.current = maxUpdate
-            }
+    const handleToggleAutoCompile = async () => {
+        try {
+            const res = await setAutoCompile(projectId, !projectInfo?.autoCompile, sid)
+            setProjectInfo(prev => ({ ...prev, autoCompile: res.autoCompile }))
+            toast.success(res.autoCompile ? 'Auto-compile enabled for everyone in this project' : 'Auto-compile disabled')
+        } catch (err) {
+            toast.error(err.message)
         }
+    }
 
-        awareness.on('change', handleAwarenessChange)
-        return () => awareness.off('change', handleAwarenessChange)
-    }, [awareness, refreshFiles])
+    // Runs a file request of ours, so its server push does not trigger a second reaction
+    const withPendingPath = async (path, request) => {
+        const key = path.replace(/\/+$/, '')
+        pendingPathsRef.current.add(key)
+        try {
+            return await request()
+        } finally {
+            pendingPathsRef.current.delete(key)
+        }
+    }
 
     const handleAddFile = async (name) => {
         try {
-            await createFile(projectId, name, '', false, sid)
+            await withPendingPath(name, () => createFile(projectId, name, '', false, sid))
             handleStorageUpdate()
             if (!name.endsWith('/')) handleFileSelect(name)
             return true
@@ -156,11 +256,11 @@ function EditorPage() {
     }
 
     const handleDeleteFile = async (name) => {
-        if (name === 'main.tex') return false
+        if (name === rootFile) return false
         try {
-            await deleteFile(projectId, name, sid)
+            await withPendingPath(name, () => deleteFile(projectId, name, sid))
             handleStorageUpdate()
-            if (activeFileName === name) handleFileSelect('main.tex')
+            if (activeFileName === name) handleFileSelect(rootFile)
             return true
         } catch (err) {
             toast.error(err.message)
@@ -169,10 +269,15 @@ function EditorPage() {
     }
 
     const handleRenameFile = async (oldName, newName) => {
-        if (oldName === 'main.tex') return false
+        if (oldName === rootFile) return false
         try {
-            await renameFile(projectId, oldName, newName, sid)
+            await withPendingPath(oldName, () => renameFile(projectId, oldName, newName, sid))
             handleStorageUpdate()
+            // The server moves the main document setting along with its folder
+            const folder = oldName.replace(/\/+$/, '')
+            if (rootFile.startsWith(`${folder}/`)) {
+                setProjectInfo(prev => ({ ...prev, rootFile: newName.replace(/\/+$/, '') + rootFile.substring(folder.length) }))
+            }
             if (activeFileName === oldName) handleFileSelect(newName)
             return true
         } catch (err) {
@@ -195,7 +300,7 @@ function EditorPage() {
 
     const handleSyncTeX = async (page, x, y) => {
         try {
-            const res = await resolveSyncTeX(projectId, page, x, y, sid)
+            const res = await resolveSyncTeX(projectId, page, x, y, sid, pdfTarget.profile)
             if (res.success) {
                 const fileName = res.file.replace(/^\.\//, '')
                 const target = files.find(f => f.name === fileName) || files.find(f => f.name.endsWith('/' + fileName))
@@ -213,6 +318,75 @@ function EditorPage() {
         } catch (err) { console.error(err) }
     }
 
+    // Editor -> PDF: show where the given line of the active file ended up
+    const handleForwardSyncTeX = async (line, column) => {
+        if (!pdfUrl) {
+            toast.info('Compile the project first to jump to the PDF')
+            return
+        }
+        try {
+            const res = await forwardSyncTeX(projectId, activeFileName, line, column, sid, pdfTarget.profile)
+            setPdfLocation({ page: res.page, boxes: res.boxes, timestamp: Date.now() })
+        } catch (err) {
+            toast.error(err.message)
+        }
+    }
+
+    // Editor "copy as image": render the formula and put the PNG (and its source) on the clipboard
+    const handleCopyImage = (selection) => {
+        if (!selection) {
+            toast.info('Select a formula, or put the cursor inside one, to copy it as an image')
+            return
+        }
+        // Rendering runs TeX on the server, which needs edit access like compiling
+        if (isReadOnly) {
+            toast.info('Copying formulas as images needs edit access to this project')
+            return
+        }
+        if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+            toast.error('This browser cannot copy images to the clipboard')
+            return
+        }
+        // Fragments are compiled with the project's engine when it produces PDF in one run
+        const renderEngine = selectedProfile?.engine || engine
+        // The item is created right away (Safari only allows clipboard writes during the key press),
+        // the image follows once rendered
+        const image = renderFragment({
+            projectId,
+            fragment: selection.fragment,
+            preamble: selection.preamble,
+            mode: selection.mode,
+            engine: ['xelatex', 'lualatex'].includes(renderEngine) ? renderEngine : 'pdflatex',
+            sid
+        })
+        const item = new ClipboardItem({
+            'image/png': image,
+            'text/plain': new Blob([selection.source], { type: 'text/plain' })
+        })
+        navigator.clipboard.write([item])
+            .then(() => toast.success('Formula copied as image'))
+            .catch(async (err) => {
+                // A failed render rejects the clipboard write as well, its message is more useful
+                const renderError = await image.then(() => null, e => e)
+                toast.error(renderError?.message || err.message)
+            })
+    }
+
+    // Open the file a log entry points at and jump to its line
+    const handleJumpToDiagnostic = (entry) => {
+        if (!entry?.file) return
+        const target = files.find(f => f.name === entry.file) || files.find(f => f.name.endsWith('/' + entry.file))
+        if (!target) return
+
+        const actualName = target.name
+        if (actualName !== activeFileName) handleFileSelect(actualName)
+        if (entry.line) {
+            setTimeout(() => {
+                setJumpToLine({ file: actualName, line: entry.line, timestamp: Date.now() })
+            }, actualName !== activeFileName ? 150 : 0)
+        }
+    }
+
     const handleJumpToUser = useCallback((collab) => {
         if (!collab || collab.isSelf) return
         if (collab.activeFile && collab.activeFile !== activeFileName) {
@@ -251,9 +425,45 @@ function EditorPage() {
 
     const onCompile = () => {
         setConsoleOpen(true)
-        compile(activeFileName, code, engine, triggerSave)
+        compile(activeFileName, code, engine, saveActiveFile)
+    }
+
+    // Full rebuild for builds stuck on stale aux files
+    const onClearCacheAndCompile = () => {
+        setConsoleOpen(true)
+        compile(activeFileName, code, engine, saveActiveFile, { clearCache: true })
     }
 
+    // Exports are saved like any download
+    const downloadExport = async (request) => {
+        try {
+            await saveActiveFile(code)
+            const { blob, filename } = await request()
+            const url = URL.createObjectURL(blob)
+            const a = document.createElement('a')
+            a.href = url
+            a.download = filename
+            a.click()
+            setTimeout(() => URL.revokeObjectURL(url), 1000)
+            toast.success(`Exported ${filename}`)
+        } catch (err) {
+            toast.error(err.message)
+        }
+    }
+
+    // DOCX/HTML/EPUB of the main document
+    const handleExport = (format, tool, options) => downloadExport(() => exportProject({ projectId, format, tool, options, sid }))
+
+    // Submission zip, built with the selected engine and profile
+    const handleExportSubmission = ({ flatten, stripComments }) => downloadExport(() => exportSubmission({
+        projectId,
+        engine,
+        profile: selectedProfile ? profile : null,
+        flatten,
+        stripComments,
+        sid
+    }))
+
     // Apply global theme
     useEffect(() => {
         document.documentElement.setAttribute('data-theme', theme)
@@ -284,13 +494,27 @@ function EditorPage() {
             }}
         >
             <Toolbar
-                engine={engine}
+                engine={selectedProfile?.engine || engine}
+                engineLocked={!!selectedProfile?.engine}
+                engines={engines}
                 onEngineChange={setEngine}
+                profiles={profiles}
+                profile={selectedProfile ? profile : null}
+                onProfileChange={setProfile}
                 onCompile={onCompile}
+                onStop={isReadOnly ? undefined : cancelCompile}
+                autoCompile={projectInfo?.autoCompile === true}
+                onToggleAutoCompile={isReadOnly ? undefined : handleToggleAutoCompile}
                 isCompiling={isCompiling}
+                queuePosition={queuePosition}
                 theme={theme}
                 onThemeChange={setTheme}
                 pdfUrl={pdfUrl}
+                pdfName={pdfTarget.outputName}
+                exportFormats={exportFormats}
+                cslFiles={files.filter(f => f.name.toLowerCase().endsWith('.csl')).map(f => f.name)}
+                onExport={isReadOnly ? undefined : handleExport}
+                onExportSubmission={isReadOnly ? undefined : handleExportSubmission}
                 projectName={projectInfo?.name}
                 onRenameProject={handleRenameProject}
                 collaborators={liveCollaborators}
@@ -304,12 +528,14 @@ function EditorPage() {
                     projectId={projectId}
                     files={files}
                     activeFile={activeFileName}
+                    rootFile={rootFile}
                     onFileSelect={handleFileSelect}
                     onAddFile={handleAddFile}
                     onDeleteFile={handleDeleteFile}
                     onRenameFile={handleRenameFile}
                     onUploadFile={onUploadFile}
                     onDuplicateFile={handleDuplicateFile}
+                    onSetRootFile={isReadOnly ? undefined : handleSetRootFile}
                     onStorageUpdate={handleStorageUpdate}
                 />
 
@@ -325,8 +551,10 @@ function EditorPage() {
                                         code={code}
                                         onChange={setCode}
                                         onCompile={onCompile}
+                                        onSyncTeX={handleForwardSyncTeX}
+                                        onCopyImage={handleCopyImage}
                                         activeFile={activeFileName}
-                                        errors={compilationErrors}
+                                        errors={diagnostics}
                                         jumpToLine={jumpToLine}
                                         projectId={projectId}
                                         userId={user?.uid}
@@ -334,7 +562,7 @@ function EditorPage() {
                                         yDoc={yDoc}
                                         awareness={awareness}
                                         isSynced={isSynced}
-                                        readOnly={projectInfo?.permission === 'view'}
+                                        readOnly={isReadOnly}
                                     />
                                 ) : (
                                     <FileViewer
@@ -353,7 +581,7 @@ function EditorPage() {
 
                         <div className="resize-handle resize-handle--editor" onMouseDown={handleMouseDown('editor')} />
 
-                        <Preview pdfUrl={pdfUrl} onSyncTeX={handleSyncTeX} />
+                        <Preview pdfUrl={pdfUrl} pdfName={pdfTarget.outputName} onSyncTeX={handleSyncTeX} syncLocation={pdfLocation} projectId={projectId} sid={sid} />
                     </div>
 
                     {!consoleOpen && logs && (
@@ -366,7 +594,7 @@ function EditorPage() {
 
                     <div className={`console-wrapper ${consoleOpen ? 'console-wrapper--open' : ''}`}>
                         <div className="resize-handle resize-handle--console" onMouseDown={handleMouseDown('console')} />
-                        <Console logs={logs} isOpen={consoleOpen} onToggle={() => setConsoleOpen(!consoleOpen)} />
+                        <Console logs={logs} isOpen={consoleOpen} onToggle={() => setConsoleOpen(!consoleOpen)} errors={diagnostics} onJumpTo={handleJumpToDiagnostic} isCompiling={isCompiling} progress={progress} onClearCache={isReadOnly ? undefined : onClearCacheAndCompile} />
                     </div>
                 </div>
             </div>
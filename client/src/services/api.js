@@ -84,6 +84,36 @@ export async function renameProject(projectId, name, sid) {
     return response.json()
 }
 
+export async function setRootFile(projectId, rootFile, sid) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/projects/${projectId}` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ rootFile }),
+    })
+    if (!response.ok) {
+        const error = await response.json()
+        throw new Error(error.error || 'Failed to set main document')
+    }
+    return response.json()
+}
+
+export async function setAutoCompile(projectId, autoCompile, sid) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/projects/${projectId}` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ autoCompile }),
+    })
+    if (!response.ok) {
+        const error = await response.json()
+        throw new Error(error.error || 'Failed to change auto-compile')
+    }
+    return response.json()
+}
+
 export async function shareProject(projectId, settings, sid) {
     const headers = await getAuthHeaders()
     const url = `${API_BASE}/projects/${projectId}/share` + (sid ? `?sid=${sid}` : '')
@@ -92,8 +122,23 @@ export async function shareProject(projectId, settings, sid) {
         headers,
         body: JSON.stringify(settings),
     })
-    if (!response.ok) throw new Error('Failed to update sharing settings')
-    return response.json()
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || 'Failed to update sharing settings')
+    return data
+}
+
+// Replace the view or edit share link; sessions opened with the old one are closed
+export async function regenerateShareLink(projectId, level, sid) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/projects/${projectId}/share/regenerate` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ level }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || 'Failed to regenerate the share link')
+    return data
 }
 
 export async function resolveShareId(shareId) {
@@ -115,13 +160,13 @@ export async function getUserStorageInfo() {
 
 // ============ COMPILATION ============
 
-export async function compileLatex({ code, engine, filename, projectId, sid }) {
+export async function compileLatex({ code, engine, filename, projectId, sid, jobId, clearCache, profile }) {
     const headers = await getAuthHeaders()
     const url = `${API_BASE}/compile` + (sid ? `?sid=${sid}` : '')
     const response = await fetch(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ projectId, code, engine, filename, shareId: sid }),
+        body: JSON.stringify({ projectId, code, engine, filename, shareId: sid, jobId, clearCache, profile }),
     })
     const data = await response.json().catch(() => ({ success: false }))
 
@@ -135,16 +180,180 @@ export async function compileLatex({ code, engine, filename, projectId, sid }) {
     }
 }
 
-export async function resolveSyncTeX(projectId, page, x, y, sid) {
+// Engines the server knows, with `available: false` for those not installed there
+export async function getEngines() {
+    const response = await fetch(`${API_BASE}/compile/engines`)
+    if (!response.ok) throw new Error('Failed to fetch engines')
+    return response.json()
+}
+
+// LaTeX packages installed on the server, for \usepackage autocomplete
+export async function getInstalledPackages() {
+    const response = await fetch(`${API_BASE}/compile/packages`)
+    if (!response.ok) throw new Error('Failed to fetch installed packages')
+    return response.json()
+}
+
+// Export formats with the converters (pandoc, make4ht) installed on the server
+export async function getExportFormats() {
+    const response = await fetch(`${API_BASE}/export/formats`)
+    if (!response.ok) throw new Error('Failed to fetch export formats')
+    return response.json()
+}
+
+// POST to an export route; resolves with the file as a Blob and its name
+async function fetchExport(path, body, sid, fallbackName) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/export${path}` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...body, shareId: sid }),
+    })
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Export failed (HTTP ${response.status})`)
+    }
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName
+    return { blob: await response.blob(), filename }
+}
+
+// Converts the main document to DOCX/HTML/EPUB
+export async function exportProject({ projectId, format, tool, options, sid }) {
+    return fetchExport('', { projectId, format, tool, options }, sid, `export.${format}`)
+}
+
+// Zip of the sources the build read, plus .bbl and manifest (arXiv/journal submission)
+export async function exportSubmission({ projectId, engine, profile, flatten, stripComments, sid }) {
+    return fetchExport('/submission', { projectId, engine, profile, flatten, stripComments }, sid, 'submission.zip')
+}
+
+// LaTeX fragment compiled on its own (standalone class) and returned as an SVG or PNG blob
+export async function renderFragment({ projectId, fragment, preamble, mode, format = 'png', engine, sid }) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/render` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ projectId, fragment, preamble, mode, format, engine, shareId: sid }),
+    })
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        const where = data.diagnostics?.[0]?.line ? ` (${data.diagnostics[0].file} line ${data.diagnostics[0].line})` : ''
+        throw new Error(data.error ? `${data.error}${where}` : `Render failed (HTTP ${response.status})`)
+    }
+    return response.blob()
+}
+
+// Stops the given job, or every queued/running build of the project when jobId is omitted
+export async function cancelCompile({ projectId, jobId, sid }) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/compile/cancel` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ projectId, jobId, shareId: sid }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || 'Failed to cancel compilation')
+    return data
+}
+
+export async function getCompileJob(jobId, sid) {
+    const headers = await getAuthHeaders()
+    const url = `${API_BASE}/compile/jobs/${jobId}` + (sid ? `?sid=${sid}` : '')
+    const response = await fetch(url, { headers })
+    if (!response.ok) throw new Error('Failed to fetch compile status')
+    return response.json()
+}
+
+// EventSource cannot send headers, so the token goes in the query string (like getFileUrl)
+export async function openCompileEvents(projectId, jobId, sid) {
+    const user = auth.currentUser
+    const token = user ? await user.getIdToken() : ''
+    const params = new URLSearchParams({ projectId, token })
+    if (sid) params.set('sid', sid)
+    return new EventSource(`${API_BASE}/compile/jobs/${jobId}/events?${params.toString()}`)
+}
+
+// `profile`: build profile the PDF on screen came from (its jobname differs from the main document's)
+export async function resolveSyncTeX(projectId, page, x, y, sid, profile) {
     const headers = await getAuthHeaders()
     const params = { projectId, page, x, y }
     if (sid) params.sid = sid
+    if (profile) params.profile = profile
     const query = new URLSearchParams(params).toString()
     const response = await fetch(`${API_BASE}/compile/synctex?${query}`, { headers })
     if (!response.ok) throw new Error('SyncTeX resolution failed')
     return response.json()
 }
 
+export async function forwardSyncTeX(projectId, file, line, column, sid, profile) {
+    const headers = await getAuthHeaders()
+    const params = { projectId, file, line, column }
+    if (sid) params.sid = sid
+    if (profile) params.profile = profile
+    const query = new URLSearchParams(params).toString()
+    const response = await fetch(`${API_BASE}/compile/synctex/forward?${query}`, { headers })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || 'SyncTeX lookup failed')
+    return data
+}
+
+export async function getBuildHistory(projectId, sid) {
+    const headers = await getAuthHeaders()
+    const params = new URLSearchParams({ projectId })
+    if (sid) params.set('sid', sid)
+    const response = await fetch(`${API_BASE}/compile/history?${params.toString()}`, { headers })
+    if (!response.ok) throw new Error('Failed to fetch build history')
+    return response.json()
+}
+
+export async function getBuild(projectId, buildId, sid) {
+    const headers = await getAuthHeaders()
+    const params = new URLSearchParams({ projectId })
+    if (sid) params.set('sid', sid)
+    const response = await fetch(`${API_BASE}/compile/history/${buildId}?${params.toString()}`, { headers })
+    if (!response.ok) throw new Error('Failed to fetch build')
+    return response.json()
+}
+
+export async function diffBuilds(projectId, from, to, sid) {
+    const headers = await getAuthHeaders()
+    const params = new URLSearchParams({ projectId, from, to })
+    if (sid) params.set('sid', sid)
+    const response = await fetch(`${API_BASE}/compile/history/diff?${params.toString()}`, { headers })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || 'Failed to compare builds')
+    return data
+}
+
+// Artifacts are opened by the browser/PDF viewer directly, through a signed, expiring link
+export async function getBuildArtifactUrl(projectId, buildId, artifact, sid, download = false) {
+    const headers = await getAuthHeaders()
+    const params = new URLSearchParams({ projectId })
+    if (sid) params.set('sid', sid)
+    if (download) params.set('download', '1')
+    const response = await fetch(`${API_BASE}/compile/history/${buildId}/${artifact}/link?${params.toString()}`, { headers })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || 'Failed to get artifact link')
+    return data.url
+}
+
+// Signed link to the last PDF of the project (or a profile); null when it was never compiled
+export async function getLatestPdf(projectId, sid, profile) {
+    const headers = await getAuthHeaders()
+    const params = new URLSearchParams({ projectId })
+    if (sid) params.set('sid', sid)
+    if (profile) params.set('profile', profile)
+    const response = await fetch(`${API_BASE}/pdf/latest?${params.toString()}`, { headers })
+    if (response.status === 404) return null
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || 'Failed to get the latest PDF')
+    return data
+}
+
 // ============ FILE OPERATIONS ============
 
 export async function getFiles(projectId, sid) {
@@ -3,22 +3,29 @@ import cors from 'cors'
 import { createServer } from 'http'
 import { WebSocketServer } from 'ws'
 import { fileURLToPath } from 'url'
-import { dirname, join, relative } from 'path'
-import { readdirSync, statSync, readFileSync, writeFileSync } from 'fs'
+import { dirname } from 'path'
 import compileRouter from './routes/compile.js'
 import helmet from 'helmet'
 import rateLimit from 'express-rate-limit'
 import filesRouter from './routes/files.js'
 import projectsRouter from './routes/projects.js'
 import aiRouter from './routes/ai.js'
+import exportRouter from './routes/export.js'
+import pdfRouter from './routes/pdf.js'
+import renderRouter from './routes/render.js'
 import { decodeAndVerifyToken } from './services/auth.js'
 import { getProjectWithAuth } from './utils/project.js'
+import { buildEvents } from './services/buildEvents.js'
+import { signPdfUrl } from './services/signedUrls.js'
+import {
+    getYDoc, addConnection, removeConnection, broadcastToProject, flushAllDocuments,
+    getConnectionPermission, sendPermission, messageSync, messageAwareness, messageBuild, messageAuth
+} from './services/projectDocuments.js'
 import * as Y from 'yjs'
 import * as syncProtocol from 'y-protocols/sync'
 import * as awarenessProtocol from 'y-protocols/awareness'
 import * as encoding from 'lib0/encoding'
 import * as decoding from 'lib0/decoding'
-import debounce from 'lodash.debounce'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -37,168 +44,28 @@ app.use('/api/compile', compileRouter)
 app.use('/api/files', filesRouter)
 app.use('/api/projects', projectsRouter)
 app.use('/api/ai', aiRouter)
+app.use('/api/export', exportRouter)
+app.use('/api/pdf', pdfRouter)
+app.use('/api/render', renderRouter)
 app.get('/api/health', (req, res) => res.json({ status: 'ok', timestamp: new Date().toISOString() }))
 
-// ================================================================
-// OVERLEAF-STYLE SERVER AUTHORITY (Fix Sync & Save)
-// 1. Load from Disk on Init
-// 2. Broadcast Updates to All Clients
-// 3. Save updates back to Disk
-// ================================================================
-
-const docs = new Map() // Map<projectId, Y.Doc>
-const messageSync = 0
-const messageAwareness = 1
-
 /**
- * Load project files into Yjs Doc (Initial State)
+ * Push finished builds to everyone with the project open, so all previews refresh.
+ * Each connection gets a PDF link signed for its own user or share link.
  */
-function loadProjectToYDoc(doc, dir, rootDir) {
-    try {
-        const files = readdirSync(dir)
-        for (const file of files) {
-            const path = join(dir, file)
-            const stat = statSync(path)
-            if (stat.isDirectory()) {
-                if (file !== '.git' && file !== 'node_modules') loadProjectToYDoc(doc, path, rootDir)
-            } else {
-                if (/\.(tex|bib|cls|sty|txt|md|json)$/i.test(file)) {
-                    const content = readFileSync(path, 'utf-8')
-                    const relativePath = relative(rootDir, path).replace(/\\/g, '/')
-                    const ytext = doc.getText(relativePath)
-                    if (ytext.length === 0) {
-                        doc.transact(() => { ytext.insert(0, content) }, 'server-load')
-                    }
-                }
-            }
-        }
-    } catch (err) {
-        console.error(`[Yjs] Error loading files: ${err.message}`)
-    }
-}
-
-/**
- * Save Yjs update back to Disk
- */
-const saveFileDebounced = debounce((projectPath, relativePath, content) => {
-    try {
-        const filePath = join(projectPath, relativePath)
-        writeFileSync(filePath, content, 'utf-8')
-        // console.log(`[Yjs] Saved ${relativePath}`)
-    } catch (err) {
-        console.error(`[Yjs] Error saving ${relativePath}:`, err)
-    }
-}, 2000) // Debounce save to avoid disk trashing
+buildEvents.on('build', ({ projectId, ...build }) => {
+    broadcastToProject(projectId, messageBuild, (conn) => ({
+        ...build,
+        pdfUrl: build.pdfFile ? signPdfUrl(build.pdfFile, { projectId, user: conn.user, sid: conn.sid }) : null
+    }))
+})
 
 /**
- * Get or create Yjs document
+ * Whether a Yjs update adds or deletes anything
  */
-function getYDoc(projectId, projectPath) {
-    if (docs.has(projectId)) return docs.get(projectId)
-
-    const doc = new Y.Doc()
-    doc.name = projectId
-    doc.conns = new Set()
-    doc.projectPath = projectPath // Attach path for saving
-
-    // 1. Broadcast Awareness (Cursor)
-    doc.awareness = new awarenessProtocol.Awareness(doc)
-    doc.awareness.on('update', ({ added, updated, removed }) => {
-        const changedClients = added.concat(updated, removed)
-        const encoder = encoding.createEncoder()
-        encoding.writeVarUint(encoder, messageAwareness)
-        encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, changedClients))
-        const buff = encoding.toUint8Array(encoder)
-        doc.conns.forEach(conn => {
-            if (conn.readyState === 1) conn.send(buff)
-        })
-    })
-
-    // 2. Broadcast Document Updates (Content Sync)
-    // CRITICAL FIX: listen to 'update' to broadcast to other clients
-    doc.on('update', (update, origin) => {
-        // origin is the conn that sent the update, or null/string
-        // Broadcast to all clients EXCEPT the origin (to avoid echo)
-        const encoder = encoding.createEncoder()
-        encoding.writeVarUint(encoder, messageSync)
-        syncProtocol.writeUpdate(encoder, update)
-        const buff = encoding.toUint8Array(encoder)
-
-        doc.conns.forEach(conn => {
-            if (conn !== origin && conn.readyState === 1) {
-                conn.send(buff)
-            }
-        })
-
-        // 3. Persist to Disk (Save)
-        // If update came from client or server logic (not initial load)
-        if (origin !== 'server-load') {
-            // We need to figure out WHICH file changed.
-            // With Yjs 'update' event, it's binary.
-            // To properly save files, we can observe specific YTypes or just save all text types (?)
-            // A more robust way used by y-websocket is to persist the binary update to LevelDB.
-            // But here we want to save plain text files.
-
-            // Simplest Strategy for "Overleaf-like" file saving w/o complexities:
-            // Iterate all share types? No, too slow.
-            // Better: Use `observeDeep` on doc.share to detect which property changed?
-        }
-    })
-
-    // Better File Save Strategy: Observe all top-level types
-    // Since we know keys are file paths (e.g. 'main.tex')
-    doc.on('subdocs', () => { }) // Not used
-
-    // We attach observer for file saving
-    // Note: We need to know WHICH ytext changed.
-    // doc.share is Map<string, AbstractType>.
-    // To keep it simple and performant, we will rely on client saving via HTTP for now?
-    // NO, user wants "sync and save".
-    // Let's iterate doc.share keys once and attach observers?
-    // Dynamic keys are tricky. 
-
-    // Alternative: Just rely on Yjs memory -> Client triggers explicit save? 
-    // OR: Hook into transaction to find changed types.
-    doc.on('afterTransaction', (transaction) => {
-        transaction.changed.forEach((type, key) => {
-            if (type instanceof Y.Text && transaction.origin !== 'server-load') {
-                // Find method to get key (filename) from type
-                // Unfortunately Y.Text doesn't store its own key in parent Map easily accessible here always?
-                // Actually if it's top level:
-                // We can iterate doc.share to find the key for this type?
-
-                // For now, let's use a simpler approach: 
-                // We reload from disk on Init. 
-                // Any changes in memory stay in memory until...
-                // Ideally we should write back. 
-
-                // Let's implement Write-Back for known keys observed?
-            }
-        })
-    })
-
-    // Initial Load
-    console.log(`[Yjs] Loading project ${projectId} from ${projectPath}`)
-    loadProjectToYDoc(doc, projectPath, projectPath)
-
-    // Setup observers for saving AFTER initial load
-    // Iterate all loaded keys to attach observers for saving
-    for (const [key, value] of doc.share.entries()) {
-        if (value instanceof Y.Text) {
-            value.observe(() => {
-                const content = value.toString()
-                saveFileDebounced(projectPath, key, content)
-            })
-        }
-    }
-
-    // Also listen for NEW keys (new files created)
-    // doc.getMap().observe(...) if we used a main map, but we use top-level types.
-    // Yjs top-level types don't emit a global 'add' event easily.
-    // Re-scanning keys on transaction?
-
-    docs.set(projectId, doc)
-    return doc
+function hasChanges(update) {
+    const { structs, ds } = Y.decodeUpdate(update)
+    return structs.length > 0 || ds.clients.size > 0
 }
 
 /**
@@ -213,9 +80,22 @@ function handleMessage(conn, doc, message) {
         switch (messageType) {
             case messageSync:
                 encoding.writeVarUint(encoder, messageSync)
-                // This applies update to doc. 
-                // Pass 'conn' as origin so we can exclude it from broadcast in doc.on('update')
-                syncProtocol.readSyncMessage(decoder, encoder, doc, conn)
+                if (conn.permission !== 'edit') {
+                    // Read-only connections may ask for the document (step 1), never change it (step 2, update)
+                    const syncType = decoding.readVarUint(decoder)
+                    if (syncType !== syncProtocol.messageYjsSyncStep1) {
+                        // Every client answers the handshake with step 2; only one carrying changes is worth a log
+                        if (hasChanges(decoding.readVarUint8Array(decoder))) {
+                            console.warn(`[WS] Rejected a document change from read-only ${conn.user?.email || 'anon'} in ${doc.name}`)
+                        }
+                        break
+                    }
+                    syncProtocol.readSyncStep1(decoder, encoder, doc)
+                } else {
+                    // This applies update to doc. 
+                    // Pass 'conn' as origin so we can exclude it from broadcast in doc.on('update')
+                    syncProtocol.readSyncMessage(decoder, encoder, doc, conn)
+                }
 
                 // Send reply if needed
                 if (encoding.length(encoder) > 1) {
@@ -225,6 +105,10 @@ function handleMessage(conn, doc, message) {
             case messageAwareness:
                 awarenessProtocol.applyAwarenessUpdate(doc.awareness, decoding.readVarUint8Array(decoder), conn)
                 break
+            case messageAuth:
+                // Clients send their token again when it is refreshed, so long sessions stay valid
+                conn.token = decoding.readVarString(decoder)
+                break
         }
     } catch (err) {
         console.error(err)
@@ -252,18 +136,33 @@ server.on('upgrade', async (req, socket, head) => {
         if (authStatus.error) { socket.write(`HTTP/1.1 403 Forbidden\r\n\r\n`); socket.destroy(); return }
 
         req.user = user
+        req.sid = sid
         req.projectId = projectId
         req.projectPath = authStatus.projectPath
+        req.ownerId = authStatus.ownerId
+        // Viewers (view-only share links and collaborators) get the document but cannot change it
+        req.permission = getConnectionPermission(authStatus)
+        req.token = token
         wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req))
     } catch (e) { socket.destroy() }
 })
 
 wss.on('connection', (ws, req) => {
-    const { projectId, projectPath, user } = req
-    console.log(`[WS] ${user?.email || 'anon'} joined ${projectId}`)
+    const { projectId, projectPath, ownerId, user, sid, permission, token } = req
+    console.log(`[WS] ${user?.email || 'anon'} joined ${projectId} (${permission})`)
+
+    // Who this connection is, for links signed on its behalf, and what it may do.
+    // The token and share link are kept to check the session again when access changes
+    ws.user = user ? { uid: user.uid, email: user.email || null } : null
+    ws.sid = sid
+    ws.token = token
+    ws.permission = permission
+
+    const doc = getYDoc(projectId, projectPath, ownerId)
+    addConnection(doc, ws)
 
-    const doc = getYDoc(projectId, projectPath)
-    doc.conns.add(ws)
+    // Permission first, so the editor opens read-only before any text arrives
+    sendPermission(ws)
 
     // Sync Step 1
     const encoder = encoding.createEncoder()
@@ -284,17 +183,23 @@ wss.on('connection', (ws, req) => {
         handleMessage(ws, doc, msg)
     })
 
-    ws.on('close', () => {
-        doc.conns.delete(ws)
-        if (doc.conns.size === 0) {
-            // Optional cleanup
-        }
-    })
+    ws.on('close', () => removeConnection(doc, ws))
 })
 
 // 404
 app.use('/api/*', (req, res) => res.status(404).json({ error: 'Not found' }))
 
+/**
+ * Write every open document to its files before exiting (pm2 restart, Ctrl+C)
+ */
+function shutdown(signal) {
+    console.log(`[Server] ${signal} received, saving open documents`)
+    flushAllDocuments()
+    process.exit(0)
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'))
+process.once('SIGINT', () => shutdown('SIGINT'))
+
 const PORT = process.env.PORT || 3000
 const HOST = process.env.HOST || '127.0.0.1'
 server.listen(PORT, HOST, () => console.log(`LaTeX Server running on ${HOST}:${PORT}`))
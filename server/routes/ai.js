@@ -1,7 +1,8 @@
 import express from 'express'
 import { verifyToken } from '../services/auth.js'
-import { getProjectWithAuth } from '../utils/project.js'
-import { existsSync, readFileSync, writeFileSync, mkdirSync, unlinkSync, readdirSync, statSync } from 'fs'
+import { getProjectWithAuth, getRootFile, resolveProjectPath } from '../utils/project.js'
+import { writeProjectFile, deleteProjectPath, flushProjectDocument } from '../services/projectDocuments.js'
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs'
 import { join, dirname, extname } from 'path'
 import { fileURLToPath } from 'url'
 
@@ -60,7 +61,7 @@ const TOOLS = [
     },
     {
         name: 'delete_file',
-        description: 'Delete a file from the project (cannot delete main.tex)',
+        description: 'Delete a file from the project (cannot delete the main document)',
         parameters: {
             type: 'object',
             properties: {
@@ -158,7 +159,10 @@ router.post('/chat', async (req, res) => {
         const auth = getProjectWithAuth(req.user, projectId, 'edit')
         if (auth.error) return res.status(auth.status).json({ error: auth.error })
 
-        const { projectPath } = auth
+        const { projectPath, metadata } = auth
+
+        // The model reads the files as the editors have them
+        flushProjectDocument(projectId)
 
         // Build initial context (minimal - just file list)
         const fileList = getFileList(projectPath)
@@ -171,7 +175,7 @@ router.post('/chat', async (req, res) => {
         const contents = buildConversation(systemInstruction, conversationHistory, message, images)
 
         // Call Gemini API with function calling
-        const response = await callGeminiWithTools(apiKey, model, contents, projectPath)
+        const response = await callGeminiWithTools(apiKey, model, contents, auth, getRootFile(metadata))
 
         if (response.error) {
             return res.status(400).json({ error: response.error })
@@ -217,8 +221,8 @@ function getFileList(projectPath, basePath = '') {
  */
 function readFileSafe(projectPath, filePath) {
     try {
-        const fullPath = join(projectPath, filePath)
-        if (!fullPath.startsWith(projectPath)) return null // Security check
+        const fullPath = resolveProjectPath(projectPath, filePath)
+        if (!fullPath) return null // Security check (outside the project, or .project.json)
         if (!existsSync(fullPath)) return null
         const stats = statSync(fullPath)
         if (stats.size > 50000) return '[File too large]'
@@ -342,7 +346,7 @@ function buildConversation(systemInstruction, history, currentMessage, images =
 /**
  * Call Gemini API with function calling
  */
-async function callGeminiWithTools(apiKey, model, contents, projectPath) {
+async function callGeminiWithTools(apiKey, model, contents, project, rootFile) {
     const operations = []
     let finalMessage = ''
     let iterationCount = 0
@@ -441,7 +445,7 @@ async function callGeminiWithTools(apiKey, model, contents, projectPath) {
                     const { name, args } = callPart.functionCall
 
                     // Execute the function
-                    const result = executeFunction(name, args, projectPath, operations)
+                    const result = executeFunction(name, args, project, operations, rootFile)
 
                     // Add result to conversation for next iteration
                     contents.push({
@@ -475,7 +479,8 @@ async function callGeminiWithTools(apiKey, model, contents, projectPath) {
 /**
  * Execute a tool function
  */
-function executeFunction(name, args, projectPath, operations) {
+function executeFunction(name, args, project, operations, rootFile = 'main.tex') {
+    const { projectPath } = project
     try {
         switch (name) {
             case 'read_file': {
@@ -490,13 +495,10 @@ function executeFunction(name, args, projectPath, operations) {
             }
 
             case 'create_file': {
-                const filePath = join(projectPath, args.file_path)
-                if (!filePath.startsWith(projectPath)) return { success: false, error: 'Access denied' }
-                const parentDir = dirname(filePath)
-                if (!existsSync(parentDir)) {
-                    mkdirSync(parentDir, { recursive: true })
-                }
-                writeFileSync(filePath, args.content || '')
+                const filePath = resolveProjectPath(projectPath, args.file_path)
+                if (!filePath) return { success: false, error: 'Access denied' }
+                // Through the document service, so open editors see the change
+                writeProjectFile(project, args.file_path, args.content || '', { action: 'create' })
                 operations.push({
                     type: 'create',
                     file: args.file_path,
@@ -507,12 +509,12 @@ function executeFunction(name, args, projectPath, operations) {
             }
 
             case 'edit_file': {
-                const filePath = join(projectPath, args.file_path)
-                if (!filePath.startsWith(projectPath)) return { success: false, error: 'Access denied' }
+                const filePath = resolveProjectPath(projectPath, args.file_path)
+                if (!filePath) return { success: false, error: 'Access denied' }
                 if (!existsSync(filePath)) {
                     return { success: false, error: 'File not found' }
                 }
-                writeFileSync(filePath, args.content || '')
+                writeProjectFile(project, args.file_path, args.content || '')
                 operations.push({
                     type: 'edit',
                     file: args.file_path,
@@ -523,13 +525,13 @@ function executeFunction(name, args, projectPath, operations) {
             }
 
             case 'delete_file': {
-                if (args.file_path === 'main.tex') {
-                    return { success: false, error: 'Cannot delete main.tex' }
+                if (args.file_path === rootFile) {
+                    return { success: false, error: `Cannot delete the main document (${rootFile})` }
                 }
-                const filePath = join(projectPath, args.file_path)
-                if (!filePath.startsWith(projectPath)) return { success: false, error: 'Access denied' }
+                const filePath = resolveProjectPath(projectPath, args.file_path)
+                if (!filePath) return { success: false, error: 'Access denied' }
                 if (existsSync(filePath)) {
-                    unlinkSync(filePath)
+                    deleteProjectPath(project, args.file_path)
                     operations.push({
                         type: 'delete',
                         file: args.file_path,
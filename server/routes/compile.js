@@ -1,8 +1,16 @@
 import express from 'express'
-import { compileLatex, resolveSyncTeX } from '../services/latex.js'
+import { compileLatex, resolveSyncTeX, resolveForwardSyncTeX } from '../services/latex.js'
 import admin from 'firebase-admin'
 import { verifyTokenOptional } from '../services/auth.js'
 import { getProjectWithAuth } from '../utils/project.js'
+import { enqueueCompile, getJob, getJobStatus, subscribeToJob, cancelJob, cancelProjectJobs } from '../services/compileQueue.js'
+import { listBuilds, getBuild, getBuildArtifact, diffBuilds } from '../services/buildHistory.js'
+import { publishBuild } from '../services/buildEvents.js'
+import { listEngines, DEFAULT_ENGINE } from '../services/engines.js'
+import { resolveBuildProfile } from '../services/buildProfiles.js'
+import { listInstalledPackages } from '../services/packages.js'
+import { signUrl, signPdfUrl, verifySignedUrl } from '../services/signedUrls.js'
+import { flushProjectDocument } from '../services/projectDocuments.js'
 
 const router = express.Router()
 
@@ -13,7 +21,7 @@ router.use(verifyTokenOptional)
 router.post('/', async (req, res) => {
     try {
         const userId = req.user?.uid || null
-        const { projectId, filename, engine, code } = req.body
+        const { projectId, engine, code, jobId, clearCache, profile } = req.body
         const shareId = req.query.sid || req.body.shareId || req.headers['x-share-id']
 
         // Check permissions
@@ -22,21 +30,69 @@ router.post('/', async (req, res) => {
             return res.status(auth.status).json({ success: false, error: auth.error })
         }
 
-        console.log(`[Compile] Request for project ${projectId} by user ${userId || 'anonymous'} (${engine || 'pdflatex'})`)
+        // The root document comes from the project settings (or the build profile), not from the client
+        const target = resolveBuildProfile(auth.metadata, profile, engine)
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Unknown build profile "${profile}"` })
+        }
+        const { rootFile } = target
+
+        console.log(`[Compile] Request for project ${projectId} (${rootFile}${target.profile ? `, profile ${target.profile}` : ''}) by user ${userId || 'anonymous'} (${target.engine || DEFAULT_ENGINE})`)
+
+        // Builds go through the queue: fair across users, one at a time per project
+        const userKey = userId || (shareId ? `share:${shareId}` : `ip:${req.ip}`)
+        const user = { uid: userId, email: req.user?.email || null }
+        const job = enqueueCompile({
+            projectId,
+            target: target.profile,
+            userKey,
+            jobId,
+            run: (emit, signal) => {
+                // The build reads from disk, so edits not written yet go first
+                flushProjectDocument(auth.projectId)
+                return compileLatex(projectId, target.engine, rootFile, code, userId, {
+                    onEvent: emit,
+                    signal,
+                    timeout: auth.metadata.compileTimeout ? auth.metadata.compileTimeout * 1000 : undefined,
+                    shellEscape: auth.metadata.shellEscape === true,
+                    clearCache: clearCache === true,
+                    user,
+                    profile: target.profile,
+                    jobname: target.jobname,
+                    macros: target.macros,
+                    outputName: target.outputName
+                })
+            }
+        })
+        const result = await job.promise
 
-        const result = await compileLatex(projectId, engine, filename, code, userId)
+        // Coalesced requests share one job, so only announce it once
+        if (!job.coalesced) publishBuild(projectId, { jobId: job.id, result, profile: target.profile, user })
 
         if (result.success) {
             res.json({
                 success: true,
-                pdf: `/api/files/temp/${result.pdfPath}`,
-                logs: result.logs
+                jobId: job.id,
+                pdf: signPdfUrl(result.pdfPath, { projectId: auth.projectId, user: req.user, sid: shareId }),
+                pdfFile: result.pdfPath,
+                outputName: result.outputName,
+                profile: target.profile,
+                logs: result.logs,
+                diagnostics: result.diagnostics,
+                passes: result.passes,
+                buildId: result.buildId,
+                cached: result.cached === true
             })
         } else {
             res.status(400).json({
                 success: false,
+                jobId: job.id,
                 logs: result.logs,
-                errors: result.errors
+                errors: result.errors,
+                diagnostics: result.diagnostics,
+                passes: result.passes,
+                buildId: result.buildId,
+                cancelled: result.cancelled === true
             })
         }
 
@@ -50,10 +106,108 @@ router.post('/', async (req, res) => {
     }
 })
 
+// GET /api/compile/engines - engines this server knows and whether each one is installed
+router.get('/engines', (req, res) => {
+    res.json({ success: true, engines: listEngines(), default: DEFAULT_ENGINE })
+})
+
+// GET /api/compile/packages - LaTeX packages installed on this server (for autocomplete)
+router.get('/packages', async (req, res) => {
+    try {
+        const packages = await listInstalledPackages()
+        if (!packages) {
+            return res.status(501).json({ success: false, error: 'kpsewhich is not available on this server', unavailable: true })
+        }
+        res.set('Cache-Control', 'private, max-age=3600')
+        res.json({ success: true, packages })
+    } catch (error) {
+        console.error('[Packages] Error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// POST /api/compile/cancel - stop a compile job, or every build of a project
+router.post('/cancel', (req, res) => {
+    try {
+        const { projectId, jobId } = req.body
+        const shareId = req.query.sid || req.body.shareId || req.headers['x-share-id']
+
+        const job = jobId ? getJob(jobId) : null
+        if (jobId && !job) return res.status(404).json({ success: false, error: 'Job not found' })
+
+        const auth = getProjectWithAuth(req.user, job ? job.projectId : projectId, 'edit', shareId)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const cancelled = job
+            ? (cancelJob(job.id) ? [job.id] : [])
+            : cancelProjectJobs(projectId)
+
+        console.log(`[Compile] Cancel requested for ${job ? `job ${job.id}` : `project ${projectId}`} by user ${req.user?.uid || 'anonymous'}: ${cancelled.length} cancelled`)
+        res.json({ success: true, cancelled })
+    } catch (error) {
+        console.error('[Compile] Cancel error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/jobs/:jobId - queue state of a compile job
+router.get('/jobs/:jobId', (req, res) => {
+    const job = getJob(req.params.jobId)
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' })
+
+    const shareId = req.query.sid || req.headers['x-share-id']
+    const auth = getProjectWithAuth(req.user, job.projectId, 'view', shareId)
+    if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+    res.json({ success: true, ...getJobStatus(req.params.jobId) })
+})
+
+// GET /api/compile/jobs/:jobId/events?projectId= - live build output as Server-Sent Events
+// The client opens this right after POSTing, so wait briefly for the job to be registered.
+// Access is checked first: only people who can read the project wait, and only for its jobs
+router.get('/jobs/:jobId/events', async (req, res) => {
+    const { jobId } = req.params
+    const { projectId } = req.query
+    const shareId = req.query.sid || req.headers['x-share-id']
+    if (!projectId) return res.status(400).json({ success: false, error: 'Missing projectId' })
+
+    const auth = getProjectWithAuth(req.user, projectId, 'view', shareId)
+    if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+    let job = getJob(jobId)
+    for (let waited = 0; !job && waited < 10000; waited += 200) {
+        await new Promise(resolve => setTimeout(resolve, 200))
+        job = getJob(jobId)
+    }
+    if (!job || job.projectId !== projectId) return res.status(404).json({ success: false, error: 'Job not found' })
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+    })
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+    let unsubscribe = () => { }
+    const close = () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+        res.end()
+    }
+
+    unsubscribe = subscribeToJob(jobId, (event) => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+        if (event.type === 'done') setImmediate(close)
+    }) || (() => { })
+
+    req.on('close', close)
+})
+
 // GET /api/compile/synctex
 router.get('/synctex', async (req, res) => {
     try {
-        const { projectId, page, x, y, sid } = req.query
+        const { projectId, page, x, y, sid, profile } = req.query
         if (!projectId || !page || !x || !y) {
             return res.status(400).json({ success: false, error: 'Missing parameters' })
         }
@@ -61,7 +215,10 @@ router.get('/synctex', async (req, res) => {
         const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
         if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
 
-        const result = await resolveSyncTeX(projectId, parseInt(page), parseFloat(x), parseFloat(y))
+        const target = resolveBuildProfile(auth.metadata, profile)
+        if (!target) return res.status(404).json({ success: false, error: `Unknown build profile "${profile}"` })
+
+        const result = await resolveSyncTeX(projectId, parseInt(page), parseFloat(x), parseFloat(y), target.rootFile, target.jobname)
         res.json({ success: true, ...result })
     } catch (error) {
         console.error('[SyncTeX] Error:', error)
@@ -69,4 +226,121 @@ router.get('/synctex', async (req, res) => {
     }
 })
 
+// GET /api/compile/synctex/forward - source line to PDF location
+router.get('/synctex/forward', async (req, res) => {
+    try {
+        const { projectId, file, line, column, sid, profile } = req.query
+        if (!projectId || !file || !line) {
+            return res.status(400).json({ success: false, error: 'Missing parameters' })
+        }
+
+        const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const target = resolveBuildProfile(auth.metadata, profile)
+        if (!target) return res.status(404).json({ success: false, error: `Unknown build profile "${profile}"` })
+
+        const result = await resolveForwardSyncTeX(projectId, file, parseInt(line), parseInt(column) || 0, target.rootFile, target.jobname)
+        res.json({ success: true, ...result })
+    } catch (error) {
+        // No record for the line (404) or a file outside the project (403); anything else is a failure
+        console.error('[SyncTeX] Forward error:', error.message)
+        res.status(error.status || 500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/history - last builds of a project, newest first
+router.get('/history', (req, res) => {
+    try {
+        const { projectId, sid } = req.query
+        const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        res.json({ success: true, builds: listBuilds(auth.projectId) })
+    } catch (error) {
+        console.error('[History] List error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/history/diff?from=&to= - what changed between two builds
+router.get('/history/diff', (req, res) => {
+    try {
+        const { projectId, from, to, sid } = req.query
+        const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const diff = diffBuilds(auth.projectId, from, to)
+        if (!diff) return res.status(404).json({ success: false, error: 'Build not found' })
+        res.json({ success: true, ...diff })
+    } catch (error) {
+        console.error('[History] Diff error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/history/:buildId - build metadata and diagnostics
+router.get('/history/:buildId', (req, res) => {
+    try {
+        const { projectId, sid } = req.query
+        const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const build = getBuild(auth.projectId, req.params.buildId)
+        if (!build) return res.status(404).json({ success: false, error: 'Build not found' })
+        res.json({ success: true, build })
+    } catch (error) {
+        console.error('[History] Fetch error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/history/:buildId/:artifact/link - signed link to an artifact, for the
+// browser or the PDF viewer to open directly
+router.get('/history/:buildId/:artifact/link', (req, res) => {
+    try {
+        const { projectId, sid, download } = req.query
+        const { buildId, artifact } = req.params
+        const auth = getProjectWithAuth(req.user, projectId, 'view', sid)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        if (!getBuildArtifact(auth.projectId, buildId, artifact)) {
+            return res.status(404).json({ success: false, error: 'Artifact not found' })
+        }
+
+        const url = signUrl(
+            `/api/compile/history/${encodeURIComponent(buildId)}/${encodeURIComponent(artifact)}`,
+            { projectId: auth.projectId, user: req.user, sid },
+            download ? { download: '1' } : {}
+        )
+        res.json({ success: true, url })
+    } catch (error) {
+        console.error('[History] Link error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/compile/history/:buildId/:artifact - pdf, log, bbl or aux of a build (signed link)
+router.get('/history/:buildId/:artifact', (req, res) => {
+    try {
+        const { download } = req.query
+        const { buildId, artifact } = req.params
+        const auth = verifySignedUrl(req)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const file = getBuildArtifact(auth.projectId, buildId, artifact)
+        if (!file) return res.status(404).json({ success: false, error: 'Artifact not found' })
+
+        const disposition = artifact === 'pdf' && !download ? 'inline' : 'attachment'
+        res.setHeader('Content-Type', file.contentType)
+        res.setHeader('Content-Disposition', `${disposition}; filename="build-${buildId}.${artifact}"`)
+        // Artifacts of a recorded build never change
+        res.setHeader('Cache-Control', 'private, max-age=3600, immutable')
+        res.sendFile(file.path, { acceptRanges: true, etag: true, cacheControl: false })
+    } catch (error) {
+        console.error('[History] Artifact error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
 export default router
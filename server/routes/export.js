@@ -0,0 +1,134 @@
+import express from 'express'
+import { v4 as uuidv4 } from 'uuid'
+import { verifyTokenOptional } from '../services/auth.js'
+import { getProjectWithAuth, getRootFile } from '../utils/project.js'
+import { enqueueCompile } from '../services/compileQueue.js'
+import { listExportFormats, resolveExportTool, exportProject, IMAGE_MODES } from '../services/exporter.js'
+import { compileLatex } from '../services/latex.js'
+import { buildSubmissionBundle } from '../services/submission.js'
+import { resolveBuildProfile } from '../services/buildProfiles.js'
+import { flushProjectDocument } from '../services/projectDocuments.js'
+
+const router = express.Router()
+
+router.use(verifyTokenOptional)
+
+// GET /api/export/formats - export formats and the tools installed for them
+router.get('/formats', (req, res) => {
+    res.json({ success: true, formats: listExportFormats(), imageModes: IMAGE_MODES })
+})
+
+// POST /api/export - convert the main document, responds with the file
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user?.uid || null
+        const { projectId, format, tool: requestedTool, options = {} } = req.body
+        const shareId = req.query.sid || req.body.shareId || req.headers['x-share-id']
+
+        const auth = getProjectWithAuth(req.user, projectId, 'edit', shareId)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        // Missing converters are a capability of the server, not a failed export
+        const { tool, error, unavailable } = resolveExportTool(format, requestedTool)
+        if (error) return res.status(unavailable ? 501 : 400).json({ success: false, error, unavailable: unavailable === true })
+
+        const rootFile = getRootFile(auth.metadata)
+        console.log(`[Export] Request for project ${projectId} (${rootFile}) as ${format} with ${tool} by user ${userId || 'anonymous'}`)
+
+        // Exports share the compile workers, so they cannot starve builds. Each request
+        // gets its own target: merged requests would share (and delete) one output file
+        const job = enqueueCompile({
+            projectId,
+            target: `export:${uuidv4()}`,
+            userKey: userId || (shareId ? `share:${shareId}` : `ip:${req.ip}`),
+            run: (emit, signal) => {
+                flushProjectDocument(auth.projectId)
+                return exportProject(auth.projectPath, rootFile, format, {
+                    tool,
+                    citations: options.citations !== false,
+                    csl: options.csl || null,
+                    images: options.images,
+                    signal
+                })
+            }
+        })
+        const result = await job.promise
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error, logs: result.logs })
+        }
+
+        res.setHeader('Content-Type', result.contentType)
+        res.download(result.path, result.filename, (err) => {
+            if (err) console.error('[Export] Send error:', err.message)
+            result.cleanup()
+        })
+    } catch (error) {
+        console.error('[Export] Error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// POST /api/export/submission - zip of the files the build read, for arXiv/journals
+router.post('/submission', async (req, res) => {
+    try {
+        const userId = req.user?.uid || null
+        const { projectId, engine, profile, flatten, stripComments } = req.body
+        const shareId = req.query.sid || req.body.shareId || req.headers['x-share-id']
+
+        const auth = getProjectWithAuth(req.user, projectId, 'edit', shareId)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const target = resolveBuildProfile(auth.metadata, profile, engine)
+        if (!target) return res.status(404).json({ success: false, error: `Unknown build profile "${profile}"` })
+
+        console.log(`[Export] Submission bundle for project ${projectId} (${target.rootFile}) by user ${userId || 'anonymous'}`)
+
+        // Build first (a no-op when nothing changed) so the file list matches the current sources;
+        // bundling in the same job keeps other builds from touching the work dir meanwhile
+        const job = enqueueCompile({
+            projectId,
+            target: `submission:${uuidv4()}`,
+            userKey: userId || (shareId ? `share:${shareId}` : `ip:${req.ip}`),
+            run: async (emit, signal) => {
+                flushProjectDocument(auth.projectId)
+                const build = await compileLatex(projectId, target.engine, target.rootFile, null, userId, {
+                    onEvent: emit,
+                    signal,
+                    timeout: auth.metadata.compileTimeout ? auth.metadata.compileTimeout * 1000 : undefined,
+                    shellEscape: auth.metadata.shellEscape === true,
+                    user: { uid: userId, email: req.user?.email || null },
+                    profile: target.profile,
+                    jobname: target.jobname,
+                    macros: target.macros,
+                    outputName: target.outputName
+                })
+                if (!build.success) {
+                    return { success: false, error: 'The project does not compile. Fix the errors and try again.' }
+                }
+                return buildSubmissionBundle({
+                    projectId,
+                    projectPath: auth.projectPath,
+                    rootFile: target.rootFile,
+                    jobname: target.jobname,
+                    macros: target.macros,
+                    engine: target.engine,
+                    flatten: flatten === true,
+                    stripComments: stripComments === true
+                })
+            }
+        })
+        const result = await job.promise
+
+        if (!result.success) return res.status(400).json({ success: false, error: result.error || result.logs })
+
+        res.setHeader('Content-Type', 'application/zip')
+        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`)
+        res.send(result.zip)
+    } catch (error) {
+        console.error('[Export] Submission error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+export default router
@@ -1,11 +1,13 @@
 import express from 'express'
-import { existsSync, readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, unlinkSync, renameSync, rmSync } from 'fs'
+import { existsSync, readFileSync, writeFileSync, readdirSync, statSync, mkdirSync } from 'fs'
 import { join, dirname, extname } from 'path'
 import { fileURLToPath } from 'url'
-import { getProjectWithAuth } from '../utils/project.js'
+import { getProjectWithAuth, normalizeRootFile, resolveProjectPath } from '../utils/project.js'
 import admin from 'firebase-admin'
 import { verifyToken, verifyTokenOptional } from '../services/auth.js'
 import { isStorageQuotaExceeded } from '../utils/storage.js'
+import { readFontNames, FONT_EXTENSIONS } from '../utils/fonts.js'
+import { writeProjectFile, createProjectFolder, deleteProjectPath, renameProjectPath, flushProjectDocument } from '../services/projectDocuments.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -20,36 +22,10 @@ if (!existsSync(PROJECTS_DIR)) {
     mkdirSync(PROJECTS_DIR, { recursive: true })
 }
 
-const TEMP_DIR = join(__dirname, '../temp')
-if (!existsSync(TEMP_DIR)) {
-    mkdirSync(TEMP_DIR, { recursive: true })
-}
-
 // verifyToken is imported from services/auth.js
+// Compiled PDFs are served with signed links by routes/pdf.js
 
-// Serve temporary files (PDFs) - no auth required
-router.get('/temp/:filename', (req, res) => {
-    try {
-        const { filename } = req.params
-        const filePath = join(TEMP_DIR, filename)
-
-        // console.log(`[Files] Request for temp file: ${filename}`)
-
-        if (!existsSync(filePath)) {
-            // console.error(`[Files] File not found: ${filePath}`) // Optional: keep or remove, user asked to remove redundant stuff, 404 is common.
-            return res.status(404).json({ error: 'File not found' })
-        }
-
-        // console.log(`[Files] Serving: ${filePath}`)
-        res.setHeader('Content-Type', 'application/pdf')
-        res.sendFile(filePath)
-    } catch (err) {
-        console.error(`[Files] Error serving file: ${err.message}`)
-        res.status(500).json({ error: err.message })
-    }
-})
-
-// Apply auth middleware to remaining routes (optional if share ID provided)
+// Apply auth middleware (optional if share ID provided)
 router.use(verifyTokenOptional)
 
 // getProjectWithAuth and findProjectInfo are now imported from ../utils/project.js
@@ -87,12 +63,15 @@ router.get('/:projectId', (req, res) => {
                     // Recursively get files in folder
                     files = files.concat(getAllFiles(fullPath, relativePath))
                 } else {
-                    files.push({
+                    const entry = {
                         name: relativePath,
                         type: extname(item).substring(1) || 'txt',
                         size: stats.size,
                         updatedAt: stats.mtime
-                    })
+                    }
+                    // Family name for \setmainfont and friends
+                    if (FONT_EXTENSIONS.includes(extname(item).toLowerCase())) entry.font = readFontNames(fullPath)
+                    files.push(entry)
                 }
             }
 
@@ -115,10 +94,10 @@ router.get('/:projectId/:filename', (req, res) => {
         if (auth.error) return res.status(auth.status).json({ error: auth.error })
 
         const decodedFilename = decodeURIComponent(filename)
-        const filePath = join(auth.projectPath, decodedFilename)
+        const filePath = resolveProjectPath(auth.projectPath, decodedFilename)
 
-        // Security: Prevent Path Traversal
-        if (!filePath.startsWith(auth.projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!filePath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -142,10 +121,10 @@ router.get('/:projectId/:filename/download', (req, res) => {
         if (auth.error) return res.status(auth.status).json({ error: auth.error })
 
         const decodedFilename = decodeURIComponent(filename)
-        const filePath = join(auth.projectPath, decodedFilename)
+        const filePath = resolveProjectPath(auth.projectPath, decodedFilename)
 
-        // Security: Prevent Path Traversal
-        if (!filePath.startsWith(auth.projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!filePath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -195,29 +174,15 @@ router.put('/:projectId/:filename', (req, res) => {
             return res.status(403).json({ error: 'Storage quota exceeded (100MB limit)' })
         }
 
-        const filePath = join(projectPath, decodedFilename)
+        const filePath = resolveProjectPath(projectPath, decodedFilename)
 
-        // Security: Prevent Path Traversal
-        if (!filePath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!filePath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
-        // Ensure parent directory exists
-        const parentDir = dirname(filePath)
-        if (!existsSync(parentDir)) {
-            mkdirSync(parentDir, { recursive: true })
-        }
-
-        // Check if content is base64 encoded binary (starts with data:)
-        if (typeof content === 'string' && content.startsWith('data:')) {
-            // Extract base64 data after the comma
-            const base64Data = content.split(',')[1]
-            const buffer = Buffer.from(base64Data, 'base64')
-            writeFileSync(filePath, buffer)
-        } else {
-            // Regular text file
-            writeFileSync(filePath, content || '')
-        }
+        // Open editors get the new content too (parent directories are created as needed)
+        writeProjectFile(auth, decodedFilename, decodeContent(content))
 
         // Update project metadata
         updateProjectTimestamp(ownerId, projectId)
@@ -247,10 +212,10 @@ router.post('/:projectId', (req, res) => {
             return res.status(403).json({ error: 'Storage quota exceeded (100MB limit)' })
         }
 
-        const filePath = join(projectPath, filename)
+        const filePath = resolveProjectPath(projectPath, filename)
 
-        // Security: Prevent Path Traversal
-        if (!filePath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!filePath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -262,23 +227,9 @@ router.post('/:projectId', (req, res) => {
         }
 
         if (isFolder) {
-            // Create folder
-            mkdirSync(filePath, { recursive: true })
+            createProjectFolder(auth, filename)
         } else {
-            // Create parent directories if needed
-            const parentDir = dirname(filePath)
-            if (!existsSync(parentDir)) {
-                mkdirSync(parentDir, { recursive: true })
-            }
-
-            // Check if content is base64 encoded binary
-            if (typeof content === 'string' && content.startsWith('data:')) {
-                const base64Data = content.split(',')[1]
-                const buffer = Buffer.from(base64Data, 'base64')
-                writeFileSync(filePath, buffer)
-            } else {
-                writeFileSync(filePath, content || '')
-            }
+            writeProjectFile(auth, filename, decodeContent(content), { action: 'create' })
         }
 
         // Update project metadata
@@ -301,25 +252,18 @@ router.delete('/:projectId/:filename', (req, res) => {
         // Handle URL encoded paths (for nested files)
         const decodedFilename = decodeURIComponent(filename)
         const { projectPath, ownerId } = auth
-        const filePath = join(projectPath, decodedFilename)
+        const filePath = resolveProjectPath(projectPath, decodedFilename)
 
-        // Security: Prevent Path Traversal
-        if (!filePath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!filePath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
-        if (existsSync(filePath)) {
-            const stats = statSync(filePath)
-            if (stats.isDirectory()) {
-                // Use rmSync for directories (Node 14.14+)
-                rmSync(filePath, { recursive: true, force: true })
-            } else {
-                unlinkSync(filePath)
-            }
-        }
+        // Open texts of the file (or of the folder's files) are tombstoned
+        deleteProjectPath(auth, decodedFilename)
 
-        // Update project metadata
-        updateProjectTimestamp(ownerId, projectId)
+        // Update project metadata (a deleted main document falls back to the default)
+        updateProjectTimestamp(ownerId, projectId, metadata => followRootFile(metadata, decodedFilename, null))
 
         res.json({ success: true })
     } catch (err) {
@@ -337,11 +281,11 @@ router.post('/:projectId/rename', (req, res) => {
 
         const { oldName, newName } = req.body
         const { projectPath, ownerId } = auth
-        const oldPath = join(projectPath, oldName)
-        const newPath = join(projectPath, newName)
+        const oldPath = resolveProjectPath(projectPath, oldName)
+        const newPath = resolveProjectPath(projectPath, newName)
 
-        // Security: Prevent Path Traversal
-        if (!oldPath.startsWith(projectPath) || !newPath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!oldPath || !newPath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -352,16 +296,11 @@ router.post('/:projectId/rename', (req, res) => {
             return res.status(400).json({ error: 'Destination exists' })
         }
 
-        // Create parent directory if needed
-        const parentDir = dirname(newPath)
-        if (!existsSync(parentDir)) {
-            mkdirSync(parentDir, { recursive: true })
-        }
-
-        renameSync(oldPath, newPath)
+        // Open texts move along, with their unsaved edits (parent directories are created as needed)
+        renameProjectPath(auth, oldName, newName)
 
-        // Update project metadata
-        updateProjectTimestamp(ownerId, projectId)
+        // Update project metadata (the main document follows the rename)
+        updateProjectTimestamp(ownerId, projectId, metadata => followRootFile(metadata, oldName, newName))
 
         res.json({ success: true })
     } catch (err) {
@@ -379,10 +318,10 @@ router.post('/:projectId/duplicate', (req, res) => {
 
         const { filename } = req.body
         const { projectPath, ownerId } = auth
-        const srcPath = join(projectPath, filename)
+        const srcPath = resolveProjectPath(projectPath, filename)
 
-        // Security: Prevent Path Traversal
-        if (!srcPath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!srcPath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -408,11 +347,9 @@ router.post('/:projectId/duplicate', (req, res) => {
             newName = `${base}-copy${counter}${ext}`
         }
 
-        const destPath = join(projectPath, newName)
-
-        // Copy file content
-        const content = readFileSync(srcPath)
-        writeFileSync(destPath, content)
+        // Copy file content, including edits not written yet
+        flushProjectDocument(projectId)
+        writeProjectFile(auth, newName, readFileSync(srcPath), { action: 'create' })
 
         // Update project metadata
         updateProjectTimestamp(ownerId, projectId)
@@ -433,11 +370,11 @@ router.post('/:projectId/move', (req, res) => {
 
         const { oldPath: oldName, newPath: newName } = req.body
         const { projectPath, ownerId } = auth
-        const oldPath = join(projectPath, oldName)
-        const newPath = join(projectPath, newName)
+        const oldPath = resolveProjectPath(projectPath, oldName)
+        const newPath = resolveProjectPath(projectPath, newName)
 
-        // Security: Prevent Path Traversal
-        if (!oldPath.startsWith(projectPath) || !newPath.startsWith(projectPath)) {
+        // Security: Prevent Path Traversal (and writes to .project.json)
+        if (!oldPath || !newPath) {
             return res.status(403).json({ error: 'Access denied: Invalid file path' })
         }
 
@@ -448,16 +385,11 @@ router.post('/:projectId/move', (req, res) => {
             return res.status(400).json({ error: 'Destination exists' })
         }
 
-        // Create parent directory if needed
-        const parentDir = dirname(newPath)
-        if (!existsSync(parentDir)) {
-            mkdirSync(parentDir, { recursive: true })
-        }
+        // Open texts move along, with their unsaved edits (parent directories are created as needed)
+        renameProjectPath(auth, oldName, newName)
 
-        renameSync(oldPath, newPath)
-
-        // Update project metadata
-        updateProjectTimestamp(ownerId, projectId)
+        // Update project metadata (the main document follows the rename)
+        updateProjectTimestamp(ownerId, projectId, metadata => followRootFile(metadata, oldName, newName))
 
         res.json({ success: true })
     } catch (err) {
@@ -465,12 +397,22 @@ router.post('/:projectId/move', (req, res) => {
     }
 })
 
-// Helper to update project timestamp
-function updateProjectTimestamp(userId, projectId) {
+// Request content as written to disk: `data:` URLs (binary uploads) are decoded
+function decodeContent(content) {
+    if (typeof content === 'string' && content.startsWith('data:')) {
+        // Extract base64 data after the comma
+        return Buffer.from(content.split(',')[1], 'base64')
+    }
+    return content || ''
+}
+
+// Helper to update project timestamp, optionally changing other metadata too
+function updateProjectTimestamp(userId, projectId, update = null) {
     try {
         const metadataPath = join(PROJECTS_DIR, userId, projectId, '.project.json')
         if (existsSync(metadataPath)) {
             const metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'))
+            if (update) update(metadata)
             metadata.updatedAt = new Date().toISOString()
             writeFileSync(metadataPath, JSON.stringify(metadata, null, 2))
         }
@@ -479,4 +421,24 @@ function updateProjectTimestamp(userId, projectId) {
     }
 }
 
+// Keep the configured main documents (the project's and each build profile's) pointing at the
+// right file after a rename/move (newPath) or delete (null); a profile without one uses the project's
+function followRootFile(metadata, oldPath, newPath) {
+    const from = oldPath.replace(/^\.\//, '').replace(/\/+$/, '')
+    const follow = (owner) => {
+        const rootFile = normalizeRootFile(owner.rootFile)
+        if (!rootFile || !(rootFile === from || rootFile.startsWith(`${from}/`))) return
+
+        const moved = newPath ? normalizeRootFile(newPath.replace(/\/+$/, '') + rootFile.substring(from.length)) : null
+        if (moved) {
+            owner.rootFile = moved
+        } else {
+            delete owner.rootFile
+        }
+    }
+
+    follow(metadata)
+    if (Array.isArray(metadata.profiles)) metadata.profiles.forEach(follow)
+}
+
 export default router
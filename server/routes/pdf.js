@@ -0,0 +1,78 @@
+import express from 'express'
+import { basename } from 'path'
+import { verifyTokenOptional } from '../services/auth.js'
+import { getProjectWithAuth } from '../utils/project.js'
+import { verifySignedUrl, signLatestPdfUrl } from '../services/signedUrls.js'
+import { getCompiledPdf, getLatestPdf } from '../services/latex.js'
+import { resolveBuildProfile } from '../services/buildProfiles.js'
+
+const router = express.Router()
+
+/**
+ * Stream a PDF; `send` answers Range requests (pdf.js loads large documents in chunks)
+ * and conditional requests with the ETag/Last-Modified it derives from the file
+ */
+function sendPdf(res, path, filename, cacheControl) {
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`)
+    res.setHeader('Cache-Control', cacheControl)
+    res.sendFile(path, { acceptRanges: true, etag: true, lastModified: true, cacheControl: false }, (err) => {
+        if (err && !res.headersSent) res.status(err.status || 500).json({ success: false, error: 'Could not send PDF' })
+    })
+}
+
+// GET /api/pdf/latest - signed link to the last PDF of the project (or a profile),
+// for viewers that open a project without compiling it (share links)
+router.get('/latest', verifyTokenOptional, (req, res) => {
+    try {
+        const { projectId, profile } = req.query
+        const shareId = req.query.sid || req.headers['x-share-id']
+
+        const auth = getProjectWithAuth(req.user, projectId, 'view', shareId)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const target = resolveBuildProfile(auth.metadata, profile || null)
+        if (!target) return res.status(404).json({ success: false, error: `Unknown build profile "${profile}"` })
+        if (!getLatestPdf(auth.projectId, target.profile)) {
+            return res.status(404).json({ success: false, error: 'The project has not been compiled yet' })
+        }
+
+        res.json({
+            success: true,
+            url: signLatestPdfUrl({ projectId: auth.projectId, user: req.user, sid: shareId }, target.profile),
+            profile: target.profile,
+            outputName: target.outputName || `${basename(target.rootFile, '.tex')}.pdf`
+        })
+    } catch (error) {
+        console.error('[PDF] Latest error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+// GET /api/pdf/:projectId/builds/:file - PDF of one build (signed link)
+router.get('/:projectId/builds/:file', (req, res) => {
+    const auth = verifySignedUrl(req)
+    if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+    if (auth.grant.projectId !== req.params.projectId) return res.status(403).json({ success: false, error: 'Invalid link' })
+
+    const path = getCompiledPdf(req.params.file)
+    if (!path) return res.status(404).json({ success: false, error: 'PDF not found, compile again' })
+
+    // One file per build: it never changes
+    sendPdf(res, path, req.params.file, 'private, max-age=3600, immutable')
+})
+
+// GET /api/pdf/:projectId/latest - last PDF of a compile target (signed link)
+router.get('/:projectId/latest', (req, res) => {
+    const auth = verifySignedUrl(req)
+    if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+    if (auth.grant.projectId !== req.params.projectId) return res.status(403).json({ success: false, error: 'Invalid link' })
+
+    const path = getLatestPdf(auth.projectId, req.query.profile || null)
+    if (!path) return res.status(404).json({ success: false, error: 'PDF not found' })
+
+    // Replaced by every build: revalidate with the ETag
+    sendPdf(res, path, 'latest.pdf', 'private, no-cache')
+})
+
+export default router
@@ -5,8 +5,15 @@ import { fileURLToPath } from 'url'
 import { v4 as uuidv4 } from 'uuid'
 import admin from 'firebase-admin'
 import { verifyToken, verifyTokenOptional } from '../services/auth.js'
-import { findProjectInfo, getProjectWithAuth, registerShareMapping, findProjectByShareId } from '../utils/project.js'
+import { findProjectInfo, getProjectWithAuth, registerShareMapping, removeShareMapping, findProjectByShareId, normalizeRootFile, getRootFile } from '../utils/project.js'
 import { getDirectorySize, isStorageQuotaExceeded, STORAGE_LIMIT } from '../utils/storage.js'
+import { LIMITS } from '../services/runner.js'
+import { normalizeBuildProfiles, getBuildProfiles } from '../services/buildProfiles.js'
+import { flushProjectDocument, revalidateSessions, discardProjectDocument } from '../services/projectDocuments.js'
+
+// Per-project compile time limit (seconds); the server's LATEX_TIMEOUT is the upper bound
+const MIN_COMPILE_TIMEOUT = 10
+const MAX_COMPILE_TIMEOUT = Math.round(LIMITS.timeout / 1000)
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -284,6 +291,12 @@ router.get('/:projectId', verifyTokenOptional, (req, res) => {
             shares: metadata.shares,
             publicAccess: metadata.publicAccess,
             collaborators: metadata.collaborators,
+            rootFile: getRootFile(metadata),
+            shellEscape: metadata.shellEscape === true,
+            compileTimeout: metadata.compileTimeout || MAX_COMPILE_TIMEOUT,
+            maxCompileTimeout: MAX_COMPILE_TIMEOUT,
+            autoCompile: metadata.autoCompile === true,
+            profiles: getBuildProfiles(metadata),
             permission: granted
         })
     } catch (error) {
@@ -368,6 +381,8 @@ router.delete('/:projectId', verifyTokenOptional, (req, res) => {
         }
 
         rmSync(projectPath, { recursive: true, force: true })
+        // Open editors are disconnected and nothing they still send is written back
+        discardProjectDocument(auth.projectId)
         console.log(`[Projects] Deleted project ${projectId} for user ${ownerId}`)
 
         res.json({ success: true })
@@ -410,7 +425,8 @@ router.post('/:projectId/duplicate', verifyTokenOptional, (req, res) => {
         const newProjectId = uuidv4().substring(0, 12)
         const destPath = join(PROJECTS_DIR, userId, newProjectId)
 
-        // Copy all files
+        // Copy all files (with edits the open editors have not written yet)
+        flushProjectDocument(auth.projectId)
         cpSync(srcPath, destPath, { recursive: true })
 
         // Update metadata
@@ -436,11 +452,11 @@ router.post('/:projectId/duplicate', verifyTokenOptional, (req, res) => {
     }
 })
 
-// Update project info (e.g. rename)
+// Update project info (e.g. rename, main document, build profiles)
 router.patch('/:projectId', verifyTokenOptional, (req, res) => {
     try {
         const { projectId } = req.params
-        const { name } = req.body
+        const { name, rootFile, autoCompile, profiles } = req.body
         const shareId = req.query.sid || req.headers['x-share-id']
         const auth = getProjectWithAuth(req.user, projectId, 'edit', shareId)
         if (auth.error) return res.status(auth.status).json({ error: auth.error })
@@ -454,16 +470,43 @@ router.patch('/:projectId', verifyTokenOptional, (req, res) => {
             metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'))
         }
 
+        if (rootFile !== undefined) {
+            const normalized = normalizeRootFile(rootFile)
+            if (!normalized) {
+                return res.status(400).json({ error: 'Main document must be a .tex file' })
+            }
+            const rootPath = join(projectPath, normalized)
+            if (!rootPath.startsWith(projectPath) || !existsSync(rootPath) || !statSync(rootPath).isFile()) {
+                return res.status(404).json({ error: 'Main document not found' })
+            }
+            metadata.rootFile = normalized
+        }
+
+        // Rebuild on the server after edits and push the PDF to everyone in the project
+        if (autoCompile !== undefined) metadata.autoCompile = autoCompile === true
+
+        // Named build variants (draft/final/handout...), replaced as a whole
+        if (profiles !== undefined) {
+            const result = normalizeBuildProfiles(profiles)
+            if (result.error) return res.status(400).json({ error: result.error })
+            if (result.profiles.length > 0) metadata.profiles = result.profiles
+            else delete metadata.profiles
+        }
+
         if (name) metadata.name = name.trim()
         metadata.updatedAt = new Date().toISOString()
 
         writeFileSync(metadataPath, JSON.stringify(metadata, null, 2))
 
-        console.log(`[Projects] Updated project ${projectId}: Name="${metadata.name}"`)
+        console.log(`[Projects] Updated project ${projectId}: Name="${metadata.name}", Root="${getRootFile(metadata)}"`)
+        revalidateSessions(projectId)
 
         res.json({
             success: true,
             name: metadata.name,
+            rootFile: getRootFile(metadata),
+            autoCompile: metadata.autoCompile === true,
+            profiles: getBuildProfiles(metadata),
             updatedAt: metadata.updatedAt
         })
     } catch (error) {
@@ -476,7 +519,7 @@ router.patch('/:projectId', verifyTokenOptional, (req, res) => {
 router.post('/:projectId/share', verifyTokenOptional, (req, res) => {
     try {
         const { projectId } = req.params
-        const { publicAccess, collaborators } = req.body
+        const { publicAccess, collaborators, shellEscape, compileTimeout } = req.body
         const shareId = req.query.sid || req.headers['x-share-id']
         const auth = getProjectWithAuth(req.user, projectId, 'owner', shareId)
         if (auth.error) {
@@ -501,6 +544,17 @@ router.post('/:projectId/share', verifyTokenOptional, (req, res) => {
         // Update settings
         if (publicAccess !== undefined) metadata.publicAccess = publicAccess
         if (collaborators !== undefined) metadata.collaborators = collaborators
+        // Lets the TeX run execute shell commands, so only the owner may turn it on
+        if (shellEscape !== undefined) metadata.shellEscape = shellEscape === true
+        if (compileTimeout !== undefined) {
+            const seconds = parseInt(compileTimeout)
+            if (!seconds || seconds < MIN_COMPILE_TIMEOUT || seconds > MAX_COMPILE_TIMEOUT) {
+                return res.status(400).json({ error: `Compile timeout must be between ${MIN_COMPILE_TIMEOUT} and ${MAX_COMPILE_TIMEOUT} seconds` })
+            }
+            // The server maximum is the default, so only store stricter limits
+            if (seconds === MAX_COMPILE_TIMEOUT) delete metadata.compileTimeout
+            else metadata.compileTimeout = seconds
+        }
 
         // Ensure shares exist
         if (!metadata.shares) {
@@ -517,11 +571,16 @@ router.post('/:projectId/share', verifyTokenOptional, (req, res) => {
 
         console.log(`[Projects] Updated sharing for ${projectId}: Access=${metadata.publicAccess}, Collabs=${metadata.collaborators?.length}`)
 
+        // Removed collaborators lose their open sessions, changed roles apply right away
+        revalidateSessions(projectId)
+
         res.json({
             success: true,
             publicAccess: metadata.publicAccess,
             collaborators: metadata.collaborators,
-            shares: metadata.shares
+            shares: metadata.shares,
+            shellEscape: metadata.shellEscape === true,
+            compileTimeout: metadata.compileTimeout || MAX_COMPILE_TIMEOUT
         })
     } catch (error) {
         console.error('[Projects] Error sharing project:', error)
@@ -529,7 +588,40 @@ router.post('/:projectId/share', verifyTokenOptional, (req, res) => {
     }
 })
 
+// Regenerate a share link: the old link stops working and its open sessions are closed
+router.post('/:projectId/share/regenerate', verifyTokenOptional, (req, res) => {
+    try {
+        const { projectId } = req.params
+        const { level } = req.body
+        const shareId = req.query.sid || req.headers['x-share-id']
+        const auth = getProjectWithAuth(req.user, projectId, 'owner', shareId)
+        if (auth.error) return res.status(auth.status).json({ error: auth.error })
+
+        if (level !== 'view' && level !== 'edit') {
+            return res.status(400).json({ error: 'Share link level must be "view" or "edit"' })
+        }
+
+        const { projectPath, ownerId, metadata } = auth
+        const shares = metadata.shares || { view: metadata.shareId || uuidv4(), edit: uuidv4() }
+        delete metadata.shareId
+
+        removeShareMapping(shares[level])
+        shares[level] = uuidv4()
+        metadata.shares = shares
+        registerShareMapping(shares.view, projectId, ownerId, 'view')
+        registerShareMapping(shares.edit, projectId, ownerId, 'edit')
 
+        writeFileSync(join(projectPath, '.project.json'), JSON.stringify(metadata, null, 2))
+
+        console.log(`[Projects] Regenerated ${level} share link for ${projectId}`)
+        revalidateSessions(projectId)
+
+        res.json({ success: true, shares })
+    } catch (error) {
+        console.error('[Projects] Error regenerating share link:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
 
 // Helper to calculate directory size
 // Helper to calculate directory size - Removed (imported from storage.js)
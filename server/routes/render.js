@@ -0,0 +1,58 @@
+import express from 'express'
+import { verifyTokenOptional } from '../services/auth.js'
+import { getProjectWithAuth } from '../utils/project.js'
+import { enqueueCompile } from '../services/compileQueue.js'
+import { resolveRenderRequest, hashRenderRequest, getCachedRender, renderFragment } from '../services/renderer.js'
+
+const router = express.Router()
+
+router.use(verifyTokenOptional)
+
+function sendImage(res, result) {
+    res.setHeader('Content-Type', result.contentType)
+    res.setHeader('ETag', `"${result.hash}"`)
+    res.setHeader('X-Render-Cache', result.cached ? 'hit' : 'miss')
+    res.setHeader('Cache-Control', 'private, max-age=86400')
+    res.send(result.data)
+}
+
+// POST /api/render - LaTeX fragment (standalone class) to SVG or PNG, responds with the image
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user?.uid || null
+        const { projectId, fragment, preamble, format, engine, mode, dpi } = req.body
+        const shareId = req.query.sid || req.body.shareId || req.headers['x-share-id']
+
+        // Renders run TeX on the compile workers, so like compiling they need edit access
+        const auth = getProjectWithAuth(req.user, projectId, 'edit', shareId)
+        if (auth.error) return res.status(auth.status).json({ success: false, error: auth.error })
+
+        const request = resolveRenderRequest({ fragment, preamble, format, engine, mode, dpi })
+        if (request.error) {
+            return res.status(request.unavailable ? 501 : 400).json({ success: false, error: request.error, unavailable: request.unavailable === true })
+        }
+
+        const cached = getCachedRender(request)
+        if (cached) return sendImage(res, cached)
+
+        // Identical requests waiting in the queue are merged into one render
+        const hash = hashRenderRequest(request)
+        const job = enqueueCompile({
+            projectId: `render:${auth.projectId}`,
+            target: hash,
+            userKey: userId || (shareId ? `share:${shareId}` : `ip:${req.ip}`),
+            run: (emit, signal) => renderFragment(request, signal)
+        })
+        const result = await job.promise
+
+        if (!result.success) {
+            return res.status(422).json({ success: false, error: result.error, diagnostics: result.diagnostics, logs: result.logs })
+        }
+        sendImage(res, result)
+    } catch (error) {
+        console.error('[Render] Error:', error)
+        res.status(500).json({ success: false, error: error.message })
+    }
+})
+
+export default router
@@ -0,0 +1,94 @@
+import { existsSync, readFileSync } from 'fs'
+import { join } from 'path'
+import { compileLatex } from './latex.js'
+import { DEFAULT_ENGINE } from './engines.js'
+import { enqueueCompile } from './compileQueue.js'
+import { listBuilds } from './buildHistory.js'
+import { publishBuild } from './buildEvents.js'
+import { resolveBuildProfile } from './buildProfiles.js'
+
+/**
+ * Server-side auto-compile: projects with `autoCompile: true` in .project.json are
+ * rebuilt once edits have been quiet for AUTO_COMPILE_DELAY ms, and the result is
+ * announced to every connected client through buildEvents.
+ */
+
+const AUTO_COMPILE_DELAY = parseInt(process.env.AUTO_COMPILE_DELAY) || 3000
+
+const schedules = new Map() // Map<projectId, timeout> of projects waiting for edits to stop
+
+function readMetadata(projectPath) {
+    const metadataPath = join(projectPath, '.project.json')
+    if (!existsSync(metadataPath)) return {}
+    try {
+        return JSON.parse(readFileSync(metadataPath, 'utf-8'))
+    } catch (e) {
+        return {}
+    }
+}
+
+async function runAutoCompile(projectId, { projectPath, ownerId, beforeBuild }) {
+    const metadata = readMetadata(projectPath)
+    if (metadata.autoCompile !== true) return
+
+    try {
+        // Same engine and profile as the last build anyone ran (the default target if that profile is gone)
+        const last = listBuilds(projectId)[0]
+        const engine = last?.engine || DEFAULT_ENGINE
+        const target = resolveBuildProfile(metadata, last?.profile, engine) || resolveBuildProfile(metadata, null, engine)
+        const job = enqueueCompile({
+            projectId,
+            target: target.profile,
+            userKey: `auto:${projectId}`,
+            run: (emit, signal) => {
+                // The build reads from disk, so edits not written yet go first (also those
+                // made while the job waited in the queue)
+                if (beforeBuild) beforeBuild()
+                return compileLatex(projectId, target.engine, target.rootFile, null, ownerId, {
+                    onEvent: emit,
+                    signal,
+                    timeout: metadata.compileTimeout ? metadata.compileTimeout * 1000 : undefined,
+                    shellEscape: metadata.shellEscape === true,
+                    profile: target.profile,
+                    jobname: target.jobname,
+                    macros: target.macros,
+                    outputName: target.outputName
+                })
+            }
+        })
+        console.log(`[AutoCompile] Building ${projectId} (job ${job.id})`)
+
+        const result = await job.promise
+        if (!job.coalesced) publishBuild(projectId, { jobId: job.id, result, profile: target.profile, auto: true })
+    } catch (err) {
+        console.error(`[AutoCompile] Build of ${projectId} failed:`, err.message)
+    }
+}
+
+/**
+ * Note an edit to a project; the build starts once edits stop for AUTO_COMPILE_DELAY ms.
+ * Whether auto-compile is enabled is checked when the build would start.
+ * @param {string} projectId
+ * @param {Object} options
+ * @param {string} options.projectPath
+ * @param {string} options.ownerId
+ * @param {Function} [options.beforeBuild] - Called when the queued build starts, e.g. to flush saves
+ */
+export function scheduleAutoCompile(projectId, options) {
+    clearTimeout(schedules.get(projectId))
+    schedules.set(projectId, setTimeout(() => {
+        schedules.delete(projectId)
+        runAutoCompile(projectId, options)
+    }, AUTO_COMPILE_DELAY))
+}
+
+/**
+ * Drop a scheduled build (the project's document was unloaded or the project deleted)
+ * @param {string} projectId
+ */
+export function cancelAutoCompile(projectId) {
+    clearTimeout(schedules.get(projectId))
+    schedules.delete(projectId)
+}
+
+export default { scheduleAutoCompile, cancelAutoCompile }
@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events'
+
+/**
+ * Finished builds, so that everyone connected to a project can load the new PDF.
+ * Event 'build': { projectId, jobId, buildId, profile, success, pdfFile, outputName, errorCount, warningCount, auto, user, timestamp }
+ * `pdfFile` identifies the PDF of the build; listeners sign a link to it for each recipient (see signPdfUrl).
+ */
+export const buildEvents = new EventEmitter()
+
+/**
+ * Announce the result of a build. Reused PDFs (`cached`) are not announced,
+ * everyone already has them.
+ * @param {string} projectId
+ * @param {Object} build
+ * @param {string} build.jobId - Queue job that produced the result
+ * @param {Object} build.result - Return value of compileLatex
+ * @param {string} [build.profile] - Build profile the result belongs to (null for the default target)
+ * @param {boolean} [build.auto] - Started by server-side auto-compile
+ * @param {Object} [build.user] - `{ uid, email }` of whoever started the build
+ */
+export function publishBuild(projectId, { jobId, result, profile = null, auto = false, user = null }) {
+    if (!result || result.cached || result.cancelled) return
+
+    const diagnostics = result.diagnostics || []
+    buildEvents.emit('build', {
+        projectId,
+        jobId,
+        buildId: result.buildId || null,
+        profile,
+        success: !!result.success,
+        pdfFile: result.success ? result.pdfPath : null,
+        outputName: result.outputName || null,
+        errorCount: diagnostics.filter(d => d.severity === 'error').length,
+        warningCount: diagnostics.filter(d => d.severity === 'warning').length,
+        auto,
+        user,
+        timestamp: Date.now()
+    })
+}
+
+export default { buildEvents, publishBuild }
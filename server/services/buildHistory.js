@@ -0,0 +1,216 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, copyFileSync, rmSync, statSync } from 'fs'
+import { join, dirname, resolve } from 'path'
+import { fileURLToPath } from 'url'
+import crypto from 'crypto'
+
+/**
+ * Per-project build history.
+ *
+ * Every build (successful or not) is stored as
+ *   history/<projectId>/<buildId>/{meta.json, diagnostics.json, output.pdf, output.log, output.bbl, output.aux}
+ * and only the last BUILD_HISTORY_LIMIT builds of a project are kept.
+ * Build ids start with the timestamp, so sorting them sorts the builds.
+ */
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+export const HISTORY_DIR = join(__dirname, '../history')
+const HISTORY_LIMIT = parseInt(process.env.BUILD_HISTORY_LIMIT) || 10
+
+// Artifacts kept per build, by the extension they have in the build dir
+export const ARTIFACTS = ['pdf', 'log', 'bbl', 'aux']
+
+const BUILD_ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{8}$/
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    log: 'text/plain; charset=utf-8',
+    bbl: 'text/plain; charset=utf-8',
+    aux: 'text/plain; charset=utf-8'
+}
+
+function getProjectHistoryDir(projectId) {
+    const dir = resolve(HISTORY_DIR, projectId)
+    if (!dir.startsWith(HISTORY_DIR + '/')) throw new Error('Invalid project id')
+    return dir
+}
+
+function getBuildDir(projectId, buildId) {
+    if (!BUILD_ID_PATTERN.test(buildId || '')) return null
+    const dir = join(getProjectHistoryDir(projectId), buildId)
+    return existsSync(join(dir, 'meta.json')) ? dir : null
+}
+
+function readJson(path, fallback) {
+    try {
+        return JSON.parse(readFileSync(path, 'utf-8'))
+    } catch (e) {
+        return fallback
+    }
+}
+
+/**
+ * Store a finished build
+ * @param {string} projectId
+ * @param {Object} build
+ * @param {string} build.engine
+ * @param {string} build.rootFile - Root document the build started from
+ * @param {string} [build.profile] - Build profile name
+ * @param {Object} build.user - `{ uid, email }` of whoever started the build
+ * @param {number} build.startedAt - Epoch ms
+ * @param {boolean} build.success
+ * @param {string} [build.status] - Overrides the status derived from `success` (e.g. 'cancelled')
+ * @param {Array} build.diagnostics - Log parser entries
+ * @param {string} build.log - Full log text
+ * @param {string} [build.buildDir] - Directory holding `<jobname>.pdf/.bbl/.aux`
+ * @param {string} [build.jobname]
+ * @returns {Object|null} the stored metadata
+ */
+export function recordBuild(projectId, build) {
+    try {
+        const startedAt = build.startedAt || Date.now()
+        const buildId = `${startedAt.toString(36)}-${crypto.randomBytes(4).toString('hex')}`
+        const dir = join(getProjectHistoryDir(projectId), buildId)
+        mkdirSync(dir, { recursive: true })
+
+        const artifacts = {}
+        const store = (name, write) => {
+            const target = join(dir, `output.${name}`)
+            write(target)
+            const content = readFileSync(target)
+            artifacts[name] = {
+                size: content.length,
+                hash: crypto.createHash('sha1').update(content).digest('hex')
+            }
+        }
+
+        if (build.log) store('log', (target) => writeFileSync(target, build.log))
+        for (const name of ARTIFACTS) {
+            if (name === 'log' || !build.buildDir || !build.jobname) continue
+            const source = join(build.buildDir, `${build.jobname}.${name}`)
+            if (existsSync(source)) store(name, (target) => copyFileSync(source, target))
+        }
+
+        const diagnostics = build.diagnostics || []
+        const count = (predicate) => diagnostics.filter(predicate).length
+        const meta = {
+            id: buildId,
+            timestamp: new Date(startedAt).toISOString(),
+            engine: build.engine,
+            rootFile: build.rootFile,
+            profile: build.profile || null,
+            duration: Date.now() - startedAt,
+            user: build.user || null,
+            status: build.status || (build.success ? 'success' : 'failed'),
+            errorCount: count(d => d.severity === 'error'),
+            warningCount: count(d => d.severity === 'warning'),
+            badBoxCount: count(d => d.category === 'badbox'),
+            artifacts
+        }
+
+        writeFileSync(join(dir, 'meta.json'), JSON.stringify(meta, null, 2))
+        writeFileSync(join(dir, 'diagnostics.json'), JSON.stringify(diagnostics))
+        pruneHistory(projectId)
+
+        console.log(`[History] Recorded build ${buildId} for ${projectId} (${meta.status})`)
+        return meta
+    } catch (e) {
+        console.error('[History] Failed to record build:', e.message)
+        return null
+    }
+}
+
+/**
+ * Drop all but the newest HISTORY_LIMIT builds
+ */
+function pruneHistory(projectId) {
+    const dir = getProjectHistoryDir(projectId)
+    const builds = readdirSync(dir).filter(id => BUILD_ID_PATTERN.test(id)).sort()
+    for (const buildId of builds.slice(0, Math.max(0, builds.length - HISTORY_LIMIT))) {
+        rmSync(join(dir, buildId), { recursive: true, force: true })
+    }
+}
+
+/**
+ * Builds of a project, newest first
+ */
+export function listBuilds(projectId) {
+    const dir = getProjectHistoryDir(projectId)
+    if (!existsSync(dir)) return []
+
+    return readdirSync(dir)
+        .filter(id => BUILD_ID_PATTERN.test(id))
+        .sort()
+        .reverse()
+        .map(id => readJson(join(dir, id, 'meta.json'), null))
+        .filter(Boolean)
+}
+
+/**
+ * One build with its diagnostics, or null
+ */
+export function getBuild(projectId, buildId) {
+    const dir = getBuildDir(projectId, buildId)
+    if (!dir) return null
+    return {
+        ...readJson(join(dir, 'meta.json'), {}),
+        diagnostics: readJson(join(dir, 'diagnostics.json'), [])
+    }
+}
+
+/**
+ * File of a stored artifact
+ * @returns {Object|null} `{ path, contentType }`
+ */
+export function getBuildArtifact(projectId, buildId, artifact) {
+    if (!ARTIFACTS.includes(artifact)) return null
+    const dir = getBuildDir(projectId, buildId)
+    const path = dir && join(dir, `output.${artifact}`)
+    if (!path || !existsSync(path)) return null
+    return { path, contentType: CONTENT_TYPES[artifact], size: statSync(path).size }
+}
+
+/**
+ * Compare two builds: metadata changes, which artifacts differ, and which
+ * problems appeared or went away between `fromId` and `toId`
+ */
+export function diffBuilds(projectId, fromId, toId) {
+    const from = getBuild(projectId, fromId)
+    const to = getBuild(projectId, toId)
+    if (!from || !to) return null
+
+    const changes = {}
+    for (const field of ['status', 'engine', 'profile', 'rootFile', 'duration', 'errorCount', 'warningCount', 'badBoxCount']) {
+        if (from[field] !== to[field]) changes[field] = { from: from[field], to: to[field] }
+    }
+
+    const artifacts = {}
+    for (const name of ARTIFACTS) {
+        const before = from.artifacts?.[name]
+        const after = to.artifacts?.[name]
+        if (!before && !after) continue
+        if (!before) artifacts[name] = 'added'
+        else if (!after) artifacts[name] = 'removed'
+        else artifacts[name] = before.hash === after.hash ? 'unchanged' : 'changed'
+    }
+
+    // Line numbers shift with every edit, so problems are matched on file and message
+    const key = (d) => [d.severity, d.category, d.file, d.message].join('|')
+    const fromKeys = new Set(from.diagnostics.map(key))
+    const toKeys = new Set(to.diagnostics.map(key))
+
+    const strip = ({ diagnostics, ...meta }) => meta
+    return {
+        from: strip(from),
+        to: strip(to),
+        changes,
+        artifacts,
+        diagnostics: {
+            introduced: to.diagnostics.filter(d => !fromKeys.has(key(d))),
+            resolved: from.diagnostics.filter(d => !toKeys.has(key(d)))
+        }
+    }
+}
+
+export default { recordBuild, listBuilds, getBuild, getBuildArtifact, diffBuilds, HISTORY_DIR, ARTIFACTS }
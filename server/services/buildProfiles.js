@@ -0,0 +1,112 @@
+import { normalizeRootFile, getRootFile } from '../utils/project.js'
+import { getEngine } from './engines.js'
+
+/**
+ * Named build profiles ("draft", "final", "handout", ...) stored in .project.json as
+ *   profiles: [{ name, engine, rootFile, jobname, macros: { draft: '' }, outputName }]
+ * Every field but the name is optional; missing ones fall back to the project settings.
+ * Each profile is its own compile target: it is queued, cached and reused separately.
+ */
+
+export const MAX_PROFILES = 20
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][\w-]{0,31}$/
+const JOBNAME_PATTERN = /^[A-Za-z0-9][\w-]{0,63}$/
+const MACRO_NAME_PATTERN = /^[A-Za-z]{1,32}$/
+const MAX_MACRO_LENGTH = 200
+
+/**
+ * A macro body must not end the command line early (`%`, newlines) or leave a group open
+ */
+function isSafeMacroValue(value) {
+    if (typeof value !== 'string' || value.length > MAX_MACRO_LENGTH || /[%\r\n]/.test(value)) return false
+    let depth = 0
+    for (const char of value.replace(/\\[{}\\]/g, '')) {
+        if (char === '{') depth++
+        if (char === '}' && --depth < 0) return false
+    }
+    return depth === 0
+}
+
+/**
+ * Validate profiles sent by a client
+ * @returns {Object} `{ profiles }` in their stored form, or `{ error }`
+ */
+export function normalizeBuildProfiles(input) {
+    if (!Array.isArray(input)) return { error: 'Profiles must be a list' }
+    if (input.length > MAX_PROFILES) return { error: `At most ${MAX_PROFILES} profiles are allowed` }
+
+    const profiles = []
+    for (const raw of input) {
+        const name = typeof raw?.name === 'string' ? raw.name.trim() : ''
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            return { error: `Invalid profile name "${name}" (letters, digits, "-" and "_", up to 32 characters)` }
+        }
+        if (profiles.some(p => p.name === name)) return { error: `Duplicate profile "${name}"` }
+
+        const profile = { name }
+
+        if (raw.engine) {
+            if (!getEngine(raw.engine)) return { error: `Profile "${name}": unknown engine "${raw.engine}"` }
+            profile.engine = raw.engine
+        }
+        if (raw.rootFile) {
+            const rootFile = normalizeRootFile(raw.rootFile)
+            if (!rootFile) return { error: `Profile "${name}": the main document must be a .tex file` }
+            profile.rootFile = rootFile
+        }
+        if (raw.jobname) {
+            if (!JOBNAME_PATTERN.test(raw.jobname)) return { error: `Profile "${name}": invalid jobname "${raw.jobname}"` }
+            profile.jobname = raw.jobname
+        }
+        if (raw.macros && Object.keys(raw.macros).length > 0) {
+            if (typeof raw.macros !== 'object' || Array.isArray(raw.macros)) {
+                return { error: `Profile "${name}": macros must map names to values` }
+            }
+            for (const [macro, value] of Object.entries(raw.macros)) {
+                if (!MACRO_NAME_PATTERN.test(macro)) return { error: `Profile "${name}": invalid macro name "${macro}"` }
+                if (!isSafeMacroValue(value)) return { error: `Profile "${name}": invalid value for \\${macro}` }
+            }
+            profile.macros = { ...raw.macros }
+        }
+        if (raw.outputName) {
+            const outputName = String(raw.outputName).trim()
+            if (!/^[^/\\"\r\n]{1,100}$/.test(outputName)) return { error: `Profile "${name}": invalid output name` }
+            profile.outputName = outputName.toLowerCase().endsWith('.pdf') ? outputName : `${outputName}.pdf`
+        }
+
+        profiles.push(profile)
+    }
+    return { profiles }
+}
+
+/**
+ * Profiles of a project, from its metadata
+ */
+export const getBuildProfiles = (metadata) => Array.isArray(metadata?.profiles) ? metadata.profiles : []
+
+/**
+ * Everything a build needs for a profile, with the project settings filling the gaps.
+ * Without a profile name this is the project's default target.
+ * @param {Object} metadata - Project metadata
+ * @param {string|null} name - Profile name
+ * @param {string} [engine] - Engine to use when the profile does not set one
+ * @returns {Object|null} `{ profile, engine, rootFile, jobname, macros, outputName }`, or null for an unknown profile
+ */
+export function resolveBuildProfile(metadata, name, engine) {
+    if (!name) return { profile: null, engine, rootFile: getRootFile(metadata), jobname: null, macros: '', outputName: null }
+
+    const profile = getBuildProfiles(metadata).find(p => p.name === name)
+    if (!profile) return null
+
+    return {
+        profile: profile.name,
+        engine: profile.engine || engine,
+        rootFile: profile.rootFile || getRootFile(metadata),
+        jobname: profile.jobname || null,
+        macros: Object.entries(profile.macros || {}).map(([macro, value]) => `\\def\\${macro}{${value}}`).join(''),
+        outputName: profile.outputName || null
+    }
+}
+
+export default { MAX_PROFILES, normalizeBuildProfiles, getBuildProfiles, resolveBuildProfile }
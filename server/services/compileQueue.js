@@ -0,0 +1,303 @@
+import { v4 as uuidv4 } from 'uuid'
+
+// Maximum number of TeX builds running at the same time (server wide)
+const MAX_WORKERS = parseInt(process.env.COMPILE_WORKERS) || 2
+
+// How long finished jobs stay queryable by id
+const FINISHED_JOB_TTL = 60 * 1000
+
+// Output kept per job for subscribers that connect late
+const MAX_BUFFERED_OUTPUT = 512 * 1024
+
+const jobs = new Map() // Map<jobId, job>
+const jobAliases = new Map() // Map<requestedJobId, jobId> for coalesced requests
+const userQueues = new Map() // Map<userKey, job[]>, insertion order is the round-robin order
+const pendingByTarget = new Map() // Map<targetKey, job> queued but not started yet
+const runningByProject = new Map() // Map<projectId, job>
+
+let activeWorkers = 0
+let lastServedUser = null
+
+/**
+ * Queue a compile for a project.
+ * Only one build per project runs at a time; while one is waiting, further
+ * requests for the same project and target are merged into it (the latest `run` wins,
+ * since every build reads the current files from disk anyway).
+ *
+ * @param {Object} options
+ * @param {string} options.projectId - Project to build
+ * @param {string} [options.target] - Build profile; builds of different profiles are not merged
+ * @param {string} options.userKey - Fairness bucket (user id, share id or IP)
+ * @param {string} [options.jobId] - Client supplied id, used to query the job later (ignored when it is taken)
+ * @param {Function} options.run - Async function doing the actual build, called with an `emit(event)` callback
+ *   and an AbortSignal that fires when the job is cancelled
+ * @returns {Object} job - `{ id, promise, coalesced }`
+ */
+export function enqueueCompile({ projectId, target, userKey, jobId, run }) {
+    // A client id that already names a job (or a merged request) is ignored: aliasing it
+    // would redirect lookups of someone else's job, status and event stream to this one
+    const clientId = isValidJobId(jobId) && !jobs.has(jobId) && !jobAliases.has(jobId) ? jobId : null
+    const targetKey = target ? `${projectId}/${target}` : projectId
+
+    const pending = pendingByTarget.get(targetKey)
+    if (pending) {
+        pending.run = run
+        if (clientId) jobAliases.set(clientId, pending.id)
+        console.log(`[Queue] Coalesced request ${clientId || '(no id)'} into job ${pending.id} (${projectId})`)
+        return { id: pending.id, promise: pending.promise, coalesced: true }
+    }
+
+    const job = {
+        id: clientId || uuidv4(),
+        projectId,
+        targetKey,
+        userKey,
+        run,
+        state: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        position: 0,
+        events: [],
+        bufferedOutput: 0,
+        listeners: new Set(),
+        controller: new AbortController()
+    }
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve
+        job.reject = reject
+    })
+    jobs.set(job.id, job)
+    pendingByTarget.set(targetKey, job)
+    if (!userQueues.has(userKey)) userQueues.set(userKey, [])
+    userQueues.get(userKey).push(job)
+
+    console.log(`[Queue] Job ${job.id} queued for ${projectId} (user ${userKey}, ${activeWorkers}/${MAX_WORKERS} busy)`)
+    dispatch()
+    broadcastPositions()
+
+    return { id: job.id, promise: job.promise, coalesced: false }
+}
+
+/**
+ * Look up a job by its id (or the id of a request merged into it)
+ */
+export function getJob(jobId) {
+    const id = jobAliases.get(jobId) || jobId
+    return jobs.get(id) || null
+}
+
+/**
+ * Public view of a job, including its 1-based place in the queue
+ */
+export function getJobStatus(jobId) {
+    const job = getJob(jobId)
+    if (!job) return null
+
+    return {
+        jobId: job.id,
+        projectId: job.projectId,
+        state: job.state,
+        position: job.state === 'queued' ? getDispatchOrder().indexOf(job) + 1 : 0,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    }
+}
+
+/**
+ * Receive live events of a job. Events emitted before subscribing are replayed first.
+ * @returns {Function|null} unsubscribe, or null when the job does not exist
+ */
+export function subscribeToJob(jobId, listener) {
+    const job = getJob(jobId)
+    if (!job) return null
+
+    job.events.forEach(listener)
+    if (job.state === 'done') return () => { }
+
+    job.listeners.add(listener)
+    return () => job.listeners.delete(listener)
+}
+
+/**
+ * Cancel a job: a queued job is dropped, a running one gets its AbortSignal fired
+ * @returns {boolean} whether there was something to cancel
+ */
+export function cancelJob(jobId) {
+    const job = getJob(jobId)
+    if (!job || job.state === 'done') return false
+
+    if (job.state === 'queued') {
+        const queue = userQueues.get(job.userKey) || []
+        const index = queue.indexOf(job)
+        if (index !== -1) queue.splice(index, 1)
+        if (queue.length === 0) userQueues.delete(job.userKey)
+        pendingByTarget.delete(job.targetKey)
+
+        console.log(`[Queue] Job ${job.id} cancelled before it started (${job.projectId})`)
+        finishJob(job, { success: false, cancelled: true, logs: 'Compilation cancelled.', errors: [], diagnostics: [] })
+        broadcastPositions()
+        return true
+    }
+
+    console.log(`[Queue] Cancelling running job ${job.id} (${job.projectId})`)
+    job.controller.abort()
+    return true
+}
+
+/**
+ * Cancel the running and the queued builds of a project
+ * @returns {string[]} ids of the cancelled jobs
+ */
+export function cancelProjectJobs(projectId) {
+    const pending = Array.from(pendingByTarget.values()).filter(job => job.projectId === projectId)
+    return [runningByProject.get(projectId), ...pending]
+        .filter(job => job && cancelJob(job.id))
+        .map(job => job.id)
+}
+
+/**
+ * Queue statistics for health/debug output
+ */
+export function getQueueStats() {
+    let queued = 0
+    for (const queue of userQueues.values()) queued += queue.length
+    return { running: activeWorkers, queued, maxWorkers: MAX_WORKERS }
+}
+
+function emitJobEvent(job, event) {
+    const payload = { ...event, jobId: job.id, timestamp: Date.now() }
+
+    job.events.push(payload)
+    if (event.type === 'output') {
+        job.bufferedOutput += event.text.length
+        // Drop the oldest output chunks once the buffer is full
+        while (job.bufferedOutput > MAX_BUFFERED_OUTPUT) {
+            const index = job.events.findIndex(e => e.type === 'output')
+            if (index === -1) break
+            job.bufferedOutput -= job.events[index].text.length
+            job.events.splice(index, 1)
+        }
+    }
+
+    job.listeners.forEach(listener => {
+        try {
+            listener(payload)
+        } catch (err) {
+            console.error('[Queue] Listener error:', err.message)
+        }
+    })
+}
+
+/**
+ * Tell every waiting job where it now stands in the queue
+ */
+function broadcastPositions() {
+    getDispatchOrder().forEach((job, index) => {
+        if (job.position !== index + 1) {
+            job.position = index + 1
+            emitJobEvent(job, { type: 'status', state: 'queued', position: job.position })
+        }
+    })
+}
+
+function isValidJobId(jobId) {
+    return typeof jobId === 'string' && /^[\w-]{8,64}$/.test(jobId)
+}
+
+/**
+ * Users in round-robin order, starting after the user served last
+ */
+function getUserRotation() {
+    const users = Array.from(userQueues.keys())
+    const start = users.indexOf(lastServedUser) + 1
+    return users.slice(start).concat(users.slice(0, start))
+}
+
+/**
+ * Order in which queued jobs would start if workers freed up one by one
+ */
+function getDispatchOrder() {
+    const queues = getUserRotation().map(user => [...userQueues.get(user)])
+    const order = []
+    while (queues.some(q => q.length > 0)) {
+        for (const queue of queues) {
+            if (queue.length > 0) order.push(queue.shift())
+        }
+    }
+    return order
+}
+
+/**
+ * Take the next runnable job, one user at a time.
+ * Jobs whose project is already building are skipped until it finishes.
+ */
+function takeNextJob() {
+    for (const user of getUserRotation()) {
+        const queue = userQueues.get(user)
+        const index = queue.findIndex(job => !runningByProject.has(job.projectId))
+        if (index === -1) continue
+
+        const [job] = queue.splice(index, 1)
+        if (queue.length === 0) userQueues.delete(user)
+        lastServedUser = user
+        return job
+    }
+    return null
+}
+
+function dispatch() {
+    while (activeWorkers < MAX_WORKERS) {
+        const job = takeNextJob()
+        if (!job) return
+        startJob(job)
+    }
+}
+
+async function startJob(job) {
+    activeWorkers++
+    pendingByTarget.delete(job.targetKey)
+    runningByProject.set(job.projectId, job)
+    job.state = 'running'
+    job.startedAt = Date.now()
+    job.position = 0
+    emitJobEvent(job, { type: 'status', state: 'running', position: 0 })
+
+    try {
+        const result = await job.run(event => emitJobEvent(job, event), job.controller.signal)
+        finishJob(job, result)
+    } catch (err) {
+        finishJob(job, null, err)
+    } finally {
+        runningByProject.delete(job.projectId)
+        activeWorkers--
+        dispatch()
+        broadcastPositions()
+    }
+}
+
+/**
+ * Settle a job's promise, tell subscribers and keep it queryable for a while
+ */
+function finishJob(job, result, error = null) {
+    emitJobEvent(job, error
+        ? { type: 'done', success: false, error: error.message }
+        : { type: 'done', success: !!result?.success, cancelled: !!result?.cancelled })
+    if (error) job.reject(error)
+    else job.resolve(result)
+
+    job.state = 'done'
+    job.finishedAt = Date.now()
+    job.run = null
+    job.listeners.clear()
+
+    setTimeout(() => {
+        jobs.delete(job.id)
+        for (const [alias, id] of jobAliases) {
+            if (id === job.id) jobAliases.delete(alias)
+        }
+    }, FINISHED_JOB_TTL)
+}
+
+export default { enqueueCompile, getJob, getJobStatus, subscribeToJob, cancelJob, cancelProjectJobs, getQueueStats }
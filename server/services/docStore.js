@@ -0,0 +1,195 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, renameSync, rmSync, statSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import crypto from 'crypto'
+import * as Y from 'yjs'
+
+/**
+ * Durable store of the collaborative Yjs documents, one directory per project:
+ * - `snapshot.bin`: the whole document as one update, written at compaction
+ * - `updates.bin`: every update since, appended as it happens (4-byte length + update)
+ * - `meta.json`: `{ flushed: { path: sha1 } }`, the content last written to each project file
+ *
+ * Restoring applies the snapshot and the updates, so edits survive a crash or restart
+ * even when they never reached the project files, and clients that reconnect keep their
+ * Yjs state instead of getting the text inserted a second time. A torn last record (crash
+ * during an append) is ignored. Compaction merges everything into a new snapshot, written
+ * next to the old one and renamed over it; updates replayed twice are no-ops in Yjs.
+ */
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const STORE_DIR = process.env.YJS_STORE_DIR || join(__dirname, '../yjs-store')
+
+// Compact once this many updates or bytes were appended since the last snapshot
+const COMPACT_UPDATES = parseInt(process.env.YJS_COMPACT_UPDATES) || 500
+const COMPACT_BYTES = (parseInt(process.env.YJS_COMPACT_KB) || 1024) * 1024
+
+mkdirSync(STORE_DIR, { recursive: true })
+
+// Per project: { updates, bytes, flushed: Map<path, sha1> }
+const stores = new Map()
+
+function getStoreDir(projectId) {
+    const dir = join(STORE_DIR, projectId)
+    if (!dir.startsWith(STORE_DIR + '/')) throw new Error(`Invalid project id for the document store: ${projectId}`)
+    return dir
+}
+
+function getStore(projectId) {
+    if (!stores.has(projectId)) stores.set(projectId, { updates: 0, bytes: 0, flushed: new Map() })
+    return stores.get(projectId)
+}
+
+function writeAtomic(path, data) {
+    writeFileSync(`${path}.tmp`, data)
+    renameSync(`${path}.tmp`, path)
+}
+
+/**
+ * Read the length-prefixed records of updates.bin, stopping at a torn record
+ */
+function readUpdates(path) {
+    if (!existsSync(path)) return []
+    const buffer = readFileSync(path)
+    const updates = []
+    let offset = 0
+    while (offset + 4 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset)
+        if (offset + 4 + length > buffer.length) {
+            console.warn(`[DocStore] Ignoring an incomplete update at the end of ${path}`)
+            break
+        }
+        updates.push(new Uint8Array(buffer.subarray(offset + 4, offset + 4 + length)))
+        offset += 4 + length
+    }
+    return updates
+}
+
+function writeMeta(projectId) {
+    const dir = getStoreDir(projectId)
+    mkdirSync(dir, { recursive: true })
+    writeAtomic(join(dir, 'meta.json'), JSON.stringify({ flushed: Object.fromEntries(getStore(projectId).flushed) }))
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex')
+}
+
+/**
+ * Load a project's stored state into a fresh document
+ * @param {string} projectId
+ * @param {Y.Doc} doc
+ * @param {string} origin - Transaction origin for the restored updates
+ * @returns {boolean} whether there was anything to restore
+ */
+export function restoreDoc(projectId, doc, origin) {
+    const dir = getStoreDir(projectId)
+    const store = getStore(projectId)
+    const snapshotPath = join(dir, 'snapshot.bin')
+    const metaPath = join(dir, 'meta.json')
+
+    const snapshot = existsSync(snapshotPath) ? new Uint8Array(readFileSync(snapshotPath)) : null
+    const updates = readUpdates(join(dir, 'updates.bin'))
+    if (existsSync(metaPath)) {
+        try {
+            store.flushed = new Map(Object.entries(JSON.parse(readFileSync(metaPath, 'utf-8')).flushed || {}))
+        } catch (e) {
+            console.error(`[DocStore] Unreadable ${metaPath}:`, e.message)
+        }
+    }
+    store.updates = updates.length
+    store.bytes = updates.reduce((sum, update) => sum + update.length + 4, 0)
+    if (!snapshot && updates.length === 0) return false
+
+    Y.transact(doc, () => {
+        if (snapshot) Y.applyUpdate(doc, snapshot)
+        updates.forEach(update => Y.applyUpdate(doc, update))
+    }, origin)
+    console.log(`[DocStore] Restored ${projectId} (${snapshot ? 'snapshot + ' : ''}${updates.length} updates)`)
+    return true
+}
+
+/**
+ * Append one document update; compacts the store once enough have piled up
+ */
+export function appendUpdate(projectId, update) {
+    const dir = getStoreDir(projectId)
+    const store = getStore(projectId)
+    const record = Buffer.alloc(4 + update.length)
+    record.writeUInt32BE(update.length, 0)
+    record.set(update, 4)
+
+    mkdirSync(dir, { recursive: true })
+    appendFileSync(join(dir, 'updates.bin'), record)
+    store.updates++
+    store.bytes += record.length
+
+    if (store.updates >= COMPACT_UPDATES || store.bytes >= COMPACT_BYTES) compactStore(projectId)
+}
+
+/**
+ * Merge the snapshot and the appended updates into a new snapshot
+ */
+export function compactStore(projectId) {
+    const dir = getStoreDir(projectId)
+    const store = getStore(projectId)
+    const snapshotPath = join(dir, 'snapshot.bin')
+    const updatesPath = join(dir, 'updates.bin')
+    if (!existsSync(updatesPath)) return
+
+    try {
+        const updates = readUpdates(updatesPath)
+        if (existsSync(snapshotPath)) updates.unshift(new Uint8Array(readFileSync(snapshotPath)))
+        writeAtomic(snapshotPath, Y.mergeUpdates(updates))
+        rmSync(updatesPath, { force: true })
+        console.log(`[DocStore] Compacted ${projectId} (${store.updates} updates, snapshot ${Math.round(statSync(snapshotPath).size / 1024)} KB)`)
+        store.updates = 0
+        store.bytes = 0
+    } catch (e) {
+        console.error(`[DocStore] Compaction of ${projectId} failed:`, e.message)
+    }
+}
+
+/**
+ * Remember the content just written to (or read from) project files
+ * @param {string} projectId
+ * @param {Array} files - `[path, content]` pairs
+ */
+export function recordFlushed(projectId, files) {
+    const store = getStore(projectId)
+    let changed = false
+    for (const [path, content] of files) {
+        const hash = hashContent(content)
+        if (store.flushed.get(path) === hash) continue
+        store.flushed.set(path, hash)
+        changed = true
+    }
+    if (changed) writeMeta(projectId)
+}
+
+/**
+ * Whether a project file still has the content last written from the document, i.e.
+ * nobody changed it on disk since (an older stored text would overwrite their change)
+ */
+export function isFlushed(projectId, path, content) {
+    return getStore(projectId).flushed.get(path) === hashContent(content)
+}
+
+/**
+ * Forget a project's stored state (project deleted)
+ */
+export function deleteDocStore(projectId) {
+    stores.delete(projectId)
+    rmSync(getStoreDir(projectId), { recursive: true, force: true })
+}
+
+/**
+ * Drop the in-memory counters of a project whose document was unloaded
+ */
+export function releaseDocStore(projectId) {
+    stores.delete(projectId)
+}
+
+export default { restoreDoc, appendUpdate, compactStore, recordFlushed, isFlushed, deleteDocStore, releaseDocStore }
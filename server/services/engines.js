@@ -0,0 +1,119 @@
+import { homedir } from 'os'
+import { join } from 'path'
+import { commandExists } from './runner.js'
+
+/**
+ * Engine registry.
+ *
+ * Each engine is a pipeline:
+ * - `tex`: TeX binary run in the rerun/bibliography loop (null for self-contained drivers)
+ * - `bibtex`: BibTeX variant for that engine (pTeX needs the Japanese-aware builds)
+ * - `post`: steps turning the engine output into `<jobname>.pdf`, run once after the loop
+ * - `driver`: a self-contained tool that does reruns and bibliographies itself (Tectonic);
+ *   `network`, `cacheDirs` and `env` are passed to its sandboxed run
+ * - `projectFonts`: the engine loads system fonts (fontspec), so project `fonts/` folders go on its font path
+ * Step args are built from the job name, in the build dir.
+ */
+
+// Tectonic downloads its bundle on first use and keeps it here
+const TECTONIC_CACHE_DIR = process.env.TECTONIC_CACHE_DIR || join(homedir(), '.cache', 'Tectonic')
+
+const dvipdfmx = { command: 'dvipdfmx', args: (jobname) => ['-o', `${jobname}.pdf`, `${jobname}.dvi`] }
+
+export const ENGINES = {
+    pdflatex: {
+        label: 'pdfLaTeX',
+        tex: 'pdflatex',
+        post: []
+    },
+    xelatex: {
+        label: 'XeLaTeX',
+        tex: 'xelatex',
+        projectFonts: true,
+        post: []
+    },
+    lualatex: {
+        label: 'LuaLaTeX',
+        tex: 'lualatex',
+        projectFonts: true,
+        post: []
+    },
+    latex: {
+        label: 'LaTeX → dvips → ps2pdf',
+        tex: 'latex',
+        post: [
+            { command: 'dvips', args: (jobname) => ['-q', '-o', `${jobname}.ps`, `${jobname}.dvi`] },
+            { command: 'ps2pdf', args: (jobname) => [`${jobname}.ps`, `${jobname}.pdf`] }
+        ]
+    },
+    platex: {
+        label: 'pLaTeX + dvipdfmx',
+        tex: 'platex',
+        bibtex: 'pbibtex',
+        post: [dvipdfmx]
+    },
+    uplatex: {
+        label: 'upLaTeX + dvipdfmx',
+        tex: 'uplatex',
+        bibtex: 'upbibtex',
+        post: [dvipdfmx]
+    },
+    tectonic: {
+        label: 'Tectonic',
+        tex: null,
+        driver: {
+            command: 'tectonic',
+            args: (texFile, outDir) => ['-X', 'compile', '--synctex', '--keep-logs', '--keep-intermediates', '--outdir', outDir, texFile],
+            network: true,
+            cacheDirs: [TECTONIC_CACHE_DIR],
+            env: { TECTONIC_CACHE_DIR }
+        },
+        post: []
+    }
+}
+
+export const DEFAULT_ENGINE = 'pdflatex'
+
+/**
+ * Engine definition by id, or null when unknown
+ */
+export function getEngine(id) {
+    return Object.prototype.hasOwnProperty.call(ENGINES, id) ? { id, ...ENGINES[id] } : null
+}
+
+/**
+ * Executables a pipeline needs (the BibTeX variant is only needed by documents with a bibliography)
+ */
+function getRequiredCommands(engine) {
+    return [
+        engine.tex,
+        engine.driver?.command,
+        ...engine.post.map(step => step.command)
+    ].filter(Boolean)
+}
+
+/**
+ * Executables of an engine's pipeline that are not installed on this host
+ */
+export function getMissingCommands(engine) {
+    return getRequiredCommands(engine).filter(command => !commandExists(command))
+}
+
+/**
+ * Every engine with whether it can run here, for the capabilities endpoint
+ */
+export function listEngines() {
+    return Object.keys(ENGINES).map(id => {
+        const engine = getEngine(id)
+        const missing = getMissingCommands(engine)
+        return {
+            id,
+            label: engine.label,
+            steps: [engine.tex || engine.driver.command, ...engine.post.map(step => step.command)],
+            available: missing.length === 0,
+            missing
+        }
+    })
+}
+
+export default { ENGINES, DEFAULT_ENGINE, getEngine, getMissingCommands, listEngines }
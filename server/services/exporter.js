@@ -0,0 +1,277 @@
+import { existsSync, mkdirSync, cpSync, readdirSync, readFileSync, writeFileSync, rmSync, statSync } from 'fs'
+import { join, dirname, basename, extname, relative, resolve as resolvePath } from 'path'
+import { fileURLToPath } from 'url'
+import { v4 as uuidv4 } from 'uuid'
+import { normalizeRootFile, DEFAULT_ROOT_FILE } from '../utils/project.js'
+import { runSandboxed, commandExists, describeLimit } from './runner.js'
+import { HISTORY_DIR } from './buildHistory.js'
+
+/**
+ * Export the project's main document to other formats.
+ *
+ * pandoc converts the LaTeX source directly (DOCX, HTML, EPUB); make4ht runs TeX
+ * with tex4ht and is only used for HTML. Each export runs in a fresh copy of the
+ * project under temp/, through the same sandbox as compiles, and produces one file:
+ * HTML from make4ht gets its stylesheets and images inlined.
+ */
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const TEMP_DIR = join(__dirname, '../temp')
+const PROJECTS_DIR = join(__dirname, '../../projects')
+const CACHE_DIR = join(__dirname, '../cache')
+
+const EXPORT_TIMEOUT = parseInt(process.env.EXPORT_TIMEOUT) || 120000
+
+// Tools in order of preference per format
+export const EXPORT_FORMATS = {
+    docx: {
+        label: 'Word (DOCX)',
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        tools: ['pandoc']
+    },
+    html: {
+        label: 'HTML',
+        extension: 'html',
+        contentType: 'text/html; charset=utf-8',
+        tools: ['pandoc', 'make4ht']
+    },
+    epub: {
+        label: 'EPUB',
+        extension: 'epub',
+        contentType: 'application/epub+zip',
+        tools: ['pandoc']
+    }
+}
+
+// What happens to \includegraphics figures
+export const IMAGE_MODES = ['embed', 'convert', 'omit']
+
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml'
+}
+
+// pandoc filters, written next to the document for the run
+const OMIT_IMAGES_FILTER = 'function Image(img) return {} end\n'
+const PNG_IMAGES_FILTER = `function Image(img)
+  local base = (img.src:gsub('%.[pP][dD][fF]$', ''))
+  local file = io.open(base .. '.png')
+  if file then
+    file:close()
+    img.src = base .. '.png'
+  end
+  return img
+end
+`
+
+/**
+ * Formats with the tools installed for them, for the capabilities endpoint
+ */
+export function listExportFormats() {
+    return Object.entries(EXPORT_FORMATS).map(([id, format]) => {
+        const tools = format.tools.map(tool => ({ id: tool, available: commandExists(tool) }))
+        return {
+            id,
+            label: format.label,
+            tools,
+            available: tools.some(tool => tool.available),
+            // Rasterizing PDF figures needs poppler
+            convertImages: commandExists('pdftoppm')
+        }
+    })
+}
+
+/**
+ * Pick the tool for a format: the requested one if it is installed, else the first installed one
+ * @returns {Object} `{ tool }`, or `{ error }` with `unavailable: true` when the tools are not installed
+ */
+export function resolveExportTool(formatId, requested) {
+    const format = EXPORT_FORMATS[formatId]
+    if (!format) return { error: `Unknown export format "${formatId}"` }
+
+    if (requested) {
+        if (!format.tools.includes(requested)) return { error: `${requested} cannot export ${format.label}` }
+        if (!commandExists(requested)) return { error: `${requested} is not installed on this server`, unavailable: true }
+        return { tool: requested }
+    }
+
+    const tool = format.tools.find(commandExists)
+    if (!tool) {
+        return { error: `${format.label} export is not available on this server (install ${format.tools.join(' or ')})`, unavailable: true }
+    }
+    return { tool }
+}
+
+/**
+ * Convert a project's main document
+ * @param {string} projectPath - Project directory
+ * @param {string} rootFile - Project-relative main document
+ * @param {string} formatId - 'docx' | 'html' | 'epub'
+ * @param {Object} options
+ * @param {string} options.tool - Tool to use (see resolveExportTool)
+ * @param {boolean} [options.citations] - Resolve \cite with citeproc (pandoc, default true)
+ * @param {string} [options.csl] - Project-relative .csl file with the citation style (pandoc)
+ * @param {string} [options.images] - 'embed' (default), 'convert' (PDF figures to PNG) or 'omit'
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} `{ success, path, filename, contentType, logs, cleanup }` or
+ *   `{ success: false, error, logs }`; `cleanup()` removes the export dir once the file is sent
+ */
+export async function exportProject(projectPath, rootFile = DEFAULT_ROOT_FILE, formatId, options = {}) {
+    const format = EXPORT_FORMATS[formatId]
+    const rootPath = normalizeRootFile(rootFile)
+    if (!format || !rootPath) return { success: false, error: 'Invalid export request', logs: '' }
+
+    const exportDir = join(TEMP_DIR, `export-${uuidv4().substring(0, 8)}`)
+    const cleanup = () => rmSync(exportDir, { recursive: true, force: true })
+    const texFile = join(exportDir, rootPath)
+    const buildDir = dirname(texFile)
+    const jobname = basename(rootPath, '.tex')
+    const images = IMAGE_MODES.includes(options.images) ? options.images : 'embed'
+    const tool = options.tool || 'pandoc'
+
+    try {
+        cpSync(projectPath, exportDir, { recursive: true, filter: (src) => !basename(src).startsWith('.') || src === projectPath })
+        if (!existsSync(texFile)) {
+            cleanup()
+            return { success: false, error: `Main document "${rootPath}" not found`, logs: '' }
+        }
+
+        let csl = null
+        if (options.csl) {
+            csl = resolvePath(exportDir, options.csl)
+            if (!csl.startsWith(exportDir + '/') || extname(csl) !== '.csl' || !existsSync(csl)) {
+                cleanup()
+                return { success: false, error: `Citation style "${options.csl}" not found in the project`, logs: '' }
+            }
+        }
+
+        const run = (command, args, cwd = buildDir) => runSandboxed(command, args, {
+            cwd,
+            writableDir: exportDir,
+            hiddenPaths: [PROJECTS_DIR, CACHE_DIR, TEMP_DIR, HISTORY_DIR],
+            timeout: EXPORT_TIMEOUT,
+            signal: options.signal
+        })
+
+        let logs = ''
+        if (images === 'convert') logs += await convertPdfFigures(exportDir, run)
+
+        const outputName = `${jobname}.${format.extension}`
+        let outputPath
+        let result
+
+        if (tool === 'make4ht') {
+            const outDir = join(exportDir, '.export')
+            mkdirSync(outDir)
+            console.log(`[Export] make4ht ${rootPath} -> html`)
+            result = await run('make4ht', ['-u', '-d', outDir, basename(texFile)])
+            outputPath = join(outDir, `${jobname}.html`)
+            if (existsSync(outputPath)) {
+                // Generated files land in outDir, the project's own figures stay next to the document
+                const html = readFileSync(outputPath, 'utf-8')
+                writeFileSync(outputPath, inlineResources(html, exportDir, [outDir, buildDir], images === 'omit'))
+            }
+        } else {
+            outputPath = join(exportDir, '.export', outputName)
+            mkdirSync(dirname(outputPath))
+            const args = [basename(texFile), '-f', 'latex', '-t', formatId, '-o', outputPath, `--resource-path=.:${exportDir}`]
+            if (formatId === 'html') {
+                args.push('--standalone')
+                if (images !== 'omit') args.push('--embed-resources')
+            }
+            if (options.citations !== false) {
+                // Bibliographies named by \bibliography / \addbibresource are picked up by pandoc itself
+                args.push('--citeproc')
+                if (csl) args.push(`--csl=${csl}`)
+            }
+            if (images !== 'embed') {
+                const filter = join(exportDir, '.export', 'images.lua')
+                writeFileSync(filter, images === 'omit' ? OMIT_IMAGES_FILTER : PNG_IMAGES_FILTER)
+                args.push(`--lua-filter=${filter}`)
+            }
+            console.log(`[Export] pandoc ${rootPath} -> ${formatId}`)
+            result = await run('pandoc', args)
+        }
+
+        logs += (result.stdout + '\n' + result.stderr).trim()
+        if (result.limit || !existsSync(outputPath) || statSync(outputPath).size === 0) {
+            cleanup()
+            return { success: false, error: describeFailure(result, tool), logs }
+        }
+
+        return { success: true, path: outputPath, filename: outputName, contentType: format.contentType, logs, cleanup }
+    } catch (error) {
+        console.error('[Export] Error:', error)
+        cleanup()
+        return { success: false, error: error.message, logs: '' }
+    }
+}
+
+function describeFailure(result, tool) {
+    if (result.limit === 'cancelled') return 'Export cancelled.'
+    if (result.limit === 'timeout') return `Export timed out after ${Math.round(EXPORT_TIMEOUT / 1000)} seconds.`
+    return describeLimit(result) || `${tool} failed with exit code ${result.code}`
+}
+
+/**
+ * Rasterize the PDF figures of the project next to themselves (`fig.pdf` -> `fig.png`),
+ * since HTML, DOCX and EPUB readers cannot show PDF images
+ * @returns {Promise<string>} log lines
+ */
+async function convertPdfFigures(exportDir, run) {
+    if (!commandExists('pdftoppm')) return 'pdftoppm is not installed, PDF figures were left as they are.\n'
+
+    const figures = []
+    const walk = (dir) => {
+        for (const item of readdirSync(dir)) {
+            if (item.startsWith('.')) continue
+            const fullPath = join(dir, item)
+            if (statSync(fullPath).isDirectory()) walk(fullPath)
+            else if (item.toLowerCase().endsWith('.pdf') && !existsSync(fullPath.replace(/\.pdf$/i, '.png'))) figures.push(fullPath)
+        }
+    }
+    walk(exportDir)
+
+    let logs = ''
+    for (const figure of figures) {
+        const target = figure.replace(/\.pdf$/i, '')
+        const result = await run('pdftoppm', ['-png', '-singlefile', '-r', '150', basename(figure), basename(target)], dirname(figure))
+        if (result.code !== 0) logs += `Could not convert ${relative(exportDir, figure)}\n`
+    }
+    return logs
+}
+
+/**
+ * Turn make4ht output into a single file: stylesheets inlined, images as data URIs (or removed)
+ * @param {string} rootDir - Nothing outside it is read
+ * @param {string[]} dirs - Where relative links are looked up, in order
+ */
+function inlineResources(html, rootDir, dirs, omitImages) {
+    const readLocal = (href) => {
+        for (const dir of dirs) {
+            const path = resolvePath(dir, decodeURIComponent(href))
+            if (path.startsWith(rootDir + '/') && existsSync(path) && statSync(path).isFile()) return readFileSync(path)
+        }
+        return null
+    }
+
+    return html
+        .replace(/<link\s[^>]*href=["']([^"':]+\.css)["'][^>]*\/?>/gi, (tag, href) => {
+            const css = readLocal(href)
+            return css ? `<style>\n${css.toString('utf-8')}\n</style>` : tag
+        })
+        .replace(/<img\s[^>]*?src=["']([^"':]+)["'][^>]*\/?>/gi, (tag, src) => {
+            if (omitImages) return ''
+            const type = IMAGE_TYPES[extname(src).substring(1).toLowerCase()]
+            const data = type && readLocal(src)
+            return data ? tag.replace(src, `data:${type};base64,${data.toString('base64')}`) : tag
+        })
+}
+
+export default { EXPORT_FORMATS, IMAGE_MODES, listExportFormats, resolveExportTool, exportProject }
@@ -0,0 +1,128 @@
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import { join } from 'path'
+import crypto from 'crypto'
+import { commandExists } from './runner.js'
+import { parseIndexLog, createDiagnostic } from './logParser.js'
+
+/**
+ * Index, glossary and nomenclature tools, run between engine passes like BibTeX.
+ *
+ * Each step is found from a file the engine wrote:
+ * - `<name>.idx` (\makeindex, imakeidx): makeindex, or xindy (texindy) when the
+ *   project has an .xdy style
+ * - `<jobname>.glo` / `.acn` (glossaries): makeglossaries, which picks makeindex or
+ *   xindy from the .aux itself
+ * - `<jobname>.nlo` (nomencl): makeindex with the nomencl.ist style
+ *
+ * A step is `{ id, command, args, inputs, output, transcript }`, with file names
+ * relative to the build dir; the transcript is the tool's own log (.ilg, .glg, .nlg).
+ */
+
+/**
+ * Steps the last engine pass asked for
+ * @param {string} buildDir - Directory the engine ran in
+ * @param {string} jobname
+ * @returns {Array} steps, in the order they should run
+ */
+export function detectIndexSteps(buildDir, jobname) {
+    const files = readdirSync(buildDir)
+    const has = (file) => files.includes(file)
+    const steps = []
+
+    const xdyStyles = files.filter(file => file.endsWith('.xdy'))
+    const useXindy = xdyStyles.length > 0 && commandExists('texindy')
+
+    for (const idx of files.filter(file => file.endsWith('.idx')).sort()) {
+        const name = idx.slice(0, -4)
+        if (useXindy) {
+            steps.push({
+                id: 'xindy',
+                command: 'texindy',
+                args: [...xdyStyles.flatMap(style => ['-M', style]), '-o', `${name}.ind`, '-t', `${name}.ilg`, idx],
+                inputs: [idx, ...xdyStyles],
+                output: `${name}.ind`,
+                transcript: `${name}.ilg`
+            })
+        } else {
+            const style = has(`${name}.ist`) ? ['-s', `${name}.ist`] : []
+            steps.push({
+                id: 'makeindex',
+                command: 'makeindex',
+                args: [...style, '-o', `${name}.ind`, '-t', `${name}.ilg`, idx],
+                inputs: [idx, ...(style.length ? [`${name}.ist`] : [])],
+                output: `${name}.ind`,
+                transcript: `${name}.ilg`
+            })
+        }
+    }
+
+    if (has(`${jobname}.glo`) || has(`${jobname}.acn`)) {
+        steps.push({
+            id: 'makeglossaries',
+            command: 'makeglossaries',
+            args: [jobname],
+            inputs: [`${jobname}.glo`, `${jobname}.acn`, `${jobname}.ist`, `${jobname}.xdy`].filter(has),
+            output: `${jobname}.gls`,
+            transcript: `${jobname}.glg`
+        })
+    }
+
+    if (has(`${jobname}.nlo`)) {
+        steps.push({
+            id: 'nomencl',
+            command: 'makeindex',
+            args: [`${jobname}.nlo`, '-s', 'nomencl.ist', '-o', `${jobname}.nls`, '-t', `${jobname}.nlg`],
+            inputs: [`${jobname}.nlo`],
+            output: `${jobname}.nls`,
+            transcript: `${jobname}.nlg`
+        })
+    }
+
+    return steps
+}
+
+/**
+ * Hash the files a step reads; the tool only needs to run again when this changes
+ */
+export function hashIndexState(buildDir, step) {
+    const hash = crypto.createHash('md5')
+    hash.update(step.args.join(' '))
+    for (const input of step.inputs) {
+        const path = join(buildDir, input)
+        if (existsSync(path)) hash.update(readFileSync(path))
+    }
+    return hash.digest('hex')
+}
+
+/**
+ * Transcripts and failures of the index steps of a build, for the build log
+ * @param {string} buildDir
+ * @param {Array} runs - `{ step, result }` per step; `result` is null when the step was up to date
+ * @returns {Object} `{ log, diagnostics }`: log sections to append to the TeX log, and 'tool' diagnostics
+ */
+export function collectIndexLogs(buildDir, runs) {
+    let log = ''
+    const diagnostics = []
+
+    for (const { step, result } of runs) {
+        const transcriptFile = join(buildDir, step.transcript)
+        const transcript = existsSync(transcriptFile) ? readFileSync(transcriptFile, 'utf-8') : ''
+        const output = result ? (result.stdout + '\n' + result.stderr).trim() : ''
+
+        log += `\n\n==== ${step.id}: ${step.command} ${step.args.join(' ')}${result ? '' : ' (up to date)'} ====\n`
+        log += transcript || output
+        diagnostics.push(...parseIndexLog(transcript, step.id))
+
+        if (result && result.code !== 0 && !result.limit) {
+            diagnostics.push(createDiagnostic({
+                severity: 'error',
+                category: 'tool',
+                message: result.error ? result.error.message : `${step.id} failed with exit code ${result.code}`,
+                raw: output
+            }))
+        }
+    }
+    return { log, diagnostics }
+}
+
+export default { detectIndexSteps, hashIndexState, collectIndexLogs }
@@ -1,11 +1,18 @@
 import { spawn } from 'child_process'
-import { writeFileSync, mkdirSync, existsSync, readFileSync, cpSync, readdirSync, statSync, unlinkSync, rmSync } from 'fs'
-import fs from 'fs'
-import { join, dirname, basename, relative } from 'path'
+import { writeFileSync, mkdirSync, existsSync, readFileSync, cpSync, readdirSync, statSync, unlinkSync, rmSync, utimesSync } from 'fs'
+import { join, dirname, basename, relative, resolve as resolvePath } from 'path'
 import { fileURLToPath } from 'url'
 import { v4 as uuidv4 } from 'uuid'
 import crypto from 'crypto'
-import { findProjectInfo } from '../utils/project.js'
+import { findProjectInfo, normalizeRootFile, DEFAULT_ROOT_FILE } from '../utils/project.js'
+import { getDirectorySize } from '../utils/storage.js'
+import { findFontDirs, getMissingFontHint } from '../utils/fonts.js'
+import { parseLatexLog, createDiagnostic } from './logParser.js'
+import { runSandboxed, describeLimit, LIMITS } from './runner.js'
+import { recordBuild, HISTORY_DIR } from './buildHistory.js'
+import { getEngine, getMissingCommands, DEFAULT_ENGINE } from './engines.js'
+import { analyzePackages, isMissingPackageError } from './packages.js'
+import { detectIndexSteps, hashIndexState, collectIndexLogs } from './indexTools.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -18,45 +25,70 @@ const CACHE_DIR = join(__dirname, '../cache')
 mkdirSync(TEMP_DIR, { recursive: true })
 mkdirSync(CACHE_DIR, { recursive: true })
 
-// Cache for project hashes (incremental compilation)
-const projectHashCache = new Map()
+// Work dir state per project (incremental compilation):
+// { hash, files: Map<relPath, { size, mtimeMs, hash }> } as of the last sync
+const workDirState = new Map()
 
-/**
- * Get the command for a LaTeX engine
- */
-function getEngineCommand(engine) {
-    const allowed = ['pdflatex', 'xelatex', 'lualatex']
-    if (allowed.includes(engine)) {
-        return engine
-    }
-    return 'pdflatex'
-}
+// Last successful build per compile target (project or project/profile), reused when
+// nothing changed: { key, pdf, logs, diagnostics, errors }
+const lastBuilds = new Map()
+
+// Projects with a build in progress; their work dirs are never evicted
+const activeBuilds = new Set()
+
+// CACHE_DIR limits: least recently built work dirs go first
+const CACHE_MAX_BYTES = (parseInt(process.env.LATEX_CACHE_MAX_MB) || 2048) * 1024 * 1024
+const CACHE_MAX_AGE = (parseInt(process.env.LATEX_CACHE_MAX_AGE_DAYS) || 14) * 24 * 60 * 60 * 1000
+
+// Input state at the last bibtex/biber run, keyed by build dir + jobname, and at the
+// last index/glossary tool run, keyed by the file the tool writes
+const toolStateCache = new Map()
+
+// Upper bound on engine runs per build (latexmk uses 5 as well)
+const MAX_PASSES = parseInt(process.env.LATEX_MAX_PASSES) || 5
+
+// Files whose changes between passes mean another engine run is needed
+const AUX_STATE_EXTENSIONS = /\.(aux|toc|lof|lot|out|nav|snm)$/i
+
+// Log messages asking for another run
+const RERUN_PATTERN = /(Rerun to get|Please rerun LaTeX|Rerun LaTeX|Label\(s\) may have changed)/i
 
 /**
- * Calculate hash of project files for cache invalidation
+ * Hash the content of every project file.
+ * Files whose size and mtime match the previous scan keep their old hash without being re-read.
+ * @param {Map} previous - `files` from the last scan
+ * @returns {Object} `{ hash, files: Map<relPath, { size, mtimeMs, hash }> }`
  */
-function calculateProjectHash(projectDir) {
-    if (!existsSync(projectDir)) return null
+function calculateProjectHash(projectDir, previous = new Map()) {
+    const files = new Map()
+    if (!existsSync(projectDir)) return { hash: null, files }
 
-    const files = []
-    const getFilesRecursive = (dir) => {
+    const getFilesRecursive = (dir, base = '') => {
         const items = readdirSync(dir)
         for (const item of items) {
             if (item.startsWith('.')) continue
             const fullPath = join(dir, item)
+            const relPath = base ? `${base}/${item}` : item
             const stat = statSync(fullPath)
             if (stat.isDirectory()) {
-                getFilesRecursive(fullPath)
+                getFilesRecursive(fullPath, relPath)
             } else {
-                // Include file path, size and mtime in hash
-                files.push(`${fullPath}:${stat.size}:${stat.mtimeMs}`)
+                const known = previous.get(relPath)
+                const hash = known && known.size === stat.size && known.mtimeMs === stat.mtimeMs
+                    ? known.hash
+                    : crypto.createHash('sha1').update(readFileSync(fullPath)).digest('hex')
+                files.set(relPath, { size: stat.size, mtimeMs: stat.mtimeMs, hash })
             }
         }
     }
     getFilesRecursive(projectDir)
 
-    // Create hash from all file metadata
-    return crypto.createHash('md5').update(files.sort().join('|')).digest('hex').substring(0, 12)
+    // Paths and contents only: touching a file does not change the hash
+    const entries = Array.from(files.entries()).map(([relPath, file]) => `${relPath}:${file.hash}`).sort()
+    return {
+        hash: crypto.createHash('sha1').update(entries.join('|')).digest('hex').substring(0, 16),
+        files
+    }
 }
 
 /**
@@ -66,6 +98,32 @@ function getProjectWorkDir(projectId) {
     return join(CACHE_DIR, projectId)
 }
 
+/**
+ * Where the engine runs for a root document: its directory inside the work dir,
+ * so relative \\input paths resolve as they do on the author's machine
+ * @param {string} [jobname] - Output name when a build profile sets one
+ */
+function getBuildTarget(workDir, rootFile, jobname) {
+    const buildDir = join(workDir, dirname(rootFile))
+    return { buildDir, jobname: jobname || basename(rootFile, '.tex'), texFile: join(workDir, rootFile) }
+}
+
+/**
+ * Work dir locations of a project's build, for tools that read its output
+ * @returns {Object} `{ workDir, buildDir, jobname, texFile }`
+ */
+export function getBuildPaths(projectId, rootFile = DEFAULT_ROOT_FILE, jobname = null) {
+    const workDir = getProjectWorkDir(projectId)
+    return { workDir, ...getBuildTarget(workDir, rootFile, jobname) }
+}
+
+/**
+ * Key of a compile target: the project itself, or one of its build profiles
+ */
+function getTargetKey(projectId, profile) {
+    return profile ? `${projectId}/${profile}` : projectId
+}
+
 /**
  * Cleanup old temp files (files older than 1 hour)
  */
@@ -106,8 +164,33 @@ export function cleanupOldTempFiles() {
 
 /**
  * Compile LaTeX code using specified engine with incremental support
+ * @param {string} rootFile - Project-relative root document (e.g. 'thesis.tex' or 'paper/main.tex')
+ * @param {Object} options
+ * @param {Function} options.onEvent - Receives live build events ({ type: 'pass' | 'output' | 'progress', ... })
+ * @param {boolean} options.shellEscape - Allow \write18 (project owner opt-in)
+ * @param {boolean} options.clearCache - Delete the work dir first (full rebuild)
+ * @param {Object} options.user - `{ uid, email }` recorded in the build history
+ * @param {number} options.timeout - Time limit for the whole build (ms), capped at LIMITS.timeout
+ * @param {AbortSignal} options.signal - Stops the running engine/tool when aborted
+ * @param {string} options.profile - Build profile name; each profile is cached as its own target
+ * @param {string} options.jobname - `-jobname` for the engine (defaults to the root document's name)
+ * @param {string} options.macros - TeX code run before the root document (e.g. `\\def\\draft{}`)
+ * @param {string} options.outputName - Download name of the PDF
+ * @returns {Promise<Object>} build result with the `buildId` of its history entry and the PDF's
+ *   `outputName`; `cached: true` when the previous PDF was reused (no new history entry)
  */
-export async function compileLatex(projectId = 'default-project', engine = 'pdflatex', filename = 'main', code = null, userId) {
+export async function compileLatex(projectId = 'default-project', engine = DEFAULT_ENGINE, rootFile = DEFAULT_ROOT_FILE, code = null, userId, options = {}) {
+    const emit = options.onEvent || (() => { })
+    const startedAt = Date.now()
+    const timeout = Math.min(options.timeout || LIMITS.timeout, LIMITS.timeout)
+
+    // Older clients send the bare job name ('main')
+    const rootPath = normalizeRootFile(rootFile && !rootFile.endsWith('.tex') ? `${rootFile}.tex` : rootFile)
+    if (!rootPath) {
+        const message = `Invalid main document: ${rootFile}`
+        return { success: false, pdfPath: null, logs: message, errors: [createDiagnostic({ message })], diagnostics: [createDiagnostic({ message })] }
+    }
+
     // Correctly locate the project directory
     const info = findProjectInfo(projectId, userId)
     let projectDir = info ? info.projectPath : null
@@ -124,53 +207,136 @@ export async function compileLatex(projectId = 'default-project', engine = 'pdfl
     }
     const workDir = getProjectWorkDir(projectId)
 
+    // Stale aux files can break a build: start from an empty work dir on request
+    if (options.clearCache) clearProjectCache(projectId)
+
     // Calculate current project hash
-    const currentHash = calculateProjectHash(projectDir)
-    const cachedHash = projectHashCache.get(projectId)
-    const needsSync = currentHash !== cachedHash
+    const previousState = workDirState.get(projectId)
+    const current = calculateProjectHash(projectDir, previousState?.files)
+    const currentHash = current.hash
+    const cachedHash = previousState?.hash
+    const needsSync = currentHash !== cachedHash || !existsSync(workDir)
 
     // Output paths  
     const jobId = uuidv4().substring(0, 8)
     const pdfFile = `${jobId}.pdf`
     const pdfPath = join(TEMP_DIR, pdfFile)
 
-    // Security check for filename
-    const targetTexPath = join(workDir, `${filename}.tex`)
-    if (!targetTexPath.startsWith(workDir)) {
+    // Security check for the root document
+    const { buildDir, jobname, texFile } = getBuildTarget(workDir, rootPath, options.jobname)
+    const targetKey = getTargetKey(projectId, options.profile)
+    const outputName = options.outputName || `${jobname}.pdf`
+    const macros = options.macros || ''
+    if (!texFile.startsWith(workDir)) {
         throw new Error('Security Error: Invalid filename')
     }
 
+    // Everything that influences the output; an identical key means the last PDF is still valid
+    const buildKey = crypto.createHash('sha1')
+        .update([currentHash, engine, rootPath, jobname, macros, options.shellEscape === true, code || ''].join('|'))
+        .digest('hex')
+
+    // Keep the outcome, log and artifacts of every build that actually ran
+    const withHistory = (result, keepArtifacts = true) => {
+        const build = recordBuild(projectId, {
+            engine,
+            rootFile: rootPath,
+            profile: options.profile || null,
+            user: options.user || (userId ? { uid: userId } : null),
+            startedAt,
+            success: result.success,
+            status: result.cancelled ? 'cancelled' : null,
+            diagnostics: result.diagnostics,
+            log: result.logs,
+            buildDir: keepArtifacts ? buildDir : null,
+            jobname
+        })
+        return { ...result, buildId: build?.id || null }
+    }
+
+    activeBuilds.add(projectId)
     try {
         // Create/update work directory
         mkdirSync(workDir, { recursive: true })
+        const now = new Date()
+        utimesSync(workDir, now, now) // LRU order for eviction
 
         // Sync project files only if changed (incremental)
         if (needsSync && existsSync(projectDir)) {
             console.log(`[LaTeX] Syncing project files (hash changed: ${cachedHash} -> ${currentHash})`)
 
-            // Sync files: copy new/modified, keep aux files
-            syncProjectFiles(projectDir, workDir)
-            projectHashCache.set(projectId, currentHash)
+            // Sync files: copy new/modified, drop deleted ones, keep aux files
+            syncProjectFiles(projectDir, workDir, current.files, previousState?.files)
         } else {
             console.log(`[LaTeX] Using cached work directory (hash: ${currentHash})`)
         }
+        workDirState.set(projectId, current)
+
+        // Nothing changed since the last successful build of this target: hand out the same PDF
+        // again (from the target's own copy, profiles may share a jobname)
+        const previousBuild = lastBuilds.get(targetKey)
+        const previousPdf = previousBuild?.pdf
+        if (previousBuild?.key === buildKey && existsSync(previousPdf)) {
+            console.log(`[LaTeX] No changes since the last build, reusing PDF (key: ${buildKey.substring(0, 12)})`)
+            emit({ type: 'output', text: 'No changes since the last build, reusing the previous PDF.\n' })
+            writeFileSync(pdfPath, readFileSync(previousPdf))
+            setTimeout(() => cleanupOldTempFiles(), 5000)
 
-        // If specific code provided, overwrite main.tex
-        if (code) {
-            writeFileSync(join(workDir, `${filename}.tex`), code, 'utf-8')
-        } else if (!existsSync(join(workDir, `${filename}.tex`))) {
-            writeFileSync(join(workDir, `${filename}.tex`), '', 'utf-8')
+            return {
+                success: true,
+                pdfPath: pdfFile,
+                logs: previousBuild.logs,
+                errors: previousBuild.errors,
+                diagnostics: previousBuild.diagnostics,
+                passes: [],
+                outputName,
+                cached: true,
+            }
         }
+        lastBuilds.delete(targetKey)
 
-        const engineCmd = getEngineCommand(engine)
-        console.log(`[LaTeX] Compiling ${projectId}/${filename}.tex with ${engineCmd}`)
+        // If specific code provided, overwrite the root document
+        if (code) {
+            mkdirSync(buildDir, { recursive: true })
+            writeFileSync(texFile, code, 'utf-8')
+        } else if (!existsSync(texFile)) {
+            throw new Error(`Main document "${rootPath}" not found. Choose another one with "Set as main document".`)
+        }
 
-        // Run LaTeX engine
-        const texFile = join(workDir, `${filename}.tex`)
-        const result = await runLatexEngine(engineCmd, texFile, workDir)
+        const engineDef = getEngine(engine)
+        if (!engineDef) {
+            throw new Error(`Unknown engine "${engine}".`)
+        }
+        if (engineDef.driver && (options.jobname || macros)) {
+            throw new Error(`${engineDef.label} does not support a custom jobname or macros; pick another engine for this profile.`)
+        }
+        const missing = getMissingCommands(engineDef)
+        if (missing.length > 0) {
+            throw new Error(`${engineDef.label} is not available on this server (not installed: ${missing.join(', ')}).`)
+        }
+        console.log(`[LaTeX] Compiling ${projectId}/${rootPath} with ${engineDef.label}${options.profile ? ` (profile ${options.profile})` : ''}`)
+
+        // Missing packages are reported where they are loaded; Tectonic downloads them itself
+        // (its runs keep network access and a writable cache, see engines.js)
+        const packages = engineDef.driver ? null : await analyzePackages(workDir)
+
+        // A PDF left over from an earlier build must not pass for this build's output
+        rmSync(join(buildDir, `${jobname}.pdf`), { force: true })
+
+        // Run LaTeX engine (with bibliography tools, reruns and DVI conversion as needed)
+        const result = await runBuildPipeline(engineDef, texFile, buildDir, emit, {
+            workDir,
+            shellEscape: options.shellEscape === true,
+            deadline: startedAt + timeout,
+            signal: options.signal,
+            jobname,
+            macros,
+            env: engineDef.projectFonts ? getFontEnv(workDir) : {}
+        })
+        const cancelled = result.limit === 'cancelled'
 
         // Read log file
-        const logFile = join(workDir, `${filename}.log`)
+        const logFile = join(buildDir, `${jobname}.log`)
         let logContent = result.stdout + '\n' + result.stderr
         if (existsSync(logFile)) {
             try {
@@ -180,203 +346,554 @@ export async function compileLatex(projectId = 'default-project', engine = 'pdfl
             }
         }
 
+        // Index and glossary tools keep their own transcripts
+        const indexLogs = collectIndexLogs(buildDir, result.indexRuns || [])
+        const diagnostics = [
+            ...(packages?.diagnostics || []),
+            ...parseLatexLog(logContent, { rootFile: rootPath, workDir, buildDir })
+                .filter(d => !packages || !isMissingPackageError(d, packages.missing)),
+            ...indexLogs.diagnostics
+        ]
+        logContent += indexLogs.log
+        for (const diagnostic of diagnostics) {
+            const hint = getMissingFontHint(diagnostic.message, engineDef.projectFonts === true)
+            if (hint) diagnostic.hint = hint
+        }
+        const errors = diagnostics.filter(d => d.severity === 'error')
+
         // Check for PDF
-        const generatedPdf = join(workDir, `${filename}.pdf`)
+        const generatedPdf = join(buildDir, `${jobname}.pdf`)
 
-        if (existsSync(generatedPdf)) {
+        if (existsSync(generatedPdf) && !cancelled) {
             // Copy PDF to temp with unique name
             const pdfContent = readFileSync(generatedPdf)
             writeFileSync(pdfPath, pdfContent)
 
             console.log(`[LaTeX] Success! PDF: ${pdfFile}`)
 
-            // Schedule cleanup of old temp files
-            setTimeout(() => cleanupOldTempFiles(), 5000)
+            const targetPdf = join(workDir, '.targets', `${options.profile || '_default'}.pdf`)
+            mkdirSync(dirname(targetPdf), { recursive: true })
+            writeFileSync(targetPdf, pdfContent)
+            lastBuilds.set(targetKey, { key: buildKey, pdf: targetPdf, logs: logContent, errors, diagnostics })
 
-            return {
+            // Schedule cleanup of old temp files and cached work dirs
+            setTimeout(() => {
+                cleanupOldTempFiles()
+                evictCache()
+            }, 5000)
+
+            return withHistory({
                 success: true,
                 pdfPath: pdfFile,
                 logs: logContent,
-                errors: parseErrors(logContent),
-            }
+                errors,
+                diagnostics,
+                passes: result.passes,
+                outputName,
+            })
         } else {
-            const errors = parseErrors(logContent)
-            if (result.signal === 'SIGTERM' || result.signal === 'SIGKILL') {
-                errors.push('Compilation timed out. Your project might be too large or has an infinite loop.')
+            const limitMessage = describeLimit(result, timeout)
+            if (limitMessage) {
+                errors.push(createDiagnostic({ message: limitMessage }))
+            } else if (result.failedStep) {
+                const { command, code, output } = result.failedStep
+                errors.push(createDiagnostic({ message: `${command} failed with exit code ${code}`, raw: output }))
             } else if (errors.length === 0) {
-                errors.push('LaTeX compilation failed - no PDF generated')
+                errors.push(createDiagnostic({ message: 'LaTeX compilation failed - no PDF generated' }))
             }
 
-            return {
+            return withHistory({
                 success: false,
                 pdfPath: null,
                 logs: logContent,
-                errors: errors,
-            }
+                errors,
+                diagnostics: [...errors.filter(e => !diagnostics.includes(e)), ...diagnostics],
+                passes: result.passes,
+                cancelled,
+            })
         }
     } catch (error) {
         console.error(`[LaTeX] Error:`, error)
-        return {
+        return withHistory({
             success: false,
             pdfPath: null,
             logs: error.message,
-            errors: [error.message],
-        }
+            errors: [createDiagnostic({ message: error.message })],
+            diagnostics: [createDiagnostic({ message: error.message })],
+        }, false) // whatever is in the build dir belongs to an earlier build
+    } finally {
+        activeBuilds.delete(projectId)
     }
 }
 
 /**
- * Sync project files to work directory (preserves aux files)
+ * Path of a PDF produced by a build (the `pdfPath` of compileLatex), or null
  */
-function syncProjectFiles(srcDir, destDir) {
-    const srcFiles = new Set()
+export function getCompiledPdf(pdfFile) {
+    if (typeof pdfFile !== 'string' || !/^[0-9a-f]{8}\.pdf$/.test(pdfFile)) return null
+    const path = join(TEMP_DIR, pdfFile)
+    return existsSync(path) ? path : null
+}
 
-    // Get all source files
-    const getSrcFiles = (dir, base = '') => {
-        const items = readdirSync(dir)
-        for (const item of items) {
-            if (item.startsWith('.')) continue
-            const fullPath = join(dir, item)
-            const relPath = base ? `${base}/${item}` : item
-            const stat = statSync(fullPath)
+/**
+ * Latest successful PDF of a compile target (the project, or one of its profiles), or null.
+ * Outlives the per-build copies, which are removed after an hour.
+ */
+export function getLatestPdf(projectId, profile = null) {
+    const path = join(getProjectWorkDir(projectId), '.targets', `${profile || '_default'}.pdf`)
+    return existsSync(path) ? path : null
+}
 
-            if (stat.isDirectory()) {
-                getSrcFiles(fullPath, relPath)
-            } else {
-                srcFiles.add(relPath)
-            }
+/**
+ * Delete a project's work dir (aux files, cached PDF) so the next build starts clean
+ */
+export function clearProjectCache(projectId) {
+    const workDir = getProjectWorkDir(projectId)
+    if (!workDir.startsWith(CACHE_DIR + '/')) return false
+
+    rmSync(workDir, { recursive: true, force: true })
+    workDirState.delete(projectId)
+    for (const key of lastBuilds.keys()) {
+        if (key === projectId || key.startsWith(`${projectId}/`)) lastBuilds.delete(key)
+    }
+    for (const key of toolStateCache.keys()) {
+        if (key === workDir || key.startsWith(workDir + '/')) toolStateCache.delete(key)
+    }
+    console.log(`[Cache] Cleared work dir of ${projectId}`)
+    return true
+}
+
+/**
+ * Keep CACHE_DIR bounded: remove work dirs unused for CACHE_MAX_AGE, then the least
+ * recently built ones until the total size fits CACHE_MAX_BYTES
+ */
+export function evictCache() {
+    try {
+        const now = Date.now()
+        const entries = readdirSync(CACHE_DIR)
+            .map(projectId => {
+                const path = join(CACHE_DIR, projectId)
+                const stat = statSync(path)
+                return stat.isDirectory() ? { projectId, path, lastUsed: stat.mtimeMs, size: getDirectorySize(path) } : null
+            })
+            .filter(entry => entry && !activeBuilds.has(entry.projectId))
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0)
+        let evicted = 0
+        for (const entry of entries) {
+            if (now - entry.lastUsed < CACHE_MAX_AGE && total <= CACHE_MAX_BYTES) break
+            clearProjectCache(entry.projectId)
+            total -= entry.size
+            evicted++
         }
+
+        if (evicted > 0) {
+            console.log(`[Cache] Evicted ${evicted} work dirs, ${Math.round(total / 1024 / 1024)} MB left`)
+        }
+    } catch (e) {
+        console.error('[Cache] Eviction error:', e.message)
     }
-    getSrcFiles(srcDir)
+}
 
-    // Copy source files
-    for (const relPath of srcFiles) {
-        const srcPath = join(srcDir, relPath)
+/**
+ * Sync project files to work directory (preserves aux files)
+ * @param {Map} files - Current project files with content hashes
+ * @param {Map} [previous] - Files as of the last sync
+ */
+function syncProjectFiles(srcDir, destDir, files, previous) {
+    // Copy new and changed files
+    for (const [relPath, file] of files) {
         const destPath = join(destDir, relPath)
+        if (previous?.get(relPath)?.hash === file.hash && existsSync(destPath)) continue
 
         // Create parent directory if needed
         const parentDir = dirname(destPath)
         if (!existsSync(parentDir)) {
             mkdirSync(parentDir, { recursive: true })
         }
+        cpSync(join(srcDir, relPath), destPath)
+    }
 
-        // Check if file needs copying (modified)
-        let needsCopy = true
-        if (existsSync(destPath)) {
-            const srcStat = statSync(srcPath)
-            const destStat = statSync(destPath)
-            if (srcStat.size === destStat.size && srcStat.mtimeMs <= destStat.mtimeMs) {
-                needsCopy = false
-            }
-        }
+    // Remove files deleted from the project (generated files are not in `previous`)
+    for (const relPath of previous?.keys() || []) {
+        if (!files.has(relPath)) rmSync(join(destDir, relPath), { force: true })
+    }
+}
 
-        if (needsCopy) {
-            cpSync(srcPath, destPath)
+/**
+ * Hash the auxiliary files LaTeX reads back on the next pass (.aux, .toc, ...)
+ */
+function hashAuxState(workDir) {
+    const hash = crypto.createHash('md5')
+    const walk = (dir) => {
+        for (const item of readdirSync(dir).sort()) {
+            const fullPath = join(dir, item)
+            const stat = statSync(fullPath)
+            if (stat.isDirectory()) {
+                walk(fullPath)
+            } else if (AUX_STATE_EXTENSIONS.test(item)) {
+                hash.update(relative(workDir, fullPath))
+                hash.update(readFileSync(fullPath))
+            }
         }
     }
+    walk(workDir)
+    return hash.digest('hex')
 }
 
-function runLatexEngine(enginePath, texFile, workDir) {
-    return new Promise((resolve, reject) => {
-        const args = [
-            '-interaction=nonstopmode',
-            '-file-line-error',
-            '-synctex=1',
-            `-output-directory=${workDir}`,
-            texFile,
-        ]
+/**
+ * Decide which bibliography tool (if any) the document needs.
+ * biblatex writes a .bcf control file when \addbibresource is used with biber;
+ * \bibliography (or biblatex with backend=bibtex) leaves \bibdata in the .aux file.
+ */
+function detectBibTool(workDir, jobname) {
+    if (existsSync(join(workDir, `${jobname}.bcf`))) return 'biber'
 
-        console.log(`[LaTeX] Running: ${enginePath} ${basename(texFile)}`)
+    const auxFile = join(workDir, `${jobname}.aux`)
+    if (existsSync(auxFile) && readFileSync(auxFile, 'utf-8').includes('\\bibdata')) return 'bibtex'
 
-        const proc = spawn(enginePath, args, {
-            cwd: workDir,
-            timeout: 300000, // Increase to 5 minutes for large projects
-            env: process.env
-        })
+    return null
+}
 
-        let stdout = ''
-        let stderr = ''
+/**
+ * Hash everything the bibliography tool depends on: citation data in the
+ * .aux/.bcf files plus the contents of every .bib file in the work dir
+ */
+function hashBibState(workDir, jobname, tool) {
+    const hash = crypto.createHash('md5')
+    const controlFile = join(workDir, tool === 'biber' ? `${jobname}.bcf` : `${jobname}.aux`)
+    if (existsSync(controlFile)) {
+        const lines = readFileSync(controlFile, 'utf-8').split('\n')
+        // Only citation related lines matter for bibtex (labels change on every pass)
+        const relevant = tool === 'biber' ? lines : lines.filter(l => /^\\(citation|bibdata|bibstyle)/.test(l))
+        hash.update(relevant.join('\n'))
+    }
 
-        proc.stdout.on('data', (d) => {
-            stdout += d.toString()
-        })
+    const walk = (dir) => {
+        for (const item of readdirSync(dir).sort()) {
+            const fullPath = join(dir, item)
+            const stat = statSync(fullPath)
+            if (stat.isDirectory()) {
+                walk(fullPath)
+            } else if (item.endsWith('.bib')) {
+                hash.update(relative(workDir, fullPath))
+                hash.update(readFileSync(fullPath))
+            }
+        }
+    }
+    walk(workDir)
+    return hash.digest('hex')
+}
 
-        proc.stderr.on('data', (d) => {
-            stderr += d.toString()
+/**
+ * latexmk-style build: run the engine, run bibtex/biber when citations or .bib
+ * files changed and makeindex/makeglossaries/xindy/nomencl when their input changed,
+ * then rerun the engine until the aux state settles or MAX_PASSES is hit.
+ * Engines producing DVI then go through their conversion steps; self-contained
+ * drivers (Tectonic) run once.
+ * @param {Object} engine - Entry of the engine registry (see engines.js)
+ * @returns {Promise<Object>} runner result of the last step plus `passes`, `indexRuns`
+ *   (see collectIndexLogs), and `failedStep` when a conversion step failed
+ */
+async function runBuildPipeline(engine, texFile, workDir, emit, runOptions = {}) {
+    const jobname = runOptions.jobname || basename(texFile, '.tex')
+    const passes = []
+    const onOutput = createProgressTracker(workDir, emit)
+    let result = null
+    let forceRerun = false // reason for another pass, set by the tools
+    let enginePasses = 0
+    // Index steps of this build: output file -> { step, result }, and the input state each one last ran on
+    const indexRuns = new Map()
+    const attempted = new Map()
+
+    // Run a tool outside the rerun loop, recorded as a pass
+    const runStep = async (command, args, reason, timeLimit, stepOptions = runOptions) => {
+        const startedAt = Date.now()
+        emit({ type: 'pass', tool: command, reason, index: passes.length + 1 })
+        const stepResult = await runTool(command, args, workDir, onOutput, stepOptions, timeLimit)
+        passes.push({
+            tool: command,
+            reason,
+            exitCode: stepResult.code,
+            duration: Date.now() - startedAt
         })
+        return stepResult
+    }
 
-        proc.on('close', (code, signal) => {
-            console.log(`[LaTeX] Exit code: ${code}, Signal: ${signal}`)
-            resolve({ code, signal, stdout, stderr })
+    if (engine.driver) {
+        const { command, args, network, cacheDirs, env } = engine.driver
+        result = await runStep(command, args(texFile, workDir), 'build', Infinity, {
+            ...runOptions,
+            network,
+            cacheDirs,
+            env: { ...runOptions.env, ...env }
         })
+        return { ...result, passes }
+    }
 
-        proc.on('error', (err) => {
-            console.error(`[LaTeX] Spawn error:`, err)
-            reject(err)
+    const runEnginePass = async (reason) => {
+        const before = hashAuxState(workDir)
+        const startedAt = Date.now()
+        emit({ type: 'pass', tool: engine.tex, reason, index: passes.length + 1 })
+        result = await runLatexEngine(engine.tex, texFile, workDir, onOutput, runOptions)
+        enginePasses++
+        passes.push({
+            tool: engine.tex,
+            reason,
+            exitCode: result.code,
+            duration: Date.now() - startedAt
         })
-    })
-}
+        return before !== hashAuxState(workDir)
+    }
+
+    let auxChanged = await runEnginePass('initial')
+
+    while (!result.signal) {
+        const detected = detectBibTool(workDir, jobname)
+        const bibTool = detected === 'bibtex' ? (engine.bibtex || 'bibtex') : detected
+        if (bibTool) {
+            const bibState = hashBibState(workDir, jobname, bibTool)
+            const bblMissing = !existsSync(join(workDir, `${jobname}.bbl`))
+            if (bblMissing || toolStateCache.get(join(workDir, jobname)) !== bibState) {
+                const reason = bblMissing ? 'bibliography missing' : 'citations changed'
+                const startedAt = Date.now()
+                emit({ type: 'pass', tool: bibTool, reason, index: passes.length + 1 })
+                const bibResult = await runTool(bibTool, [jobname], workDir, onOutput, runOptions)
+                passes.push({
+                    tool: bibTool,
+                    reason,
+                    exitCode: bibResult.code,
+                    duration: Date.now() - startedAt
+                })
+                if (bibResult.signal) {
+                    result = { ...result, limit: bibResult.limit }
+                    break
+                }
+                toolStateCache.set(join(workDir, jobname), bibState)
+                forceRerun = 'bibliography updated'
+            }
+        }
+
+        // makeindex, makeglossaries, xindy, nomencl: when their input changed or their output is missing
+        let stopped = false
+        for (const step of detectIndexSteps(workDir, jobname)) {
+            const key = join(workDir, step.output)
+            const state = hashIndexState(workDir, step)
+            if (!indexRuns.has(step.output)) indexRuns.set(step.output, { step, result: null })
+            const outputMissing = !existsSync(key)
+            if ((!outputMissing && toolStateCache.get(key) === state) || attempted.get(key) === state) continue
+
+            const stepResult = await runStep(step.command, step.args, outputMissing ? `${step.id} output missing` : `${step.id} input changed`)
+            indexRuns.set(step.output, { step, result: stepResult })
+            attempted.set(key, state)
+            if (stepResult.signal) {
+                result = { ...result, limit: stepResult.limit }
+                stopped = true
+                break
+            }
+            // A failed run is retried by the next build, not by the next pass
+            if (stepResult.code === 0) {
+                toolStateCache.set(key, state)
+                forceRerun = `${step.id} updated`
+            }
+        }
+        if (stopped) break
 
-function parseErrors(log) {
-    const errors = []
-    const lines = log.split('\n')
-    let currentFile = 'main.tex'
+        const logFile = join(workDir, `${jobname}.log`)
+        const rerunRequested = existsSync(logFile) && RERUN_PATTERN.test(readFileSync(logFile, 'utf-8'))
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i]
+        if (!(forceRerun || auxChanged || rerunRequested) || enginePasses >= MAX_PASSES) break
 
-        // LaTeX errors start with !
-        if (line.startsWith('!')) {
-            const message = line.substring(1).trim()
-            let lineNumber = 1
-            let file = currentFile
+        const reason = forceRerun || (auxChanged ? 'aux files changed' : 'rerun requested')
+        forceRerun = false
+        auxChanged = await runEnginePass(reason)
+    }
 
-            // Check next line for l.LINE_NUMBER
-            if (i + 1 < lines.length && lines[i + 1].match(/^l\.(\d+)/)) {
-                const match = lines[i + 1].match(/^l\.(\d+)/)
-                lineNumber = parseInt(match[1])
+    // DVI engines: convert once the document has settled
+    if (!result.signal && engine.post.length > 0 && existsSync(join(workDir, `${jobname}.dvi`))) {
+        for (const step of engine.post) {
+            const stepResult = await runStep(step.command, step.args(jobname), 'convert')
+            if (stepResult.signal) {
+                result = { ...result, signal: stepResult.signal, limit: stepResult.limit }
+                break
+            }
+            if (stepResult.code !== 0) {
+                result = {
+                    ...result,
+                    failedStep: { command: step.command, code: stepResult.code, output: (stepResult.stdout + '\n' + stepResult.stderr).trim() }
+                }
+                break
             }
-
-            errors.push({
-                line: lineNumber,
-                message: message,
-                file: file,
-                type: 'error'
-            })
         }
+    }
 
-        // File:line: error format (from -file-line-error)
-        const fileLineMatch = line.match(/^(.+\.tex):(\d+): (.+)$/)
-        if (fileLineMatch) {
-            errors.push({
-                line: parseInt(fileLineMatch[2]),
-                message: fileLineMatch[3],
-                file: basename(fileLineMatch[1]),
-                type: 'error'
-            })
+    return { ...result, passes, indexRuns: Array.from(indexRuns.values()) }
+}
+
+/**
+ * Turn raw engine output into live events: the text itself, plus the page
+ * being shipped out (`[12]`) and the file most recently opened (`(./chapter.tex`)
+ */
+function createProgressTracker(workDir, emit) {
+    let page = 0
+    let file = null
+
+    return (text) => {
+        emit({ type: 'output', text })
+
+        let changed = false
+        for (const match of text.matchAll(/\[(\d+)(?=[\]\s{<]|$)/gm)) {
+            page = parseInt(match[1])
+            changed = true
         }
+        for (const match of text.matchAll(/\(((?:\.\/|\/)[^\s()]+\.[a-z]+)/gi)) {
+            const path = match[1]
+            // Only report files from the project, not the TeX distribution
+            if (path.startsWith('./')) {
+                file = path.substring(2)
+            } else if (path.startsWith(workDir + '/')) {
+                file = relative(workDir, path).replace(/\\/g, '/')
+            } else {
+                continue
+            }
+            changed = true
+        }
+        if (changed) emit({ type: 'progress', page, file })
+    }
+}
+
+/**
+ * Run a helper tool (bibtex, biber, dvipdfmx, ...) inside the work directory
+ * @param {number} timeLimit - Cap on this run (ms), within the build's remaining time
+ */
+async function runTool(command, args, workDir, onOutput = () => { }, runOptions = {}, timeLimit = 120000) {
+    console.log(`[LaTeX] Running: ${command} ${args.join(' ')}`)
+
+    // A missing tool should not abort the whole build (the runner resolves with code -1)
+    const result = await runSandboxed(command, args, {
+        ...sandboxOptions(workDir, runOptions),
+        timeout: Math.min(timeLimit, remainingTime(runOptions)),
+        onOutput
+    })
+    if (result.error) {
+        console.error(`[LaTeX] ${command} spawn error:`, result.error.message)
+    } else {
+        console.log(`[LaTeX] ${command} exit code: ${result.code}, Signal: ${result.signal}`)
+    }
+    return result
+}
+
+async function runLatexEngine(enginePath, texFile, workDir, onOutput = () => { }, runOptions = {}) {
+    const args = [
+        '-interaction=nonstopmode',
+        '-file-line-error',
+        '-synctex=1',
+        // <jobname>.fls lists every file the run read (used for submission bundles)
+        '-recorder',
+        // Shell escape is off unless the project owner enabled it
+        runOptions.shellEscape ? '-shell-escape' : '-no-shell-escape',
+        `-output-directory=${workDir}`,
+    ]
+    if (runOptions.jobname && runOptions.jobname !== basename(texFile, '.tex')) {
+        args.push(`-jobname=${runOptions.jobname}`)
+    }
+    // Profile macros are defined before the document is read (the engine runs in its directory)
+    args.push(runOptions.macros ? `${runOptions.macros}\\input{${basename(texFile)}}` : texFile)
+
+    console.log(`[LaTeX] Running: ${enginePath} ${args.slice(6).join(' ')}${runOptions.shellEscape ? ' (shell escape enabled)' : ''}`)
+
+    const result = await runSandboxed(enginePath, args, {
+        ...sandboxOptions(workDir, runOptions),
+        timeout: remainingTime(runOptions),
+        onOutput
+    })
+    if (result.error) {
+        console.error(`[LaTeX] Spawn error:`, result.error)
+        throw result.error
+    }
+
+    console.log(`[LaTeX] Exit code: ${result.code}, Signal: ${result.signal}`)
+    return result
+}
+
+/**
+ * Sandbox settings for a build: only the project's work dir is writable,
+ * other projects, caches and compiled PDFs are hidden
+ */
+function sandboxOptions(buildDir, runOptions) {
+    return {
+        cwd: buildDir,
+        writableDir: runOptions.workDir || buildDir,
+        cacheDirs: runOptions.cacheDirs,
+        hiddenPaths: [PROJECTS_DIR, CACHE_DIR, TEMP_DIR, HISTORY_DIR],
+        network: runOptions.network === true,
+        shellEscape: !!runOptions.shellEscape,
+        env: runOptions.env,
+        signal: runOptions.signal
+    }
+}
+
+/**
+ * Font path for one build: the project's `fonts/` folders are searched before the system
+ * fonts, by kpathsea (file names, luaotfload's font database) and by fontconfig (XeTeX
+ * looking fonts up by family name)
+ * @returns {Object} variables for the engine's environment, empty without font folders
+ */
+function getFontEnv(workDir) {
+    // Path lists are split on these, so such folders cannot be added
+    const dirs = findFontDirs(workDir).filter(dir => !/[:;!{}]/.test(dir))
+    if (dirs.length === 0) return {}
+
+    const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const configDir = join(workDir, '.fontconfig')
+    mkdirSync(configDir, { recursive: true })
+    writeFileSync(join(configDir, 'fonts.conf'), [
+        '<?xml version="1.0"?>',
+        '<!DOCTYPE fontconfig SYSTEM "fonts.dtd">',
+        '<fontconfig>',
+        '  <include ignore_missing="yes">/etc/fonts/fonts.conf</include>',
+        ...dirs.map(dir => `  <dir>${escapeXml(dir)}</dir>`),
+        `  <cachedir>${escapeXml(join(configDir, 'cache'))}</cachedir>`,
+        '</fontconfig>',
+        ''
+    ].join('\n'))
+
+    console.log(`[LaTeX] Project fonts: ${dirs.map(dir => relative(workDir, dir)).join(', ')}`)
+    return {
+        // `//` searches subfolders; the trailing empty entry keeps the distribution's default
+        OSFONTDIR: `${dirs.map(dir => `${dir}//`).join(':')}:`,
+        FONTCONFIG_FILE: join(configDir, 'fonts.conf')
     }
+}
 
-    return errors
+/**
+ * Time left until the build's deadline (all passes share one time limit)
+ */
+function remainingTime(runOptions) {
+    return runOptions.deadline ? runOptions.deadline - Date.now() : LIMITS.timeout
 }
 
 /**
  * Resolve PDF coordinates to source line using SyncTeX
+ * @param {string} rootFile - Project-relative root document the PDF was built from
+ * @param {string} [profileJobname] - Jobname of the build profile the PDF came from
  */
-export async function resolveSyncTeX(projectId, page, x, y) {
+export async function resolveSyncTeX(projectId, page, x, y, rootFile = DEFAULT_ROOT_FILE, profileJobname = null) {
     const workDir = getProjectWorkDir(projectId)
-    const synctexFile = join(workDir, 'main.synctex.gz')
+    const { buildDir, jobname } = getBuildTarget(workDir, rootFile, profileJobname)
+    const synctexFile = join(buildDir, `${jobname}.synctex.gz`)
 
     if (!existsSync(synctexFile)) {
         throw new Error('SyncTeX data not found. Please compile the project first.')
     }
 
     return new Promise((resolve, reject) => {
-        // synctex edit -o page:x:y:main.pdf
-        const args = ['edit', '-o', `${page}:${x}:${y}:main.pdf`]
-        console.log(`[SyncTeX] Executing: synctex ${args.join(' ')} (CWD: ${workDir})`)
+        // synctex edit -o page:x:y:<jobname>.pdf
+        const args = ['edit', '-o', `${page}:${x}:${y}:${jobname}.pdf`]
+        console.log(`[SyncTeX] Executing: synctex ${args.join(' ')} (CWD: ${buildDir})`)
 
-        const proc = spawn('synctex', args, { cwd: workDir })
+        const proc = spawn('synctex', args, { cwd: buildDir })
 
         let output = ''
         proc.stdout.on('data', (d) => {
@@ -391,7 +908,7 @@ export async function resolveSyncTeX(projectId, page, x, y) {
             }
 
             const result = {
-                file: 'main.tex',
+                file: rootFile,
                 line: 1,
                 column: 0
             }
@@ -400,8 +917,8 @@ export async function resolveSyncTeX(projectId, page, x, y) {
             for (const line of lines) {
                 if (line.startsWith('Input:')) {
                     const filePath = line.substring(line.indexOf(':') + 1).trim()
-                    // Resolve path correctly relative to workDir
-                    const absolutePath = fs.existsSync(filePath) ? filePath : join(workDir, filePath)
+                    // Paths are relative to the build dir; report them relative to the project root
+                    const absolutePath = resolvePath(buildDir, filePath)
                     result.file = relative(workDir, absolutePath).replace(/\\/g, '/')
                 }
                 if (line.startsWith('Line:')) result.line = parseInt(line.split(':')[1].trim())
@@ -413,5 +930,87 @@ export async function resolveSyncTeX(projectId, page, x, y) {
     })
 }
 
+/**
+ * Resolve a source location to boxes in the PDF using SyncTeX (forward search)
+ * @param {string} file - Project-relative source file
+ * @param {string} rootFile - Project-relative root document the PDF was built from
+ * @param {string} [profileJobname] - Jobname of the build profile the PDF came from
+ * @returns {Object} `{ page, boxes: [{ page, x, y, width, height }] }` in PDF points from the top-left corner
+ * @throws {Error} with `status` 404 when there is no SyncTeX record, 403 for a file outside the project;
+ *   errors without `status` are failures (synctex could not run)
+ */
+export async function resolveForwardSyncTeX(projectId, file, line, column = 0, rootFile = DEFAULT_ROOT_FILE, profileJobname = null) {
+    const workDir = getProjectWorkDir(projectId)
+    const { buildDir, jobname } = getBuildTarget(workDir, rootFile, profileJobname)
+    const synctexFile = join(buildDir, `${jobname}.synctex.gz`)
+
+    if (!existsSync(synctexFile)) {
+        throw Object.assign(new Error('SyncTeX data not found. Please compile the project first.'), { status: 404 })
+    }
+
+    const sourcePath = resolvePath(workDir, file)
+    if (!sourcePath.startsWith(workDir + '/')) {
+        throw Object.assign(new Error('Security Error: Invalid filename'), { status: 403 })
+    }
+
+    // SyncTeX records inputs the way the engine opened them: \input files relative
+    // to the build dir, the root document by its absolute path. Try both.
+    const candidates = [relative(buildDir, sourcePath).replace(/\\/g, '/'), sourcePath]
+    for (const input of candidates) {
+        const boxes = await runSyncTeXView(`${line}:${column}:${input}`, `${jobname}.pdf`, buildDir)
+        if (boxes.length > 0) {
+            return { page: boxes[0].page, boxes: boxes.filter(b => b.page === boxes[0].page) }
+        }
+    }
+
+    throw Object.assign(new Error('No PDF location found for this line'), { status: 404 })
+}
+
+/**
+ * Boxes synctex reports for a source location (none when it has no record of it)
+ */
+function runSyncTeXView(input, pdfName, cwd) {
+    return new Promise((resolve, reject) => {
+        // synctex view -i line:column:input -o <jobname>.pdf
+        const args = ['view', '-i', input, '-o', pdfName]
+        console.log(`[SyncTeX] Executing: synctex ${args.join(' ')} (CWD: ${cwd})`)
+
+        const proc = spawn('synctex', args, { cwd })
+
+        let output = ''
+        proc.stdout.on('data', (d) => { output += d.toString() })
+        proc.stderr.on('data', (d) => console.error('[SyncTeX] Error:', d.toString()))
+        proc.on('error', (err) => {
+            console.error('[SyncTeX] Spawn error:', err.message)
+            reject(new Error(`SyncTeX could not run: ${err.message}`))
+        })
+
+        proc.on('close', (code) => {
+            if (code !== 0) return resolve([])
+
+            // One record per box: Page, x, y, h, v, W, H (h/v is the baseline origin)
+            const boxes = []
+            let current = null
+            for (const rawLine of output.split('\n')) {
+                const [key, ...rest] = rawLine.split(':')
+                const value = parseFloat(rest.join(':'))
+                if (key === 'Page') {
+                    current = { page: parseInt(rest.join(':')) }
+                    boxes.push(current)
+                } else if (current && ['h', 'v', 'W', 'H'].includes(key)) {
+                    current[key] = value
+                }
+            }
+
+            resolve(boxes
+                .filter(b => b.page > 0 && b.W > 0)
+                .map(b => ({ page: b.page, x: b.h, y: b.v - b.H, width: b.W, height: b.H })))
+        })
+    })
+}
+
 // Run cleanup on startup
-setTimeout(() => cleanupOldTempFiles(), 10000)
+setTimeout(() => {
+    cleanupOldTempFiles()
+    evictCache()
+}, 10000)
@@ -0,0 +1,261 @@
+import { relative, isAbsolute, resolve } from 'path'
+
+/**
+ * Structured parser for TeX engine logs.
+ *
+ * Produces one entry per problem:
+ *   { type, severity, category, file, line, message, raw }
+ * - severity: 'error' | 'warning' | 'info' (`type` mirrors it for older callers)
+ * - category: 'error' | 'warning' | 'reference' | 'citation' | 'badbox'
+ *   ('package' entries come from the package analysis, see packages.js; 'tool' entries
+ *   from index and glossary tool transcripts, see parseIndexLog)
+ * - file: path relative to the project root (or as printed, for files outside it)
+ */
+
+// TeX hard-wraps log lines at max_print_line (79 by default)
+const LOG_WRAP_WIDTH = 79
+
+const FILE_LINE_ERROR = /^(\.?\/?[^:\s][^:]*\.[A-Za-z0-9]+):(\d+): (.+)$/
+const LATEX_WARNING = /^(LaTeX|Package|Class|Module) ?([\w-]*) Warning: (.*)$/
+const BAD_BOX = /^(Overfull|Underfull) \\[hv]box .*$/
+// Box display printed after a bad box: "[]\T1/cmr/m/n/10 text", " []", "\T1/cmr/..."
+const BOX_DISPLAY = /^\s*(\[\]|\\)/
+const LINE_MARKER = /^l\.(\d+)/
+const ON_INPUT_LINE = /on input line (\d+)/
+const AT_LINES = /at lines? (\d+)/
+
+/**
+ * Parse a LaTeX log
+ * @param {string} log - Raw log content
+ * @param {Object} options
+ * @param {string} options.rootFile - File to attribute entries to before any file is opened
+ * @param {string} options.workDir - Project copy the build ran in, used to relativize paths
+ * @param {string} options.buildDir - Directory the engine ran in (relative paths in the log start there)
+ * @returns {Array} entries in log order, without duplicates
+ */
+export function parseLatexLog(log, { rootFile = 'main.tex', workDir = null, buildDir = workDir } = {}) {
+    const lines = unwrapLines(log || '')
+    const entries = []
+    const seen = new Set()
+    const fileStack = []
+
+    const currentFile = () => {
+        for (let i = fileStack.length - 1; i >= 0; i--) {
+            if (fileStack[i]) return fileStack[i]
+        }
+        return rootFile
+    }
+
+    const add = (entry) => {
+        const key = [entry.severity, entry.category, entry.file, entry.line, entry.message].join('|')
+        if (seen.has(key)) return
+        seen.add(key)
+        entries.push({ type: entry.severity, ...entry })
+    }
+
+    const normalizePath = (path) => {
+        let clean = path.replace(/\\/g, '/')
+        if (workDir) {
+            const absolute = isAbsolute(clean) ? clean : resolve(buildDir || workDir, clean)
+            if (absolute.startsWith(workDir)) clean = relative(workDir, absolute).replace(/\\/g, '/')
+        }
+        return clean.replace(/^\.\//, '')
+    }
+
+    let i = 0
+    while (i < lines.length) {
+        const line = lines[i]
+
+        // 1. Errors: "./file.tex:12: message" (-file-line-error) or "! message"
+        const fileLineMatch = line.match(FILE_LINE_ERROR)
+        if (fileLineMatch || line.startsWith('!')) {
+            const message = fileLineMatch ? fileLineMatch[3] : line.substring(1).trim()
+            let lineNumber = fileLineMatch ? parseInt(fileLineMatch[2]) : null
+            const raw = [line]
+
+            // Context runs until the "l.<n>" marker plus the line after it
+            let j = i + 1
+            for (; j < lines.length && j < i + 12; j++) {
+                raw.push(lines[j])
+                const marker = lines[j].match(LINE_MARKER)
+                if (marker) {
+                    if (lineNumber === null) lineNumber = parseInt(marker[1])
+                    if (j + 1 < lines.length && lines[j + 1].trim()) raw.push(lines[++j])
+                    break
+                }
+                if (lines[j].startsWith('!') || FILE_LINE_ERROR.test(lines[j])) {
+                    raw.pop()
+                    j--
+                    break
+                }
+            }
+
+            add({
+                severity: 'error',
+                category: 'error',
+                file: fileLineMatch ? normalizePath(fileLineMatch[1]) : currentFile(),
+                line: lineNumber,
+                message,
+                raw: raw.join('\n').trim()
+            })
+            i = j + 1
+            continue
+        }
+
+        // 2. LaTeX / package / class warnings, possibly continued on following lines
+        const warningMatch = line.match(LATEX_WARNING)
+        if (warningMatch) {
+            const [, kind, pkg] = warningMatch
+            const raw = [line]
+            let message = warningMatch[3].trim()
+            let j = i + 1
+            // Continuations are indented or prefixed with "(pkgname)"; LaTeX's own
+            // warnings simply run on until the closing period
+            while (j < lines.length && lines[j].trim() && !LATEX_WARNING.test(lines[j]) &&
+                (/^\s/.test(lines[j]) || (pkg && lines[j].startsWith(`(${pkg})`)) || (kind === 'LaTeX' && !message.endsWith('.')))) {
+                raw.push(lines[j])
+                message += ' ' + lines[j].replace(pkg ? `(${pkg})` : '', '').trim()
+                j++
+            }
+
+            const lineMatch = message.match(ON_INPUT_LINE)
+            let category = 'warning'
+            if (/Reference .* undefined|There were undefined references/i.test(message)) category = 'reference'
+            else if (/Citation .* undefined|There were undefined citations/i.test(message)) category = 'citation'
+
+            add({
+                severity: 'warning',
+                category,
+                file: currentFile(),
+                line: lineMatch ? parseInt(lineMatch[1]) : null,
+                message: kind === 'LaTeX' ? message : `${kind} ${pkg}: ${message}`,
+                raw: raw.join('\n')
+            })
+            i = j
+            continue
+        }
+
+        // 3. Overfull / underfull boxes. The box display that follows is typeset text, so
+        // it is skipped up to the blank line ending it; anything else is scanned as usual
+        if (BAD_BOX.test(line)) {
+            const lineMatch = line.match(AT_LINES) || line.match(/detected at line (\d+)/)
+            const raw = [line]
+            trackFiles(line, fileStack, normalizePath)
+            let j = i + 1
+            if (j < lines.length && BOX_DISPLAY.test(lines[j])) {
+                while (j < lines.length && lines[j].trim()) {
+                    raw.push(lines[j])
+                    j++
+                }
+            }
+
+            add({
+                severity: 'info',
+                category: 'badbox',
+                file: currentFile(),
+                line: lineMatch ? parseInt(lineMatch[1]) : null,
+                message: line.trim(),
+                raw: raw.join('\n')
+            })
+            i = j
+            continue
+        }
+
+        // 4. Track which file is open through "(./file.tex ... )" nesting
+        trackFiles(line, fileStack, normalizePath)
+        i++
+    }
+
+    return entries
+}
+
+/**
+ * Parse the transcript of makeindex or xindy (.ilg/.glg/.nlg); makeglossaries leaves
+ * the one of the tool it ran. Entries point at the generated index file, so they carry
+ * no project file.
+ * @param {string} transcript - Transcript content
+ * @param {string} tool - Step name shown in front of each message
+ * @returns {Array} entries in the 'tool' category
+ */
+export function parseIndexLog(transcript, tool) {
+    const lines = (transcript || '').split(/\r?\n/)
+    const entries = []
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i]
+        // makeindex: "!! Input index error (file = x.idx, line = 3):" / "## Warning (input = x.idx, line = 5; ...):"
+        // followed by "   -- <message>"
+        const makeindexMatch = line.match(/^(!!|##) (.+?) \((?:file|input) = ([^,]+), line = (\d+)/)
+        if (makeindexMatch) {
+            const detail = lines[i + 1]?.trim().startsWith('--') ? lines[++i].trim().substring(2).trim() : makeindexMatch[2]
+            entries.push(createDiagnostic({
+                severity: makeindexMatch[1] === '!!' ? 'error' : 'warning',
+                category: 'tool',
+                message: `${tool}: ${detail} (${makeindexMatch[3]}, line ${makeindexMatch[4]})`,
+                raw: line
+            }))
+            continue
+        }
+
+        // xindy: "ERROR: ..." / "WARNING: ..."
+        const xindyMatch = line.match(/^(ERROR|WARNING):\s*(.+)$/)
+        if (xindyMatch) {
+            entries.push(createDiagnostic({
+                severity: xindyMatch[1] === 'ERROR' ? 'error' : 'warning',
+                category: 'tool',
+                message: `${tool}: ${xindyMatch[2]}`,
+                raw: line
+            }))
+        }
+    }
+    return entries
+}
+
+/**
+ * Build an entry for problems that do not come from the log itself (timeouts, spawn failures, ...)
+ */
+export function createDiagnostic({ severity = 'error', category = 'error', file = null, line = null, message, raw = '' }) {
+    return { type: severity, severity, category, file, line, message, raw }
+}
+
+/**
+ * Re-join lines TeX wrapped at the print width
+ */
+function unwrapLines(log) {
+    const raw = log.split(/\r?\n/)
+    const lines = []
+    let buffer = ''
+    for (const line of raw) {
+        buffer += line
+        // A line of exactly the wrap width continues on the next one
+        if (line.length === LOG_WRAP_WIDTH) continue
+        lines.push(buffer)
+        buffer = ''
+    }
+    if (buffer) lines.push(buffer)
+    return lines
+}
+
+/**
+ * Update the file stack from the parentheses on a log line.
+ * "(" followed by a path (./x, ../x, /x or C:\x) opens a file, any other "("
+ * opens a placeholder so that its ")" does not pop a real file.
+ */
+function trackFiles(line, fileStack, normalizePath) {
+    for (let pos = 0; pos < line.length; pos++) {
+        const char = line[pos]
+        if (char === '(') {
+            const match = line.substring(pos + 1).match(/^("?)((?:\.{1,2}\/|\/|[A-Za-z]:[\\/])[^\s()"]*\.[A-Za-z][A-Za-z0-9]*)\1/)
+            if (match) {
+                fileStack.push(normalizePath(match[2]))
+                pos += match[0].length
+            } else {
+                fileStack.push(null)
+            }
+        } else if (char === ')') {
+            fileStack.pop()
+        }
+    }
+}
+
+export default { parseLatexLog, parseIndexLog, createDiagnostic }
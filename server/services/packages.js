@@ -0,0 +1,198 @@
+import { execFile } from 'child_process'
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs'
+import { join, relative, basename, extname } from 'path'
+import { createDiagnostic } from './logParser.js'
+import { commandExists } from './runner.js'
+
+/**
+ * Package analysis: finds the \usepackage / \RequirePackage lines of a project and
+ * checks with kpsewhich that the TeX distribution has each package, so a missing
+ * one is reported on the line that loads it instead of as a "File `x.sty' not found"
+ * halfway through the log.
+ */
+
+const PACKAGE_PATTERN = /\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\]\s*)?\{([^}]*)\}/g
+const PACKAGE_NAME = /^[A-Za-z0-9][\w.-]*$/
+
+// Packages kpsewhich found; misses are not cached so packages installed later are picked up
+const installedPackages = new Set()
+
+// Full package list of the distribution: { packages, scannedAt }
+let packageIndex = null
+const PACKAGE_INDEX_TTL = 60 * 60 * 1000
+
+const KPSEWHICH_TIMEOUT = 10000
+
+function kpsewhich(args) {
+    return new Promise((resolve) => {
+        execFile('kpsewhich', args, { timeout: KPSEWHICH_TIMEOUT, maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+            // kpsewhich exits with 1 when any of the files is missing, the found ones are still printed
+            if (error && typeof error.code !== 'number') {
+                console.error('[Packages] kpsewhich failed:', error.message)
+                return resolve(null)
+            }
+            resolve(stdout)
+        })
+    })
+}
+
+/**
+ * Remove % comments, keeping the line structure so offsets still map to line numbers
+ */
+function stripComments(source) {
+    return source.split('\n').map(line => {
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] !== '%') continue
+            let backslashes = 0
+            for (let j = i - 1; j >= 0 && line[j] === '\\'; j--) backslashes++
+            if (backslashes % 2 === 0) return line.substring(0, i)
+        }
+        return line
+    }).join('\n')
+}
+
+/**
+ * Package loads in one source file; .tex files are only read up to \begin{document}
+ * @returns {Array} `{ name, line }` per package, a comma list gives one entry per name
+ */
+export function findPackageUses(source, isPreambleOnly = true) {
+    let code = stripComments(source)
+    if (isPreambleOnly) {
+        const begin = code.indexOf('\\begin{document}')
+        if (begin !== -1) code = code.substring(0, begin)
+    }
+
+    const uses = []
+    for (const match of code.matchAll(PACKAGE_PATTERN)) {
+        const line = code.substring(0, match.index).split('\n').length
+        for (const name of match[1].split(',').map(n => n.trim())) {
+            if (PACKAGE_NAME.test(name)) uses.push({ name, line })
+        }
+    }
+    return uses
+}
+
+/**
+ * Source files of a project: .tex preambles and the project's own .sty/.cls files
+ */
+function collectSources(dir, rootDir = dir, files = []) {
+    for (const item of readdirSync(dir)) {
+        if (item.startsWith('.')) continue
+        const fullPath = join(dir, item)
+        const stats = statSync(fullPath)
+        if (stats.isDirectory()) {
+            collectSources(fullPath, rootDir, files)
+        } else if (['.tex', '.sty', '.cls'].includes(extname(item).toLowerCase())) {
+            files.push(relative(rootDir, fullPath).replace(/\\/g, '/'))
+        }
+    }
+    return files
+}
+
+/**
+ * Check a list of package names against the TeX distribution
+ * @returns {Promise<Set|null>} the missing ones, or null when kpsewhich is not available
+ */
+export async function findMissingPackages(names) {
+    if (!commandExists('kpsewhich')) return null
+
+    const unknown = [...new Set(names)].filter(name => !installedPackages.has(name))
+    if (unknown.length === 0) return new Set()
+
+    const output = await kpsewhich(unknown.map(name => `${name}.sty`))
+    if (output === null) return null
+
+    for (const path of output.split('\n')) {
+        if (path.trim()) installedPackages.add(basename(path.trim(), '.sty'))
+    }
+    return new Set(unknown.filter(name => !installedPackages.has(name)))
+}
+
+/**
+ * Report the packages a project loads that are neither installed nor part of the project
+ * @param {string} projectDir - Directory with the project sources (the build work dir)
+ * @returns {Promise<Object>} `{ diagnostics, missing }`: 'package' diagnostics, one per use, and the missing names
+ */
+export async function analyzePackages(projectDir) {
+    const none = { diagnostics: [], missing: new Set() }
+    if (!existsSync(projectDir)) return none
+
+    const files = collectSources(projectDir)
+    // A .sty next to the document is found by TeX before the distribution
+    const local = new Set(files.filter(f => f.endsWith('.sty')).map(f => basename(f, '.sty')))
+
+    const uses = []
+    for (const file of files) {
+        let source
+        try {
+            source = readFileSync(join(projectDir, file), 'utf-8')
+        } catch (e) {
+            continue
+        }
+        for (const use of findPackageUses(source, file.endsWith('.tex'))) {
+            if (!local.has(use.name)) uses.push({ ...use, file })
+        }
+    }
+    if (uses.length === 0) return none
+
+    const missing = await findMissingPackages(uses.map(use => use.name))
+    if (!missing || missing.size === 0) return none
+
+    console.log(`[Packages] Missing: ${[...missing].join(', ')}`)
+    const diagnostics = uses
+        .filter(use => missing.has(use.name))
+        .map(use => createDiagnostic({
+            severity: 'error',
+            category: 'package',
+            file: use.file,
+            line: use.line,
+            message: `Package "${use.name}" is not installed on this server`,
+            raw: `${use.name}.sty`
+        }))
+    return { diagnostics, missing }
+}
+
+/**
+ * Whether a log diagnostic is the engine's own report of a package found missing beforehand
+ * @param {Set} missing - Package names
+ */
+export function isMissingPackageError(diagnostic, missing) {
+    const match = diagnostic.message.match(/File `([^']+)\.sty' not found/)
+    return Boolean(match && missing.has(match[1]))
+}
+
+/**
+ * Every package of the TeX distribution, from its ls-R file databases
+ * @returns {Promise<string[]|null>} sorted names, or null when there is no kpathsea
+ */
+export async function listInstalledPackages() {
+    if (packageIndex && Date.now() - packageIndex.scannedAt < PACKAGE_INDEX_TTL) return packageIndex.packages
+    if (!commandExists('kpsewhich')) return null
+
+    const output = await kpsewhich(['-var-value', 'TEXMFDBS'])
+    if (output === null) return null
+
+    // {!!/usr/share/texlive/texmf-dist,!!/var/lib/texmf}:... -> directories
+    const roots = output.trim().replace(/[{}]/g, '').split(/[,:;]/)
+        .map(dir => dir.replace(/^!!/, '').trim())
+        .filter(Boolean)
+
+    const packages = new Set()
+    for (const root of new Set(roots)) {
+        const lsR = join(root, 'ls-R')
+        if (!existsSync(lsR)) continue
+        try {
+            for (const line of readFileSync(lsR, 'utf-8').split('\n')) {
+                if (line.endsWith('.sty')) packages.add(line.slice(0, -4))
+            }
+        } catch (e) {
+            console.error(`[Packages] Could not read ${lsR}:`, e.message)
+        }
+    }
+
+    packageIndex = { packages: [...packages].sort(), scannedAt: Date.now() }
+    console.log(`[Packages] Indexed ${packageIndex.packages.length} installed packages`)
+    return packageIndex.packages
+}
+
+export default { analyzePackages, findPackageUses, findMissingPackages, isMissingPackageError, listInstalledPackages }
@@ -0,0 +1,522 @@
+import { readdirSync, statSync, readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, rmSync, unlinkSync } from 'fs'
+import { join, dirname, relative } from 'path'
+import * as Y from 'yjs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as encoding from 'lib0/encoding'
+import { scheduleAutoCompile, cancelAutoCompile } from './autoCompile.js'
+import { restoreDoc, appendUpdate, compactStore, recordFlushed, isFlushed, deleteDocStore, releaseDocStore } from './docStore.js'
+import { createWriteBack, isWritablePath, TEXT_FILE_PATTERN } from './writeBack.js'
+import { decodeAndVerifyToken } from './auth.js'
+import { getProjectWithAuth, isHiddenPath } from '../utils/project.js'
+
+// ================================================================
+// OVERLEAF-STYLE SERVER AUTHORITY (Fix Sync & Save)
+// 1. Load from Disk on Init
+// 2. Broadcast Updates to All Clients
+// 3. Save updates back to Disk
+//
+// Server-side file changes (file routes, AI tools) go through this service too: the
+// document is changed first, so open editors see it live, then a file-tree event is
+// broadcast and the files on disk are changed.
+// ================================================================
+
+const docs = new Map() // Map<projectId, Y.Doc>
+export const messageSync = 0
+export const messageAwareness = 1
+// Server -> client only: a build finished (JSON payload). 2 and 3 are taken by y-websocket (auth, query awareness)
+export const messageBuild = 4
+// Server -> client only: files were created, changed, renamed or deleted (JSON payload)
+export const messageFiles = 5
+// Server -> client only: what the connection may do, `{ permission: 'edit' | 'view' }`
+export const messagePermission = 6
+// Client -> server only: a refreshed auth token (string), checked with the next session check
+export const messageAuth = 7
+
+// Close code of connections whose access was revoked (collaborator removed, share link regenerated, token invalid)
+export const CLOSE_ACCESS_CHANGED = 4403
+
+// Open sessions are checked against the project's sharing settings this often (and whenever they change)
+const SESSION_CHECK_INTERVAL = (parseFloat(process.env.WS_SESSION_CHECK_MINUTES) || 5) * 60 * 1000
+
+// Documents nobody has open are unloaded after this long, once their files are written
+const DOC_IDLE_TIMEOUT = (parseFloat(process.env.YJS_IDLE_MINUTES) || 10) * 60 * 1000
+
+// Root map of the texts whose file was deleted or renamed away: Map<path, timestamp>.
+// Edits a stale editor still makes to them are not written back.
+const TOMBSTONES = '__tombstones'
+
+// Transaction origin of changes made by this service; they are persisted here, not by the write-back
+const SERVER_FILE_ORIGIN = 'server-file'
+
+/**
+ * Replace the content of a Y.Text, keeping the unchanged start and end
+ */
+function replaceText(ytext, content) {
+    const current = ytext.toString()
+    let start = 0
+    while (start < current.length && start < content.length && current[start] === content[start]) start++
+    let end = 0
+    while (end < current.length - start && end < content.length - start &&
+        current[current.length - 1 - end] === content[content.length - 1 - end]) end++
+    ytext.delete(start, current.length - start - end)
+    ytext.insert(start, content.substring(start, content.length - end))
+}
+
+/**
+ * Load project files into Yjs Doc (Initial State).
+ * A doc restored from the store keeps its text while the file on disk is the one it last
+ * wrote (the text has edits that were not saved yet); a file changed on disk replaces it.
+ * @returns {Object} `{ keys, unsaved }`: the project's text files, and those whose restored text is newer
+ */
+function loadProjectToYDoc(doc, dir, rootDir, restored = false, files = { keys: [], unsaved: [], loaded: [] }) {
+    try {
+        const entries = readdirSync(dir)
+        for (const file of entries) {
+            // Hidden files (.project.json, .git) are not shared: editors must not change them
+            if (file.startsWith('.')) continue
+            const path = join(dir, file)
+            const stat = statSync(path)
+            if (stat.isDirectory()) {
+                if (file !== 'node_modules') loadProjectToYDoc(doc, path, rootDir, restored, files)
+            } else {
+                if (TEXT_FILE_PATTERN.test(file)) {
+                    const content = readFileSync(path, 'utf-8')
+                    const relativePath = relative(rootDir, path).replace(/\\/g, '/')
+                    const ytext = doc.getText(relativePath)
+                    const current = ytext.toString()
+                    files.keys.push(relativePath)
+                    if (current !== content && restored && isFlushed(doc.name, relativePath, content)) {
+                        files.unsaved.push(relativePath)
+                        continue
+                    }
+                    // A file back on disk after a delete is a live text again
+                    const tombstones = doc.getMap(TOMBSTONES)
+                    if (current !== content || tombstones.has(relativePath)) {
+                        doc.transact(() => {
+                            tombstones.delete(relativePath)
+                            replaceText(ytext, content)
+                        }, 'server-load')
+                    }
+                    files.loaded.push([relativePath, content])
+                }
+            }
+        }
+    } catch (err) {
+        console.error(`[Yjs] Error loading files: ${err.message}`)
+    }
+    if (dir === rootDir) recordFlushed(doc.name, files.loaded)
+    return files
+}
+
+/**
+ * Get or create Yjs document
+ */
+export function getYDoc(projectId, projectPath, ownerId) {
+    if (docs.has(projectId)) return docs.get(projectId)
+
+    const doc = new Y.Doc()
+    doc.name = projectId
+    doc.conns = new Set()
+    doc.projectPath = projectPath // Attach path for saving
+
+    // Edits made before the last restart or unload (applied before any listener exists)
+    const restored = restoreDoc(projectId, doc, 'server-load')
+
+    // Text keys written to project files, and their pending writes
+    doc.fileKeys = new Set()
+    doc.writeBack = createWriteBack({ projectId, projectPath, getContent: (key) => doc.getText(key).toString() })
+
+    // 1. Broadcast Awareness (Cursor)
+    doc.awareness = new awarenessProtocol.Awareness(doc)
+    doc.awareness.on('update', ({ added, updated, removed }) => {
+        const changedClients = added.concat(updated, removed)
+        const encoder = encoding.createEncoder()
+        encoding.writeVarUint(encoder, messageAwareness)
+        encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, changedClients))
+        const buff = encoding.toUint8Array(encoder)
+        doc.conns.forEach(conn => {
+            if (conn.readyState === 1) conn.send(buff)
+        })
+    })
+
+    // 2. Broadcast Document Updates (Content Sync)
+    // CRITICAL FIX: listen to 'update' to broadcast to other clients
+    doc.on('update', (update, origin) => {
+        // Every change goes to the store first, so it survives a crash before the files are written
+        try {
+            appendUpdate(projectId, update)
+        } catch (err) {
+            console.error(`[Yjs] Could not store update of ${projectId}:`, err.message)
+        }
+
+        // origin is the conn that sent the update, or null/string
+        // Broadcast to all clients EXCEPT the origin (to avoid echo)
+        const encoder = encoding.createEncoder()
+        encoding.writeVarUint(encoder, messageSync)
+        syncProtocol.writeUpdate(encoder, update)
+        const buff = encoding.toUint8Array(encoder)
+
+        doc.conns.forEach(conn => {
+            if (conn !== origin && conn.readyState === 1) {
+                conn.send(buff)
+            }
+        })
+
+        // Edits from clients (re)start the auto-compile timer, if the project uses it
+        if (doc.conns.has(origin)) {
+            scheduleAutoCompile(projectId, {
+                projectPath,
+                ownerId,
+                beforeBuild: () => doc.writeBack.flushAll()
+            })
+        }
+    })
+
+    // 3. Persist to Disk (Save): every changed top-level text is written back to its file,
+    // including texts of files created after the initial load
+    doc.on('afterTransaction', (transaction) => {
+        if (transaction.origin === 'server-load' || transaction.origin === SERVER_FILE_ORIGIN) return
+        const tombstones = doc.getMap(TOMBSTONES)
+        transaction.changed.forEach((_, type) => {
+            if (type._item !== null) return // nested type, not a file
+            const key = Y.findRootTypeKey(type)
+            if (tombstones.has(key)) return
+            if (!doc.fileKeys.has(key)) {
+                if (!isWritablePath(projectPath, key)) return
+                doc.fileKeys.add(key)
+                doc.writeBack.adopt(key)
+            }
+            doc.writeBack.markDirty(key)
+        })
+    })
+
+    // Initial Load
+    console.log(`[Yjs] Loading project ${projectId} from ${projectPath}${restored ? ' (restored from store)' : ''}`)
+    const { keys, unsaved } = loadProjectToYDoc(doc, projectPath, projectPath, restored)
+    keys.forEach(key => doc.fileKeys.add(key))
+
+    // Edits the store kept but the files never got (crash, restart before the save)
+    for (const key of unsaved) {
+        console.log(`[Yjs] Recovered unsaved edits of ${key} in ${projectId}`)
+        doc.writeBack.markDirty(key)
+        doc.writeBack.flush(key)
+    }
+
+    docs.set(projectId, doc)
+    return doc
+}
+
+/**
+ * Document of a project, if someone has it open (or had recently)
+ * @returns {Y.Doc|null}
+ */
+export function getLoadedDoc(projectId) {
+    return docs.get(projectId) || null
+}
+
+/**
+ * Write a document's files and unload it; its state stays in the store
+ */
+function unloadYDoc(doc) {
+    if (doc.conns.size > 0 || docs.get(doc.name) !== doc) return
+
+    if (!existsSync(doc.projectPath)) {
+        // Project deleted meanwhile
+        doc.writeBack.cancel()
+        deleteDocStore(doc.name)
+    } else {
+        doc.writeBack.flushAll()
+        compactStore(doc.name)
+        releaseDocStore(doc.name)
+    }
+
+    docs.delete(doc.name)
+    cancelAutoCompile(doc.name)
+    doc.awareness.destroy()
+    doc.destroy()
+    console.log(`[Yjs] Unloaded idle project ${doc.name}`)
+}
+
+/**
+ * Drop a deleted project's document without writing anything: pending writes are cancelled
+ * (they would recreate the project directory), open sessions are closed and the store is removed
+ */
+export function discardProjectDocument(projectId) {
+    const doc = docs.get(projectId)
+    if (doc) {
+        docs.delete(projectId)
+        clearTimeout(doc.idleTimer)
+        doc.writeBack.cancel()
+        doc.conns.forEach(conn => conn.close(CLOSE_ACCESS_CHANGED, 'Project deleted'))
+        doc.conns.clear()
+        // Destroying the doc removes its listeners, so late updates are neither stored nor written
+        doc.awareness.destroy()
+        doc.destroy()
+        console.log(`[Yjs] Discarded document of deleted project ${projectId}`)
+    }
+    cancelAutoCompile(projectId)
+    deleteDocStore(projectId)
+}
+
+/**
+ * Add a connection to a document (cancels a pending unload)
+ */
+export function addConnection(doc, conn) {
+    clearTimeout(doc.idleTimer)
+    doc.conns.add(conn)
+}
+
+/**
+ * Remove a connection; the document is unloaded once nobody had it open for DOC_IDLE_TIMEOUT
+ */
+export function removeConnection(doc, conn) {
+    doc.conns.delete(conn)
+    if (doc.conns.size === 0) {
+        clearTimeout(doc.idleTimer)
+        doc.idleTimer = setTimeout(() => unloadYDoc(doc), DOC_IDLE_TIMEOUT)
+    }
+}
+
+/**
+ * What a collaboration connection may do with a getProjectWithAuth result: 'edit', 'view',
+ * or null without access. Viewers get the document but may not change it.
+ */
+export function getConnectionPermission(auth) {
+    if (auth.error) return null
+    return auth.granted === 'owner' || auth.granted === 'edit' ? 'edit' : 'view'
+}
+
+/**
+ * Tell a connection what it may do (the client opens the editor read-only for 'view')
+ */
+export function sendPermission(conn) {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messagePermission)
+    encoding.writeVarString(encoder, JSON.stringify({ permission: conn.permission }))
+    conn.send(encoding.toUint8Array(encoder))
+}
+
+/**
+ * Permission of an open connection now: its token is verified again (it may have expired
+ * or belong to someone else by now) and the project's sharing settings read again
+ */
+async function resolveSessionPermission(conn, projectId) {
+    const user = conn.token ? await decodeAndVerifyToken(conn.token) : null
+    if (user && conn.user && user.uid !== conn.user.uid) return null
+    if (!user && !conn.sid) return null
+    return getConnectionPermission(getProjectWithAuth(user, projectId, 'view', conn.sid))
+}
+
+/**
+ * Check every open session of a project again. Connections that lost access are closed with
+ * CLOSE_ACCESS_CHANGED; those whose permission changed (edit <-> view) are told the new one.
+ * Never rejects, so routes can call it without waiting.
+ */
+export async function revalidateSessions(projectId) {
+    const doc = docs.get(projectId)
+    if (!doc) return
+
+    await Promise.all([...doc.conns].map(async (conn) => {
+        try {
+            const permission = await resolveSessionPermission(conn, projectId)
+            if (conn.readyState !== 1) return
+            if (!permission) {
+                console.log(`[WS] Closing session of ${conn.user?.email || 'anon'} in ${projectId}: access revoked`)
+                conn.close(CLOSE_ACCESS_CHANGED, 'Access changed')
+            } else if (permission !== conn.permission) {
+                console.log(`[WS] ${conn.user?.email || 'anon'} in ${projectId} can now ${permission}`)
+                conn.permission = permission
+                sendPermission(conn)
+            }
+        } catch (err) {
+            console.error(`[WS] Session check failed in ${projectId}:`, err.message)
+        }
+    }))
+}
+
+// Long sessions are checked periodically too (expired tokens, share files removed by hand)
+setInterval(() => {
+    for (const projectId of docs.keys()) revalidateSessions(projectId)
+}, SESSION_CHECK_INTERVAL).unref()
+
+/**
+ * Send a JSON message of one of the server-only types to every connection of a project
+ * @param {Function|Object} payload - The message, or `(conn) => message` for per-connection content
+ */
+export function broadcastToProject(projectId, messageType, payload) {
+    const doc = docs.get(projectId)
+    if (!doc) return
+
+    doc.conns.forEach(conn => {
+        if (conn.readyState !== 1) return
+        const encoder = encoding.createEncoder()
+        encoding.writeVarUint(encoder, messageType)
+        encoding.writeVarString(encoder, JSON.stringify(typeof payload === 'function' ? payload(conn) : payload))
+        conn.send(encoding.toUint8Array(encoder))
+    })
+}
+
+/**
+ * Write pending edits of a project to its files (before a build or export reads them)
+ */
+export function flushProjectDocument(projectId) {
+    docs.get(projectId)?.writeBack.flushAll()
+}
+
+/**
+ * Write every open document to its files (server shutdown)
+ */
+export function flushAllDocuments() {
+    for (const doc of docs.values()) {
+        doc.writeBack.flushAll()
+        compactStore(doc.name)
+    }
+}
+
+/**
+ * Document key of a project path ('./sub//a.tex' -> 'sub/a.tex', 'sub/' -> 'sub')
+ */
+function toKey(projectPath, path) {
+    const key = relative(projectPath, join(projectPath, path)).replace(/\\/g, '/')
+    // Callers check paths already; hidden files hold owner-only settings, so refuse them here as well
+    if (!key || key.startsWith('..') || isHiddenPath(key)) throw new Error(`Access denied: ${path}`)
+    return key
+}
+
+/**
+ * Texts of a file, or of every file under a folder
+ */
+function findFileKeys(doc, path) {
+    const prefix = path + '/'
+    return [...doc.fileKeys].filter(key => key === path || key.startsWith(prefix))
+}
+
+/**
+ * Mark a text as deleted and empty it; its pending write is dropped
+ */
+function tombstone(doc, key) {
+    doc.writeBack.discard(key)
+    doc.fileKeys.delete(key)
+    doc.getMap(TOMBSTONES).set(key, Date.now())
+    const ytext = doc.getText(key)
+    ytext.delete(0, ytext.length)
+}
+
+/**
+ * Set the text of a file (live again if it was deleted)
+ */
+function setText(doc, key, content) {
+    doc.writeBack.discard(key)
+    doc.fileKeys.add(key)
+    doc.getMap(TOMBSTONES).delete(key)
+    replaceText(doc.getText(key), content)
+}
+
+/**
+ * Create or replace a file of a project
+ * @param {Object} project - `{ projectId, projectPath }` (a getProjectWithAuth result)
+ * @param {string} filename - Project-relative path, already checked to be inside the project
+ * @param {string|Buffer} content - Text, or the bytes of a binary file
+ * @param {Object} [options]
+ * @param {string} [options.action] - File-tree event action ('create' or 'update')
+ */
+export function writeProjectFile({ projectId, projectPath }, filename, content, { action = 'update' } = {}) {
+    const path = toKey(projectPath, filename)
+    const doc = docs.get(projectId)
+    const text = Buffer.isBuffer(content) ? content.toString('utf-8') : content
+    const isText = isWritablePath(projectPath, path)
+
+    if (doc && isText) {
+        doc.transact(() => setText(doc, path, text), SERVER_FILE_ORIGIN)
+    }
+    broadcastToProject(projectId, messageFiles, { action, path })
+
+    const filePath = join(projectPath, path)
+    mkdirSync(dirname(filePath), { recursive: true })
+    writeFileSync(filePath, content)
+    if (doc && isText) recordFlushed(projectId, [[path, text]])
+}
+
+/**
+ * Create a folder of a project
+ */
+export function createProjectFolder({ projectId, projectPath }, filename) {
+    const path = toKey(projectPath, filename)
+    broadcastToProject(projectId, messageFiles, { action: 'create', path: `${path}/` })
+    mkdirSync(join(projectPath, path), { recursive: true })
+}
+
+/**
+ * Delete a file or a folder of a project; open texts are tombstoned
+ */
+export function deleteProjectPath({ projectId, projectPath }, filename) {
+    const path = toKey(projectPath, filename)
+    const doc = docs.get(projectId)
+    if (doc) {
+        const keys = findFileKeys(doc, path)
+        if (keys.length > 0) doc.transact(() => keys.forEach(key => tombstone(doc, key)), SERVER_FILE_ORIGIN)
+    }
+    broadcastToProject(projectId, messageFiles, { action: 'delete', path })
+
+    const filePath = join(projectPath, path)
+    if (!existsSync(filePath)) return
+    if (statSync(filePath).isDirectory()) {
+        rmSync(filePath, { recursive: true, force: true })
+    } else {
+        unlinkSync(filePath)
+    }
+}
+
+/**
+ * Rename or move a file or a folder of a project. Texts move to their new paths (the old
+ * ones are tombstoned), with edits not written yet, so nothing typed before the move is lost.
+ */
+export function renameProjectPath({ projectId, projectPath }, oldName, newName) {
+    const from = toKey(projectPath, oldName)
+    const to = toKey(projectPath, newName)
+    const doc = docs.get(projectId)
+    const moved = []
+    if (doc) {
+        for (const key of findFileKeys(doc, from)) {
+            const target = to + key.substring(from.length)
+            moved.push([target, doc.getText(key).toString()])
+        }
+        if (moved.length > 0) {
+            doc.transact(() => {
+                findFileKeys(doc, from).forEach(key => tombstone(doc, key))
+                moved.forEach(([target, content]) => {
+                    if (isWritablePath(projectPath, target)) setText(doc, target, content)
+                })
+            }, SERVER_FILE_ORIGIN)
+        }
+    }
+    broadcastToProject(projectId, messageFiles, { action: 'rename', path: from, newPath: to })
+
+    const destination = join(projectPath, to)
+    mkdirSync(dirname(destination), { recursive: true })
+    renameSync(join(projectPath, from), destination)
+    for (const [target, content] of moved) {
+        if (!isWritablePath(projectPath, target)) continue
+        writeFileSync(join(projectPath, target), content, 'utf-8')
+        recordFlushed(projectId, [[target, content]])
+    }
+}
+
+export default {
+    getYDoc,
+    getConnectionPermission,
+    sendPermission,
+    revalidateSessions,
+    discardProjectDocument,
+    getLoadedDoc,
+    addConnection,
+    removeConnection,
+    broadcastToProject,
+    flushProjectDocument,
+    flushAllDocuments,
+    writeProjectFile,
+    createProjectFolder,
+    deleteProjectPath,
+    renameProjectPath
+}
@@ -0,0 +1,240 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, rmSync, statSync, utimesSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { v4 as uuidv4 } from 'uuid'
+import crypto from 'crypto'
+import { runSandboxed, commandExists, describeLimit } from './runner.js'
+import { getEngine, DEFAULT_ENGINE } from './engines.js'
+import { parseLatexLog } from './logParser.js'
+import { HISTORY_DIR } from './buildHistory.js'
+
+/**
+ * Fragment rendering: a piece of LaTeX (an equation, a TikZ picture) compiled on its own
+ * with the standalone class and converted to an image.
+ *
+ * Each render runs in a fresh dir under temp/ with nothing but the generated document,
+ * through the same sandbox as compiles. Images are cached by a hash of everything that
+ * goes into them, so copying the same equation twice does not run TeX again.
+ */
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const TEMP_DIR = join(__dirname, '../temp')
+const PROJECTS_DIR = join(__dirname, '../../projects')
+const CACHE_DIR = join(__dirname, '../cache')
+const RENDER_CACHE_DIR = join(__dirname, '../render-cache')
+
+mkdirSync(RENDER_CACHE_DIR, { recursive: true })
+
+const RENDER_TIMEOUT = parseInt(process.env.RENDER_TIMEOUT) || 30000
+const RENDER_CACHE_MAX_ENTRIES = parseInt(process.env.RENDER_CACHE_MAX_ENTRIES) || 2000
+
+export const MAX_FRAGMENT_LENGTH = 20000
+export const MAX_PREAMBLE_LENGTH = 20000
+
+export const DEFAULT_PREAMBLE = '\\usepackage{amsmath,amssymb}'
+
+// Converters from the standalone PDF, in order of preference per format
+export const RENDER_FORMATS = {
+    svg: {
+        contentType: 'image/svg+xml',
+        tools: {
+            pdftocairo: () => ['-svg', 'fragment.pdf', 'fragment.svg'],
+            dvisvgm: () => ['--pdf', '--no-fonts', '--exact-bbox', '-o', 'fragment.svg', 'fragment.pdf']
+        }
+    },
+    png: {
+        contentType: 'image/png',
+        tools: {
+            // -transp keeps the background transparent, pdftoppm always paints it white
+            pdftocairo: (dpi) => ['-png', '-singlefile', '-transp', '-r', String(dpi), 'fragment.pdf', 'fragment'],
+            pdftoppm: (dpi) => ['-png', '-singlefile', '-r', String(dpi), 'fragment.pdf', 'fragment']
+        }
+    }
+}
+
+// Engines producing a PDF in a single run
+const RENDER_ENGINES = ['pdflatex', 'xelatex', 'lualatex']
+
+const DEFAULT_DPI = 300
+const MIN_DPI = 72
+const MAX_DPI = 600
+
+/**
+ * Check and complete a render request
+ * @param {Object} request - See renderFragment
+ * @returns {Object} normalized request, or `{ error, unavailable }`
+ */
+export function resolveRenderRequest({ fragment, preamble, format = 'svg', engine = DEFAULT_ENGINE, mode = 'raw', dpi } = {}) {
+    if (typeof fragment !== 'string' || !fragment.trim()) return { error: 'Nothing to render' }
+    if (fragment.length > MAX_FRAGMENT_LENGTH) return { error: `Fragments are limited to ${MAX_FRAGMENT_LENGTH} characters` }
+    if (preamble != null && typeof preamble !== 'string') return { error: 'Invalid preamble' }
+    if (preamble && preamble.length > MAX_PREAMBLE_LENGTH) return { error: `The preamble is limited to ${MAX_PREAMBLE_LENGTH} characters` }
+    if (!RENDER_FORMATS[format]) return { error: `Unknown image format "${format}" (svg or png)` }
+    if (!['raw', 'math'].includes(mode)) return { error: `Unknown mode "${mode}"` }
+
+    const engineDef = getEngine(engine)
+    if (!engineDef || !RENDER_ENGINES.includes(engineDef.id)) {
+        return { error: `Fragments can be rendered with ${RENDER_ENGINES.join(', ')}` }
+    }
+    if (!commandExists(engineDef.tex)) return { error: `${engineDef.tex} is not installed on this server`, unavailable: true }
+
+    const tools = Object.keys(RENDER_FORMATS[format].tools)
+    const tool = tools.find(commandExists)
+    if (!tool) return { error: `${format.toUpperCase()} rendering is not available on this server (install ${tools.join(' or ')})`, unavailable: true }
+
+    const resolution = format === 'png' ? Math.min(MAX_DPI, Math.max(MIN_DPI, parseInt(dpi) || DEFAULT_DPI)) : null
+    return {
+        fragment,
+        preamble: preamble ?? DEFAULT_PREAMBLE,
+        format,
+        engine: engineDef.id,
+        mode,
+        dpi: resolution,
+        tool
+    }
+}
+
+/**
+ * Cache key of a normalized request; the converter is part of it since the images differ
+ */
+export function hashRenderRequest({ fragment, preamble, format, engine, mode, dpi, tool }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([fragment, preamble, format, engine, mode, dpi, tool]))
+        .digest('hex')
+}
+
+/**
+ * The standalone document for a fragment
+ * @returns {Object} `{ source, fragmentLine }`: the document and the line the fragment starts on
+ */
+function buildDocument({ fragment, preamble, mode }) {
+    const body = mode === 'math' ? `$\\displaystyle\n${fragment}\n$` : fragment
+    // varwidth lets text with paragraphs and displayed math typeset; pictures keep their own size
+    const options = /\\begin\s*\{(tikzpicture|pspicture|circuitikz)\}/.test(fragment) ? 'border=2pt' : 'border=2pt,varwidth'
+    const head = `\\documentclass[${options}]{standalone}\n${preamble}\n\\begin{document}\n`
+    return {
+        source: `${head}${body}\n\\end{document}\n`,
+        fragmentLine: head.split('\n').length + (mode === 'math' ? 1 : 0)
+    }
+}
+
+function getCachedPath(hash, format) {
+    return join(RENDER_CACHE_DIR, `${hash}.${format}`)
+}
+
+/**
+ * Keep the render cache bounded: the least recently used images go first
+ */
+function evictRenderCache() {
+    try {
+        const entries = readdirSync(RENDER_CACHE_DIR)
+        if (entries.length <= RENDER_CACHE_MAX_ENTRIES) return
+
+        const byAge = entries
+            .map(name => ({ path: join(RENDER_CACHE_DIR, name), lastUsed: statSync(join(RENDER_CACHE_DIR, name)).mtimeMs }))
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+        const excess = byAge.slice(0, entries.length - RENDER_CACHE_MAX_ENTRIES)
+        excess.forEach(entry => rmSync(entry.path, { force: true }))
+        console.log(`[Render] Evicted ${excess.length} cached images`)
+    } catch (e) {
+        console.error('[Render] Cache eviction error:', e.message)
+    }
+}
+
+/**
+ * Cached image of a normalized request
+ * @returns {Object|null} `{ data, contentType, hash, cached: true }`
+ */
+export function getCachedRender(request) {
+    const hash = hashRenderRequest(request)
+    const path = getCachedPath(hash, request.format)
+    if (!existsSync(path)) return null
+
+    try {
+        // Reading an image counts as using it
+        const now = new Date()
+        utimesSync(path, now, now)
+        return { data: readFileSync(path), contentType: RENDER_FORMATS[request.format].contentType, hash, cached: true }
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * Compile a fragment and convert it to an image
+ * @param {Object} request - Normalized by resolveRenderRequest
+ * @param {string} request.fragment - LaTeX to render (document body)
+ * @param {string} request.preamble - Lines between \documentclass and \begin{document}
+ * @param {string} request.format - 'svg' | 'png'
+ * @param {string} request.engine - 'pdflatex' | 'xelatex' | 'lualatex'
+ * @param {string} request.mode - 'math' wraps the fragment in display-style math, 'raw' uses it as is
+ * @param {number} [request.dpi] - Resolution of PNG images
+ * @param {string} request.tool - Converter (see RENDER_FORMATS)
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>} `{ success, data, contentType, hash, cached }` or
+ *   `{ success: false, error, logs, diagnostics }`
+ */
+export async function renderFragment(request, signal) {
+    const cached = getCachedRender(request)
+    if (cached) return { success: true, ...cached }
+
+    const hash = hashRenderRequest(request)
+    const renderDir = join(TEMP_DIR, `render-${uuidv4().substring(0, 8)}`)
+    const { source, fragmentLine } = buildDocument(request)
+
+    const run = (command, args) => runSandboxed(command, args, {
+        cwd: renderDir,
+        writableDir: renderDir,
+        hiddenPaths: [PROJECTS_DIR, CACHE_DIR, TEMP_DIR, HISTORY_DIR, RENDER_CACHE_DIR],
+        timeout: RENDER_TIMEOUT,
+        signal
+    })
+
+    try {
+        mkdirSync(renderDir, { recursive: true })
+        writeFileSync(join(renderDir, 'fragment.tex'), source)
+
+        const engine = getEngine(request.engine)
+        console.log(`[Render] ${engine.tex} fragment ${hash.substring(0, 12)} -> ${request.format} (${request.tool})`)
+        const result = await run(engine.tex, ['-interaction=nonstopmode', '-halt-on-error', '-file-line-error', '-no-shell-escape', 'fragment.tex'])
+
+        const logFile = join(renderDir, 'fragment.log')
+        const logs = existsSync(logFile) ? readFileSync(logFile, 'utf-8') : (result.stdout + '\n' + result.stderr)
+        if (signal?.aborted) return { success: false, cancelled: true, error: 'Render cancelled', logs, diagnostics: [] }
+
+        if (result.limit) {
+            return { success: false, error: describeLimit(result, RENDER_TIMEOUT), logs, diagnostics: [] }
+        }
+        if (result.error || result.code !== 0 || !existsSync(join(renderDir, 'fragment.pdf'))) {
+            // Line numbers of the generated document, shifted to the fragment (preamble errors keep theirs)
+            const diagnostics = parseLatexLog(logs, { rootFile: 'fragment.tex', workDir: renderDir })
+                .filter(d => d.severity === 'error')
+                .map(d => ({
+                    ...d,
+                    file: d.line && d.line >= fragmentLine ? 'fragment' : 'preamble',
+                    line: d.line ? (d.line >= fragmentLine ? d.line - fragmentLine + 1 : d.line - 1) : null
+                }))
+            const error = result.error ? result.error.message : (diagnostics[0]?.message || 'The fragment did not compile')
+            return { success: false, error, logs, diagnostics }
+        }
+
+        const formatDef = RENDER_FORMATS[request.format]
+        const converted = await run(request.tool, formatDef.tools[request.tool](request.dpi))
+        const output = join(renderDir, `fragment.${request.format}`)
+        if (converted.code !== 0 || !existsSync(output)) {
+            const reason = converted.limit ? describeLimit(converted, RENDER_TIMEOUT) : (converted.stderr.trim() || `${request.tool} failed`)
+            return { success: false, error: reason, logs: converted.stdout + '\n' + converted.stderr, diagnostics: [] }
+        }
+
+        const data = readFileSync(output)
+        writeFileSync(getCachedPath(hash, request.format), data)
+        evictRenderCache()
+        return { success: true, data, contentType: formatDef.contentType, hash, cached: false }
+    } finally {
+        rmSync(renderDir, { recursive: true, force: true })
+    }
+}
+
+export default { resolveRenderRequest, hashRenderRequest, getCachedRender, renderFragment, RENDER_FORMATS, DEFAULT_PREAMBLE }
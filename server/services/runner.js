@@ -0,0 +1,277 @@
+import { spawn, spawnSync } from 'child_process'
+import { existsSync, accessSync, mkdirSync, constants } from 'fs'
+import { join, delimiter } from 'path'
+
+/**
+ * Sandboxed runner for TeX engines and their helper tools (bibtex, biber, ...).
+ *
+ * Every process gets:
+ * - a restricted environment (PATH, locale, PERL5LIB and the TEXMF* variables set up
+ *   by ecosystem.config.js, nothing else from the server's environment)
+ * - kpathsea file access restrictions (openout_any / openin_any)
+ * - CPU, memory and file-size rlimits, applied with `prlimit` or the shell's `ulimit`
+ * - a wall-clock timeout and a cap on the output it may print
+ *
+ * LATEX_SANDBOX selects the backend: 'direct', 'bwrap' (bubblewrap, only the
+ * writable dir is writable and the given paths are hidden) or 'auto' (default:
+ * bwrap when it works on this host, direct otherwise).
+ */
+
+const SANDBOX_MODE = (process.env.LATEX_SANDBOX || 'auto').toLowerCase()
+
+export const LIMITS = {
+    timeout: parseInt(process.env.LATEX_TIMEOUT) || 300000, // ms, wall clock
+    cpuSeconds: parseInt(process.env.LATEX_CPU_LIMIT) || 240,
+    memoryMb: parseInt(process.env.LATEX_MEMORY_LIMIT) || 2048,
+    fileSizeMb: parseInt(process.env.LATEX_FILE_SIZE_LIMIT) || 200,
+    maxOutput: parseInt(process.env.LATEX_MAX_OUTPUT) || 10 * 1024 * 1024 // bytes of stdout + stderr
+}
+
+// Variables passed through from the server environment
+const ENV_ALLOWLIST = ['PATH', 'HOME', 'LANG', 'LANGUAGE', 'TZ', 'PERL5LIB', 'SOURCE_DATE_EPOCH', 'TECTONIC_CACHE_DIR']
+const ENV_ALLOWED_PATTERN = /^(TEXMF\w*|LC_\w+)$/
+
+// Results of host capability probes, computed once
+const probes = new Map()
+
+/**
+ * Whether an executable is on the server's PATH.
+ * Only hits are cached, so tools installed while the server runs are picked up.
+ */
+export function commandExists(command) {
+    const key = `cmd:${command}`
+    if (probes.has(key)) return true
+
+    const isExecutable = (path) => {
+        try {
+            accessSync(path, constants.X_OK)
+            return true
+        } catch (e) {
+            return false
+        }
+    }
+    const found = command.includes('/')
+        ? isExecutable(command)
+        : (process.env.PATH || '').split(delimiter).some(dir => dir && isExecutable(join(dir, command)))
+    if (found) probes.set(key, true)
+    return found
+}
+
+/**
+ * bubblewrap needs unprivileged user namespaces, so check that it actually starts
+ */
+function bwrapUsable() {
+    if (probes.has('bwrap')) return probes.get('bwrap')
+
+    let usable = false
+    if (commandExists('bwrap')) {
+        const probe = spawnSync('bwrap', ['--ro-bind', '/', '/', '--unshare-all', '--', 'true'], { timeout: 5000 })
+        usable = probe.status === 0
+    }
+    probes.set('bwrap', usable)
+    console.log(`[Runner] bubblewrap ${usable ? 'available' : 'not available'}`)
+    return usable
+}
+
+/**
+ * Backend used for the next run
+ */
+export function getSandboxBackend() {
+    if (SANDBOX_MODE === 'direct' || SANDBOX_MODE === 'none') return 'direct'
+    if (SANDBOX_MODE === 'bwrap') {
+        if (!bwrapUsable()) throw new Error('LATEX_SANDBOX=bwrap but bubblewrap is not usable on this host')
+        return 'bwrap'
+    }
+    return bwrapUsable() ? 'bwrap' : 'direct'
+}
+
+function buildEnv(cwd, extraEnv, shellEscape) {
+    const env = {}
+    for (const [key, value] of Object.entries(process.env)) {
+        if (ENV_ALLOWLIST.includes(key) || ENV_ALLOWED_PATTERN.test(key)) env[key] = value
+    }
+
+    return {
+        ...env,
+        // kpathsea: writes only below the current/output dir, no dot files anywhere
+        openout_any: 'p',
+        openin_any: process.env.LATEX_OPENIN_ANY || 'r',
+        TEXMFOUTPUT: cwd,
+        shell_escape: shellEscape ? 't' : 'f',
+        ...extraEnv
+    }
+}
+
+/**
+ * Prefix a command so that it runs under the rlimits
+ */
+function withRlimits(command, args) {
+    const { cpuSeconds, memoryMb, fileSizeMb } = LIMITS
+
+    if (commandExists('prlimit')) {
+        return ['prlimit', [
+            `--cpu=${cpuSeconds}`,
+            `--as=${memoryMb * 1024 * 1024}`,
+            `--fsize=${fileSizeMb * 1024 * 1024}`,
+            '--',
+            command,
+            ...args
+        ]]
+    }
+
+    // POSIX sh counts -f in 512-byte blocks (bash in 1024, which only loosens the limit)
+    const script = `ulimit -t ${cpuSeconds}; ulimit -v ${memoryMb * 1024}; ulimit -f ${fileSizeMb * 2048}; exec "$0" "$@"`
+    return ['sh', ['-c', script, command, ...args]]
+}
+
+/**
+ * Wrap a command in bubblewrap: read-only host, hidden server data, writable work dir
+ * (and cache dirs), no network unless the tool needs it
+ */
+function withBubblewrap(command, args, { cwd, writableDir, cacheDirs, hiddenPaths, network }) {
+    const bwrapArgs = [
+        '--ro-bind', '/', '/',
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp',
+        '--unshare-all',
+        ...(network ? ['--share-net'] : []),
+        '--die-with-parent',
+        '--new-session'
+    ]
+    for (const path of hiddenPaths) {
+        if (existsSync(path)) bwrapArgs.push('--tmpfs', path)
+    }
+    for (const dir of cacheDirs) bwrapArgs.push('--bind', dir, dir)
+    bwrapArgs.push('--bind', writableDir, writableDir, '--chdir', cwd, '--', command, ...args)
+    return ['bwrap', bwrapArgs]
+}
+
+/**
+ * Run a command in the sandbox
+ * @param {string} command - Executable name
+ * @param {string[]} args - Arguments
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {string} [options.writableDir] - Directory the process may write to (bwrap backend), defaults to cwd
+ * @param {string[]} [options.cacheDirs] - Directories kept across runs that the process may write to as well (created if missing)
+ * @param {string[]} [options.hiddenPaths] - Directories hidden from the process (bwrap backend)
+ * @param {boolean} [options.network] - Keep network access (bwrap backend), for tools that download what they need
+ * @param {boolean} [options.shellEscape] - Allow \write18 (the engine flag is added by the caller)
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {number} [options.timeout] - Wall-clock limit in ms
+ * @param {Function} [options.onOutput] - Receives stdout/stderr chunks as they arrive
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted (compile cancelled)
+ * @returns {Promise<Object>} `{ code, signal, stdout, stderr, limit, error }`, never rejects;
+ *   `limit` is 'timeout' | 'output' | 'cpu' | 'filesize' when a limit stopped the process,
+ *   'cancelled' when it was aborted
+ */
+export function runSandboxed(command, args, options = {}) {
+    const {
+        cwd,
+        writableDir = cwd,
+        cacheDirs = [],
+        hiddenPaths = [],
+        network = false,
+        shellEscape = false,
+        env = {},
+        timeout = LIMITS.timeout,
+        onOutput = () => { },
+        signal: abortSignal = null
+    } = options
+
+    return new Promise((resolve) => {
+        if (abortSignal?.aborted || timeout <= 0) {
+            const limit = abortSignal?.aborted ? 'cancelled' : 'timeout'
+            return resolve({ code: null, signal: 'SIGKILL', stdout: '', stderr: '', limit, error: null })
+        }
+
+        let backend
+        try {
+            backend = getSandboxBackend()
+            if (!commandExists(command)) throw new Error(`${command} is not installed on this server`)
+            cacheDirs.forEach(dir => mkdirSync(dir, { recursive: true }))
+        } catch (err) {
+            return resolve({ code: -1, signal: null, stdout: '', stderr: err.message, limit: null, error: err })
+        }
+
+        let [file, fileArgs] = withRlimits(command, args)
+        if (backend === 'bwrap') {
+            [file, fileArgs] = withBubblewrap(file, fileArgs, { cwd, writableDir, cacheDirs, hiddenPaths, network })
+        }
+
+        const proc = spawn(file, fileArgs, {
+            cwd,
+            env: buildEnv(cwd, env, shellEscape)
+        })
+
+        let stdout = ''
+        let stderr = ''
+        let outputSize = 0
+        let limit = null
+        let settled = false
+
+        const stop = (reason) => {
+            if (limit) return
+            limit = reason
+            console.warn(`[Runner] Stopping ${command}: ${reason === 'cancelled' ? 'cancelled' : `${reason} limit reached`}`)
+            proc.kill('SIGKILL')
+        }
+
+        const timer = setTimeout(() => stop('timeout'), timeout)
+        const onAbort = () => stop('cancelled')
+        abortSignal?.addEventListener('abort', onAbort)
+
+        const collect = (stream) => (d) => {
+            const text = d.toString()
+            outputSize += d.length
+            if (outputSize > LIMITS.maxOutput) return stop('output')
+            if (stream === 'stdout') stdout += text
+            else stderr += text
+            onOutput(text)
+        }
+        proc.stdout.on('data', collect('stdout'))
+        proc.stderr.on('data', collect('stderr'))
+
+        proc.on('close', (code, signal) => {
+            clearTimeout(timer)
+            abortSignal?.removeEventListener('abort', onAbort)
+            if (settled) return
+            settled = true
+            if (!limit && signal === 'SIGXCPU') limit = 'cpu'
+            if (!limit && signal === 'SIGXFSZ') limit = 'filesize'
+            resolve({ code, signal, stdout, stderr, limit, error: null })
+        })
+
+        proc.on('error', (err) => {
+            clearTimeout(timer)
+            abortSignal?.removeEventListener('abort', onAbort)
+            if (settled) return
+            settled = true
+            resolve({ code: -1, signal: null, stdout, stderr: err.message, limit: null, error: err })
+        })
+    })
+}
+
+/**
+ * Human readable reason for a run stopped by a limit, or null
+ * @param {number} [timeout] - Time limit the build ran with (ms), for the timeout message
+ */
+export function describeLimit(result, timeout = LIMITS.timeout) {
+    switch (result?.limit) {
+        case 'timeout':
+            return `Compilation timed out after ${Math.round(timeout / 1000)} seconds. Your project might be too large or has an infinite loop.`
+        case 'cancelled':
+            return 'Compilation cancelled.'
+        case 'output':
+            return 'Compilation stopped: the engine printed too much output (infinite loop?).'
+        case 'cpu':
+            return `Compilation stopped: CPU time limit of ${LIMITS.cpuSeconds} seconds exceeded.`
+        case 'filesize':
+            return `Compilation stopped: an output file exceeded the ${LIMITS.fileSizeMb} MB size limit.`
+        default:
+            return null
+    }
+}
+
+export default { runSandboxed, describeLimit, getSandboxBackend, commandExists, LIMITS }
@@ -0,0 +1,98 @@
+import crypto from 'crypto'
+import { getProjectWithAuth } from '../utils/project.js'
+
+/**
+ * Signed, expiring URLs for files the browser or pdf.js fetch directly (compiled PDFs,
+ * build artifacts), where no Authorization header can be sent.
+ *
+ * A URL carries the project, the user (or share link) it was issued to and an expiry,
+ * all covered by an HMAC. Opening it re-checks that this user still has view access,
+ * so a revoked collaborator or share link stops working before the link expires.
+ */
+
+// Without a configured secret, links do not survive a restart
+const SECRET = process.env.SIGNED_URL_SECRET || crypto.randomBytes(32).toString('hex')
+if (!process.env.SIGNED_URL_SECRET) {
+    console.warn('[SignedUrls] SIGNED_URL_SECRET is not set, using a random secret (links expire on restart)')
+}
+
+export const SIGNED_URL_TTL = (parseInt(process.env.SIGNED_URL_TTL_MINUTES) || 60) * 60 * 1000
+
+function computeSignature(path, params) {
+    const canonical = JSON.stringify([path, ...Object.keys(params).sort().map(key => [key, params[key]])])
+    return crypto.createHmac('sha256', SECRET).update(canonical).digest('base64url')
+}
+
+/**
+ * Sign a URL path for one user of a project
+ * @param {string} path - Absolute URL path (`/api/pdf/...`)
+ * @param {Object} grant
+ * @param {string} grant.projectId
+ * @param {Object} [grant.user] - `{ uid, email }` of the authenticated user
+ * @param {string} [grant.sid] - Share link the access comes from
+ * @param {Object} [params] - Extra query parameters, signed as well
+ * @param {number} [ttl] - Lifetime in ms
+ * @returns {string} path with query string
+ */
+export function signUrl(path, { projectId, user = null, sid = null }, params = {}, ttl = SIGNED_URL_TTL) {
+    const signed = { ...params, projectId, expires: String(Date.now() + ttl) }
+    if (user?.uid) signed.uid = user.uid
+    if (user?.email) signed.email = user.email
+    if (sid) signed.sid = sid
+    for (const key of Object.keys(signed)) signed[key] = String(signed[key])
+
+    const query = new URLSearchParams({ ...signed, sig: computeSignature(path, signed) })
+    return `${path}?${query.toString()}`
+}
+
+/**
+ * Check the signature and expiry of a request made with a signed URL, then the access
+ * of the user it was issued to
+ * @param {Object} req - Express request
+ * @returns {Object} the getProjectWithAuth result plus `grant` (`{ projectId, user, sid }`),
+ *   or `{ error, status }`
+ */
+export function verifySignedUrl(req) {
+    const { sig, ...params } = req.query
+    if (typeof sig !== 'string' || !params.projectId || !params.expires) {
+        return { error: 'Missing link signature', status: 401 }
+    }
+    if (Object.values(params).some(value => typeof value !== 'string')) {
+        return { error: 'Invalid link', status: 400 }
+    }
+
+    const expected = Buffer.from(computeSignature(req.baseUrl + req.path, params))
+    const provided = Buffer.from(sig)
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { error: 'Invalid link signature', status: 403 }
+    }
+    if (Date.now() > parseInt(params.expires)) {
+        return { error: 'Link expired', status: 410 }
+    }
+
+    const user = params.uid ? { uid: params.uid, email: params.email || null } : null
+    const auth = getProjectWithAuth(user, params.projectId, 'view', params.sid || null)
+    if (auth.error) return auth
+
+    return { ...auth, grant: { projectId: params.projectId, user, sid: params.sid || null } }
+}
+
+/**
+ * Link to the PDF of one build (`pdfPath` of compileLatex)
+ * @param {string} pdfFile
+ * @param {Object} grant - See signUrl
+ */
+export function signPdfUrl(pdfFile, grant) {
+    return signUrl(`/api/pdf/${encodeURIComponent(grant.projectId)}/builds/${pdfFile}`, grant)
+}
+
+/**
+ * Link to whatever PDF a compile target has last produced
+ * @param {Object} grant - See signUrl
+ * @param {string} [profile] - Build profile, null for the project's default target
+ */
+export function signLatestPdfUrl(grant, profile = null) {
+    return signUrl(`/api/pdf/${encodeURIComponent(grant.projectId)}/latest`, grant, profile ? { profile } : {})
+}
+
+export default { signUrl, verifySignedUrl, signPdfUrl, signLatestPdfUrl, SIGNED_URL_TTL }
@@ -0,0 +1,207 @@
+import { existsSync, readFileSync, statSync } from 'fs'
+import { join, dirname, basename, relative, extname, resolve as resolvePath } from 'path'
+import crypto from 'crypto'
+import JSZip from 'jszip'
+import { getBuildPaths } from './latex.js'
+
+/**
+ * Submission bundles (arXiv, journals): a zip of exactly the project files the last
+ * TeX run read, according to its `-recorder` output (<jobname>.fls), plus the
+ * generated .bbl and a manifest. \input/\include can be inlined into the main
+ * document and % comments stripped from .tex files.
+ */
+
+// Environments whose content is printed as is, so % in them is not a comment
+const VERBATIM_ENVIRONMENTS = ['verbatim', 'verbatim*', 'lstlisting', 'minted', 'comment', 'Verbatim', 'filecontents', 'filecontents*']
+
+const INPUT_PATTERN = /\\(input|include)\s*\{([^}]+)\}/g
+
+/**
+ * Project files read by the run: INPUT lines of the .fls inside the work dir,
+ * without the files TeX generated itself (.aux, .toc, ...) which are not in the project
+ * @returns {string[]} work-dir relative paths
+ */
+function readRecordedInputs(flsFile, workDir, projectPath) {
+    let cwd = dirname(flsFile)
+    const inputs = new Set()
+
+    for (const line of readFileSync(flsFile, 'utf-8').split('\n')) {
+        if (line.startsWith('PWD ')) {
+            cwd = line.substring(4).trim()
+        } else if (line.startsWith('INPUT ')) {
+            const path = resolvePath(cwd, line.substring(6).trim())
+            if (!path.startsWith(workDir + '/')) continue // TeX distribution
+            const relPath = relative(workDir, path).replace(/\\/g, '/')
+            if (existsSync(join(projectPath, relPath)) && statSync(path).isFile()) inputs.add(relPath)
+        }
+    }
+    return Array.from(inputs).sort()
+}
+
+/**
+ * Position of the first % that starts a comment (not `\%`), or -1
+ */
+function findComment(line) {
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] !== '%') continue
+        let backslashes = 0
+        for (let j = i - 1; j >= 0 && line[j] === '\\'; j--) backslashes++
+        if (backslashes % 2 === 0) return i
+    }
+    return -1
+}
+
+/**
+ * Walk the lines of a .tex file outside verbatim environments, telling the callback
+ * where the comment of each line starts
+ * @param {Function} visit - `(line, commentStart)`, returns the replacement line or null to drop it
+ */
+function mapTexLines(source, visit) {
+    let verbatim = null
+    const lines = []
+    for (const line of source.split('\n')) {
+        if (verbatim) {
+            if (line.includes(`\\end{${verbatim}}`)) verbatim = null
+            lines.push(line)
+            continue
+        }
+        const comment = findComment(line)
+        const code = comment === -1 ? line : line.substring(0, comment)
+        const begin = code.match(/\\begin\{([^}]+)\}/)
+        if (begin && VERBATIM_ENVIRONMENTS.includes(begin[1]) && !code.includes(`\\end{${begin[1]}}`)) verbatim = begin[1]
+
+        const mapped = visit(line, comment)
+        if (mapped !== null) lines.push(mapped)
+    }
+    return lines.join('\n')
+}
+
+/**
+ * Remove % comments. Whole-line comments are dropped; a trailing comment keeps its %
+ * so that the line break still does not count as a space.
+ */
+export function stripTexComments(source) {
+    return mapTexLines(source, (line, comment) => {
+        if (comment === -1) return line
+        const code = line.substring(0, comment)
+        return code.trim() === '' ? null : `${code}%`
+    })
+}
+
+/**
+ * Inline \input and \include of files in the bundle, recursively
+ * @param {Object} context
+ * @param {Function} context.resolveInput - Maps an argument to a bundled work-dir relative path, or null
+ * @param {Function} context.readSource - Content of a bundled file
+ * @param {Set} context.inlined - Collects the paths that were inlined
+ * @param {boolean} context.markers - Mark where each file starts with a comment
+ */
+function flattenInputs(source, context, depth = 0) {
+    if (depth > 20) return source // \input loop
+    const { resolveInput, readSource, inlined, markers } = context
+
+    return mapTexLines(source, (line, comment) => {
+        const code = comment === -1 ? line : line.substring(0, comment)
+        const rest = comment === -1 ? '' : line.substring(comment)
+        const replaced = code.replace(INPUT_PATTERN, (match, command, argument) => {
+            const path = resolveInput(argument.trim())
+            if (!path) return match
+            inlined.add(path)
+            const content = flattenInputs(readSource(path), context, depth + 1)
+            const block = `\n${markers ? `% ---- ${path} ----\n` : ''}${content}\n`
+            return command === 'include' ? `\\clearpage${block}\\clearpage\n` : block
+        })
+        return replaced + rest
+    })
+}
+
+/**
+ * Zip the sources of the last build of a project
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {string} options.projectPath - Project directory (tells sources from generated files)
+ * @param {string} options.rootFile - Project-relative main document
+ * @param {string} [options.jobname] - Jobname of the build profile
+ * @param {string} [options.macros] - Profile macros, written at the top of the main document
+ * @param {string} [options.engine] - Recorded in the manifest
+ * @param {boolean} [options.flatten] - Inline \input/\include into the main document
+ * @param {boolean} [options.stripComments] - Remove % comments from .tex files
+ * @returns {Promise<Object>} `{ success, zip, filename, manifest }` or `{ success: false, error }`
+ */
+export async function buildSubmissionBundle(options) {
+    const { projectId, projectPath, rootFile, jobname: profileJobname, macros, engine, flatten = false, stripComments = false } = options
+    const { workDir, buildDir, jobname, texFile } = getBuildPaths(projectId, rootFile, profileJobname)
+    const flsFile = join(buildDir, `${jobname}.fls`)
+
+    if (!existsSync(flsFile)) {
+        return { success: false, error: 'No file list from the last build. Compile the project and try again.' }
+    }
+
+    const rootRel = relative(workDir, texFile).replace(/\\/g, '/')
+    const inputs = readRecordedInputs(flsFile, workDir, projectPath)
+    if (!inputs.includes(rootRel)) inputs.unshift(rootRel)
+
+    const bundled = new Set(inputs)
+    const isTex = (path) => extname(path).toLowerCase() === '.tex'
+    const readSource = (path) => {
+        const source = readFileSync(join(workDir, path), 'utf-8')
+        return stripComments ? stripTexComments(source) : source
+    }
+
+    // \input paths are relative to the directory TeX ran in; `.tex` may be left out
+    const resolveInput = (argument) => {
+        for (const candidate of [argument, `${argument}.tex`]) {
+            const path = relative(workDir, resolvePath(buildDir, candidate)).replace(/\\/g, '/')
+            if (bundled.has(path) && isTex(path)) return path
+        }
+        return null
+    }
+
+    const files = new Map() // bundle path -> content
+    const inlined = new Set([rootRel])
+    let root = readSource(rootRel)
+    if (flatten) root = flattenInputs(root, { resolveInput, readSource, inlined, markers: !stripComments })
+    // Profile macros are passed on the command line here; a submission has to carry them itself
+    if (macros) root = `${macros}\n${root}`
+    files.set(rootRel, root)
+
+    for (const path of inputs) {
+        if (path === rootRel || (flatten && inlined.has(path))) continue
+        files.set(path, isTex(path) ? readSource(path) : readFileSync(join(workDir, path)))
+    }
+
+    // The bibliography is generated, but journals want it instead of running BibTeX/Biber
+    // (named after the main document, as that is what the submission system will compile)
+    const bblFile = join(buildDir, `${jobname}.bbl`)
+    if (existsSync(bblFile)) {
+        const bblPath = relative(workDir, join(buildDir, `${basename(rootRel, '.tex')}.bbl`)).replace(/\\/g, '/')
+        files.set(bblPath, readFileSync(bblFile))
+    }
+
+    const manifest = {
+        project: projectId,
+        rootFile: rootRel,
+        engine: engine || null,
+        createdAt: new Date().toISOString(),
+        flattened: flatten,
+        commentsStripped: stripComments,
+        files: Array.from(files.entries()).map(([path, content]) => {
+            const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8')
+            return { path, size: buffer.length, sha1: crypto.createHash('sha1').update(buffer).digest('hex') }
+        })
+    }
+
+    const zip = new JSZip()
+    for (const [path, content] of files) zip.file(path, content)
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2))
+
+    console.log(`[Submission] Bundled ${files.size} files for ${projectId}${flatten ? ' (flattened)' : ''}${stripComments ? ' (comments stripped)' : ''}`)
+    return {
+        success: true,
+        zip: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+        filename: `${basename(rootRel, '.tex')}-submission.zip`,
+        manifest
+    }
+}
+
+export default { buildSubmissionBundle, stripTexComments }
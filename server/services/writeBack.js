@@ -0,0 +1,116 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
+import { join, dirname, resolve as resolvePath } from 'path'
+import { recordFlushed, isFlushed } from './docStore.js'
+
+/**
+ * Write-back of a collaborative document to its project files.
+ *
+ * Every path is tracked on its own: a change marks it dirty and (re)starts its timer,
+ * so edits to several files within the delay are all written. Paths are checked before
+ * anything is written, since document keys come from clients.
+ */
+
+const WRITE_BACK_DELAY = parseInt(process.env.YJS_WRITE_DELAY) || 2000
+
+// Text files kept in the shared document (same list as the initial load)
+export const TEXT_FILE_PATTERN = /\.(tex|bib|cls|sty|txt|md|json)$/i
+
+/**
+ * Whether a document key can be written as a file of the project. Hidden files and folders
+ * never are: `.project.json` holds settings only the owner may change.
+ */
+export function isWritablePath(projectPath, path) {
+    if (typeof path !== 'string' || !TEXT_FILE_PATTERN.test(path)) return false
+    if (path.split('/').some(part => part === '' || part.startsWith('.'))) return false
+    return resolvePath(projectPath, path).startsWith(projectPath + '/')
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {string} options.projectPath - Project directory
+ * @param {Function} options.getContent - `(path) => string`, current text of a path
+ * @returns {Object} `{ markDirty, adopt, flush, flushAll, discard, cancel, dirty }`
+ */
+export function createWriteBack({ projectId, projectPath, getContent }) {
+    const timers = new Map() // Map<path, timeout> of dirty paths
+    // Paths that appeared after the load: not written while the file on disk has content
+    // the document never had (a file uploaded meanwhile must not be replaced by a blank text)
+    const adopted = new Set()
+
+    function write(path) {
+        clearTimeout(timers.get(path))
+        timers.delete(path)
+
+        const filePath = join(projectPath, path)
+        const content = getContent(path)
+        try {
+            // Only folders inside the project are created: a missing project was deleted
+            if (!existsSync(projectPath)) {
+                console.warn(`[WriteBack] Not saving ${path}: project ${projectId} no longer exists`)
+                return
+            }
+            if (adopted.has(path) && existsSync(filePath)) {
+                const onDisk = readFileSync(filePath, 'utf-8')
+                if (onDisk && onDisk !== content && !isFlushed(projectId, path, onDisk)) {
+                    console.warn(`[WriteBack] Not saving ${path} in ${projectId}: the file on disk has other content`)
+                    return
+                }
+            }
+            mkdirSync(dirname(filePath), { recursive: true })
+            writeFileSync(filePath, content, 'utf-8')
+            recordFlushed(projectId, [[path, content]])
+            adopted.delete(path)
+        } catch (err) {
+            console.error(`[WriteBack] Error saving ${path} in ${projectId}:`, err.message)
+        }
+    }
+
+    return {
+        /**
+         * Schedule a write of a changed path
+         */
+        markDirty(path) {
+            clearTimeout(timers.get(path))
+            timers.set(path, setTimeout(() => write(path), WRITE_BACK_DELAY))
+        },
+        /**
+         * Track a path that was not part of the initial load
+         */
+        adopt(path) {
+            adopted.add(path)
+        },
+        /**
+         * Write a path now if it has pending changes
+         */
+        flush(path) {
+            if (timers.has(path)) write(path)
+        },
+        /**
+         * Write every dirty path now
+         */
+        flushAll() {
+            for (const path of [...timers.keys()]) write(path)
+        },
+        /**
+         * Drop the pending write of a path (the file was written, deleted or moved by the server)
+         */
+        discard(path) {
+            clearTimeout(timers.get(path))
+            timers.delete(path)
+            adopted.delete(path)
+        },
+        /**
+         * Drop pending writes (document unloaded without its project)
+         */
+        cancel() {
+            timers.forEach(timer => clearTimeout(timer))
+            timers.clear()
+        },
+        get dirty() {
+            return [...timers.keys()]
+        }
+    }
+}
+
+export default { createWriteBack, isWritablePath, TEXT_FILE_PATTERN }
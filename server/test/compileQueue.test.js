@@ -0,0 +1,109 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+// One worker, so the order builds start in is fully determined by the queue
+process.env.COMPILE_WORKERS = '1'
+const { enqueueCompile, getJob, getJobStatus, cancelJob } = await import('../services/compileQueue.js')
+
+// Finished jobs are dropped after a timeout; mocked so it can be skipped over
+mock.timers.enable({ apis: ['setTimeout'] })
+
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+/**
+ * Build stub that waits until the test releases it
+ */
+function createBuilds() {
+    const started = []
+    const releases = new Map()
+    const build = (name) => () => {
+        started.push(name)
+        return new Promise(resolve => releases.set(name, resolve))
+    }
+    const finish = async (name) => {
+        releases.get(name)({ success: true, name })
+        await settle()
+    }
+    return { started, build, finish }
+}
+
+test('users take turns once a worker frees up', async () => {
+    const { started, build, finish } = createBuilds()
+    enqueueCompile({ projectId: 'fair-a1', userKey: 'alice', run: build('a1') })
+    enqueueCompile({ projectId: 'fair-a2', userKey: 'alice', run: build('a2') })
+    enqueueCompile({ projectId: 'fair-a3', userKey: 'alice', run: build('a3') })
+    enqueueCompile({ projectId: 'fair-b1', userKey: 'bob', run: build('b1') })
+
+    await finish('a1')
+    await finish('b1')
+    await finish('a2')
+    await finish('a3')
+    assert.deepEqual(started, ['a1', 'b1', 'a2', 'a3'])
+})
+
+test('requests for a queued target are merged, the latest build wins', async () => {
+    const { started, build, finish } = createBuilds()
+    enqueueCompile({ projectId: 'merge-busy', userKey: 'u', run: build('busy') })
+    const first = enqueueCompile({ projectId: 'merge-p', target: 'main', userKey: 'u', run: build('first') })
+    const second = enqueueCompile({ projectId: 'merge-p', target: 'main', userKey: 'u', jobId: 'merged-request-1', run: build('second') })
+    const other = enqueueCompile({ projectId: 'merge-p', target: 'slides', userKey: 'u', run: build('slides') })
+
+    assert.equal(second.id, first.id)
+    assert.equal(second.coalesced, true)
+    assert.notEqual(other.id, first.id)
+    assert.equal(getJob('merged-request-1').id, first.id)
+
+    await finish('busy')
+    await finish('second')
+    await finish('slides')
+    assert.deepEqual(started, ['busy', 'second', 'slides'])
+    assert.equal((await first.promise).name, 'second')
+})
+
+test('a client job id that is already taken is not reused', async () => {
+    const { build, finish } = createBuilds()
+    const victim = enqueueCompile({ projectId: 'ids-victim', userKey: 'v', jobId: 'victim-job-1', run: build('victim') })
+    const queued = enqueueCompile({ projectId: 'ids-queued', userKey: 'v', jobId: 'queued-job-1', run: build('queued') })
+    enqueueCompile({ projectId: 'ids-queued', userKey: 'v', jobId: 'merged-job-1', run: build('queued') })
+
+    // Same ids again: as a new job, as a request merged into a queued one, and an alias
+    const reused = enqueueCompile({ projectId: 'ids-other', userKey: 'x', jobId: 'victim-job-1', run: build('other') })
+    enqueueCompile({ projectId: 'ids-queued', userKey: 'x', jobId: 'victim-job-1', run: build('queued') })
+    const aliased = enqueueCompile({ projectId: 'ids-third', userKey: 'x', jobId: 'merged-job-1', run: build('third') })
+
+    assert.equal(victim.id, 'victim-job-1')
+    assert.notEqual(reused.id, 'victim-job-1')
+    assert.notEqual(aliased.id, 'merged-job-1')
+    assert.equal(getJob('victim-job-1'), getJob(victim.id))
+    assert.equal(getJob('merged-job-1').id, queued.id)
+
+    // Users alternate: x's first job starts before v's second
+    await finish('victim')
+    await finish('other')
+    await finish('queued')
+    await finish('third')
+})
+
+test('cancelling a queued job settles it without running it', async () => {
+    const { started, build, finish } = createBuilds()
+    enqueueCompile({ projectId: 'cancel-busy', userKey: 'u', run: build('busy') })
+    const waiting = enqueueCompile({ projectId: 'cancel-p', userKey: 'u', run: build('waiting') })
+
+    assert.equal(getJobStatus(waiting.id).position, 1)
+    assert.equal(cancelJob(waiting.id), true)
+    assert.equal((await waiting.promise).cancelled, true)
+    assert.equal(cancelJob(waiting.id), false)
+
+    await finish('busy')
+    assert.deepEqual(started, ['busy'])
+})
+
+test('finished jobs stay queryable for a while, then are forgotten', async () => {
+    const { build, finish } = createBuilds()
+    const job = enqueueCompile({ projectId: 'ttl-p', userKey: 'u', jobId: 'ttl-job-1', run: build('ttl') })
+    await finish('ttl')
+    assert.equal(getJobStatus('ttl-job-1').state, 'done')
+
+    mock.timers.tick(60 * 1000)
+    assert.equal(getJob(job.id), null)
+})
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, existsSync, appendFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import * as Y from 'yjs'
+
+const STORE_DIR = mkdtempSync(join(tmpdir(), 'yjs-store-'))
+process.env.YJS_STORE_DIR = STORE_DIR
+const { restoreDoc, appendUpdate, compactStore, recordFlushed, isFlushed, deleteDocStore, releaseDocStore } = await import('../services/docStore.js')
+
+after(() => rmSync(STORE_DIR, { recursive: true, force: true }))
+
+/**
+ * Document whose updates are appended to the store, as projectDocuments does
+ */
+function createStoredDoc(projectId) {
+    const doc = new Y.Doc()
+    doc.on('update', update => appendUpdate(projectId, update))
+    return doc
+}
+
+function restore(projectId) {
+    releaseDocStore(projectId)
+    const doc = new Y.Doc()
+    const restored = restoreDoc(projectId, doc, 'test')
+    return { doc, restored }
+}
+
+test('edits survive a restart', () => {
+    const doc = createStoredDoc('restart')
+    doc.getText('main.tex').insert(0, 'Hello')
+    doc.getText('main.tex').insert(5, ' world')
+
+    const { doc: copy, restored } = restore('restart')
+    assert.equal(restored, true)
+    assert.equal(copy.getText('main.tex').toString(), 'Hello world')
+})
+
+test('a project without stored state restores nothing', () => {
+    assert.equal(restore('empty').restored, false)
+})
+
+test('compaction keeps the content and later updates', () => {
+    const doc = createStoredDoc('compact')
+    doc.getText('main.tex').insert(0, 'abc')
+    compactStore('compact')
+    assert.equal(existsSync(join(STORE_DIR, 'compact', 'updates.bin')), false)
+    doc.getText('main.tex').insert(3, 'def')
+
+    assert.equal(restore('compact').doc.getText('main.tex').toString(), 'abcdef')
+})
+
+test('a torn last update is ignored', () => {
+    const doc = createStoredDoc('torn')
+    doc.getText('main.tex').insert(0, 'kept')
+    // Length prefix of 100 bytes followed by only 2 (crash during the append)
+    appendFileSync(join(STORE_DIR, 'torn', 'updates.bin'), Buffer.from([0, 0, 0, 100, 1, 2]))
+
+    assert.equal(restore('torn').doc.getText('main.tex').toString(), 'kept')
+})
+
+test('flushed content is remembered across restarts', () => {
+    recordFlushed('flushed', [['main.tex', 'one'], ['refs.bib', '@book{}']])
+    releaseDocStore('flushed')
+    restoreDoc('flushed', new Y.Doc(), 'test')
+
+    assert.equal(isFlushed('flushed', 'main.tex', 'one'), true)
+    assert.equal(isFlushed('flushed', 'main.tex', 'changed on disk'), false)
+    assert.equal(isFlushed('flushed', 'other.tex', 'one'), false)
+})
+
+test('deleting a store removes its state', () => {
+    const doc = createStoredDoc('deleted')
+    doc.getText('main.tex').insert(0, 'gone')
+    deleteDocStore('deleted')
+
+    assert.equal(existsSync(join(STORE_DIR, 'deleted')), false)
+    assert.equal(restore('deleted').restored, false)
+})
+
+test('project ids cannot leave the store directory', () => {
+    assert.throws(() => appendUpdate('../escape', new Uint8Array([0, 0])), /Invalid project id/)
+})
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseLatexLog } from '../services/logParser.js'
+
+const log = [
+    'This is pdfTeX, Version 3.141592653-2.6-1.40.25',
+    '(./main.tex',
+    'LaTeX2e <2023-11-01>',
+    '(./chapters/intro.tex',
+    'Overfull \\hbox (12.0pt too wide) in paragraph at lines 10--12',
+    '[]\\T1/cmr/m/n/10 Some text (with a bracket',
+    ' []',
+    '',
+    ')',
+    'Package hyperref Warning: Token not allowed in a PDF string on input line 20.',
+    '',
+    '(./chapters/results.tex',
+    'Underfull \\vbox (badness 10000) has occurred while \\output is active []',
+    ')',
+    'Package natbib Warning: Citation `smith` on page 3 undefined on input line 42.',
+    '',
+    ')'
+].join('\n')
+
+test('bad boxes are attributed to the open file', () => {
+    const boxes = parseLatexLog(log).filter(e => e.category === 'badbox')
+    assert.deepEqual(boxes.map(e => [e.file, e.line]), [['chapters/intro.tex', 10], ['chapters/results.tex', null]])
+})
+
+test('the box display is skipped but file closers and warnings after it are not', () => {
+    const entries = parseLatexLog(log)
+    const hyperref = entries.find(e => e.message.startsWith('Package hyperref'))
+    assert.ok(hyperref, 'warning after an overfull box is reported')
+    assert.equal(hyperref.file, 'main.tex')
+    assert.equal(hyperref.line, 20)
+
+    const citation = entries.find(e => e.category === 'citation')
+    assert.ok(citation, 'warning right after an underfull box is reported')
+    assert.equal(citation.file, 'main.tex')
+    assert.equal(citation.line, 42)
+})
+
+test('the box display is kept in the raw text', () => {
+    const [box] = parseLatexLog(log).filter(e => e.category === 'badbox')
+    assert.equal(box.raw.split('\n').length, 3)
+})
+
+test('errors carry the file and line of -file-line-error output', () => {
+    const [error] = parseLatexLog('./chapters/intro.tex:7: Undefined control sequence.\nl.7 \\foo\n')
+    assert.equal(error.severity, 'error')
+    assert.equal(error.file, 'chapters/intro.tex')
+    assert.equal(error.line, 7)
+})
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { tmpdir } from 'os'
+
+// The direct backend runs everywhere; small output cap so the test stays fast
+process.env.LATEX_SANDBOX = 'direct'
+process.env.LATEX_MAX_OUTPUT = String(64 * 1024)
+process.env.RUNNER_TEST_SECRET = 'server-only'
+const { runSandboxed, describeLimit, commandExists } = await import('../services/runner.js')
+
+const cwd = tmpdir()
+
+test('commands run with their output collected', async () => {
+    const chunks = []
+    const result = await runSandboxed('sh', ['-c', 'echo out; echo err >&2; exit 3'], { cwd, onOutput: text => chunks.push(text) })
+    assert.equal(result.code, 3)
+    assert.equal(result.stdout, 'out\n')
+    assert.equal(result.stderr, 'err\n')
+    assert.equal(result.limit, null)
+    assert.match(chunks.join(''), /out/)
+})
+
+test('the server environment is not passed on', async () => {
+    const result = await runSandboxed('sh', ['-c', 'echo "[$RUNNER_TEST_SECRET] $openout_any $shell_escape"'], { cwd })
+    assert.equal(result.stdout, '[] p f\n')
+})
+
+test('shell escape is only enabled on request', async () => {
+    const result = await runSandboxed('sh', ['-c', 'echo $shell_escape'], { cwd, shellEscape: true })
+    assert.equal(result.stdout, 't\n')
+})
+
+test('a run over its time limit is killed', async () => {
+    const result = await runSandboxed('sleep', ['10'], { cwd, timeout: 200 })
+    assert.equal(result.limit, 'timeout')
+    assert.match(describeLimit(result, 200), /timed out/)
+})
+
+test('a run printing too much is killed', async () => {
+    const result = await runSandboxed('yes', [], { cwd })
+    assert.equal(result.limit, 'output')
+})
+
+test('an aborted run is killed, one aborted before it starts never runs', async () => {
+    const controller = new AbortController()
+    const running = runSandboxed('sleep', ['10'], { cwd, signal: controller.signal })
+    setTimeout(() => controller.abort(), 100)
+    assert.equal((await running).limit, 'cancelled')
+
+    const result = await runSandboxed('sh', ['-c', 'echo ran'], { cwd, signal: controller.signal })
+    assert.equal(result.limit, 'cancelled')
+    assert.equal(result.stdout, '')
+})
+
+test('a missing command is reported instead of thrown', async () => {
+    assert.equal(commandExists('no-such-tex-engine'), false)
+    const result = await runSandboxed('no-such-tex-engine', [], { cwd })
+    assert.equal(result.code, -1)
+    assert.match(result.stderr, /not installed/)
+})
+
+test('runs that were not limited have no limit message', () => {
+    assert.equal(describeLimit({ limit: null }), null)
+    assert.equal(describeLimit({ limit: 'cancelled' }), 'Compilation cancelled.')
+})
@@ -0,0 +1,43 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+// bubblewrap isolation; skipped on hosts where it cannot run
+process.env.LATEX_SANDBOX = 'auto'
+const { runSandboxed, getSandboxBackend } = await import('../services/runner.js')
+const skip = getSandboxBackend() !== 'bwrap' && 'bubblewrap is not usable on this host'
+
+// Same layout as the server's temp/: one directory per build, render or export
+const TEMP_DIR = mkdtempSync(join(tmpdir(), 'sandbox-temp-'))
+const ownDir = join(TEMP_DIR, 'render-own')
+const siblingDir = join(TEMP_DIR, 'build-other')
+mkdirSync(ownDir)
+mkdirSync(siblingDir)
+writeFileSync(join(ownDir, 'fragment.tex'), 'own')
+writeFileSync(join(siblingDir, 'output.pdf'), 'someone else\'s build')
+
+after(() => rmSync(TEMP_DIR, { recursive: true, force: true }))
+
+const run = (script) => runSandboxed('sh', ['-c', script], { cwd: ownDir, writableDir: ownDir, hiddenPaths: [TEMP_DIR] })
+
+test('other directories in temp/ cannot be read', { skip }, async () => {
+    const result = await run(`cat ${join(siblingDir, 'output.pdf')}`)
+    assert.notEqual(result.code, 0)
+    assert.equal(result.stdout, '')
+})
+
+test('the writable directory stays reachable inside the hidden temp/', { skip }, async () => {
+    const result = await run('cat fragment.tex && echo out > fragment.pdf && cat fragment.pdf')
+    assert.equal(result.code, 0)
+    assert.equal(result.stdout, 'ownout\n')
+})
+
+test('cache directories are writable and kept across runs', { skip }, async () => {
+    const cacheDir = join(TEMP_DIR, 'tool-cache')
+    const options = { cwd: ownDir, writableDir: ownDir, cacheDirs: [cacheDir], hiddenPaths: [TEMP_DIR] }
+    await runSandboxed('sh', ['-c', `echo bundle > ${join(cacheDir, 'bundle')}`], options)
+    const result = await runSandboxed('cat', [join(cacheDir, 'bundle')], options)
+    assert.equal(result.stdout, 'bundle\n')
+})
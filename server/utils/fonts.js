@@ -0,0 +1,148 @@
+import { openSync, readSync, closeSync, readdirSync, statSync } from 'fs'
+import { join, extname } from 'path'
+
+/**
+ * Project fonts: family names from the sfnt `name` table of TrueType/OpenType files,
+ * and the `fonts/` folders XeLaTeX and LuaLaTeX get on their font path.
+ */
+
+export const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.otc']
+
+// Parsed names by path, reused while size and mtime stay the same
+const nameCache = new Map()
+
+function readBytes(fd, position, length) {
+    const buffer = Buffer.alloc(length)
+    const read = readSync(fd, buffer, 0, length, position)
+    return buffer.subarray(0, read)
+}
+
+function decodeName(buffer, platformId) {
+    // Windows and Unicode platforms use UTF-16BE, Macintosh names are single-byte
+    if (platformId === 0 || platformId === 3) {
+        const swapped = Buffer.from(buffer)
+        swapped.swap16()
+        return swapped.toString('utf16le')
+    }
+    return buffer.toString('latin1')
+}
+
+/**
+ * Read the name table of the font at `offset` (0, or a font inside a collection)
+ */
+function readNameTable(fd, offset) {
+    const header = readBytes(fd, offset, 12)
+    if (header.length < 12) return null
+    const numTables = header.readUInt16BE(4)
+    const records = readBytes(fd, offset + 12, numTables * 16)
+
+    for (let i = 0; i + 16 <= records.length; i += 16) {
+        if (records.toString('latin1', i, i + 4) !== 'name') continue
+        const tableOffset = records.readUInt32BE(i + 8)
+        const tableLength = records.readUInt32BE(i + 12)
+        const table = readBytes(fd, tableOffset, Math.min(tableLength, 256 * 1024))
+        if (table.length < 6) return null
+
+        const count = table.readUInt16BE(2)
+        const stringOffset = table.readUInt16BE(4)
+        const names = {}
+        for (let r = 0; r < count && 6 + r * 12 + 12 <= table.length; r++) {
+            const base = 6 + r * 12
+            const platformId = table.readUInt16BE(base)
+            const languageId = table.readUInt16BE(base + 4)
+            const nameId = table.readUInt16BE(base + 6)
+            const length = table.readUInt16BE(base + 8)
+            const start = stringOffset + table.readUInt16BE(base + 10)
+            if (![1, 2, 16, 17].includes(nameId) || start + length > table.length) continue
+
+            // Prefer English Windows names, then anything else
+            const rank = platformId === 3 && languageId === 0x409 ? 2 : (platformId === 3 || platformId === 0 ? 1 : 0)
+            if (names[nameId] && names[nameId].rank >= rank) continue
+            names[nameId] = { rank, value: decodeName(table.subarray(start, start + length), platformId).trim() }
+        }
+
+        // 16/17 are the typographic family/style, 1/2 the legacy four-style grouping
+        const family = (names[16] || names[1])?.value
+        const style = (names[17] || names[2])?.value
+        return family ? { family, style: style || null } : null
+    }
+    return null
+}
+
+/**
+ * Family and style of a font file
+ * @param {string} filePath
+ * @returns {Object|null} `{ family, style }`, null when the file is not a readable sfnt font
+ */
+export function readFontNames(filePath) {
+    if (!FONT_EXTENSIONS.includes(extname(filePath).toLowerCase())) return null
+
+    let stats
+    try {
+        stats = statSync(filePath)
+    } catch (e) {
+        return null
+    }
+    const cached = nameCache.get(filePath)
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) return cached.names
+
+    let names = null
+    let fd = null
+    try {
+        fd = openSync(filePath, 'r')
+        const tag = readBytes(fd, 0, 16)
+        if (tag.toString('latin1', 0, 4) === 'ttcf') {
+            // Collections: the names of the first font
+            names = tag.length >= 16 ? readNameTable(fd, tag.readUInt32BE(12)) : null
+        } else {
+            names = readNameTable(fd, 0)
+        }
+    } catch (e) {
+        console.error(`[Fonts] Could not read ${filePath}:`, e.message)
+    } finally {
+        if (fd !== null) closeSync(fd)
+    }
+
+    nameCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, names })
+    return names
+}
+
+/**
+ * Every folder named `fonts` in a directory tree (dot folders are skipped)
+ * @returns {string[]} absolute paths
+ */
+export function findFontDirs(dir) {
+    const found = []
+    const walk = (current) => {
+        for (const item of readdirSync(current)) {
+            if (item.startsWith('.')) continue
+            const fullPath = join(current, item)
+            if (!statSync(fullPath).isDirectory()) continue
+            if (item.toLowerCase() === 'fonts') found.push(fullPath)
+            walk(fullPath)
+        }
+    }
+    walk(dir)
+    return found
+}
+
+// fontspec: 'The font "X" cannot be found.'; XeTeX/LuaTeX: 'Font \x=X at 10pt not loadable: ...'
+const MISSING_FONT = /The font "([^"]+)" cannot be found|Font \\[^=\s]+=(.+?) not loadable/
+
+/**
+ * Advice for a log message about a font the engine could not find
+ * @param {string} message
+ * @param {boolean} projectFonts - Whether the engine gets the project's font folders
+ * @returns {string|null}
+ */
+export function getMissingFontHint(message, projectFonts) {
+    const match = message.match(MISSING_FONT)
+    if (!match) return null
+    const font = (match[1] || match[2]).replace(/^"|"$/g, '').replace(/( at [\d.]+pt)$/, '')
+    if (!projectFonts) {
+        return `Fonts uploaded to the project are only used by XeLaTeX and LuaLaTeX; switch the engine to use "${font}".`
+    }
+    return `Upload the .ttf/.otf files of "${font}" to a fonts/ folder in the project, or use the family name the file tree shows next to an uploaded font.`
+}
+
+export default { FONT_EXTENSIONS, readFontNames, findFontDirs, getMissingFontHint }
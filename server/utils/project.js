@@ -1,5 +1,5 @@
-import { existsSync, readdirSync, statSync, readFileSync, mkdirSync, writeFileSync } from 'fs'
-import { join, dirname } from 'path'
+import { existsSync, readdirSync, statSync, readFileSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { join, dirname, posix, relative, sep } from 'path'
 import { fileURLToPath } from 'url'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -8,6 +8,9 @@ const __dirname = dirname(__filename)
 const PROJECTS_DIR = join(__dirname, '../../projects')
 const SHARES_DIR = join(PROJECTS_DIR, '.shares')
 
+// Root document used when a project does not configure one
+export const DEFAULT_ROOT_FILE = 'main.tex'
+
 // Ensure shares directory exists
 if (!existsSync(SHARES_DIR)) {
     mkdirSync(SHARES_DIR, { recursive: true })
@@ -88,6 +91,15 @@ export const registerShareMapping = (shareId, projectId, ownerId, level = 'view'
     writeFileSync(sharePath, JSON.stringify({ projectId, ownerId, level }, null, 2))
 }
 
+/**
+ * Remove a shareId mapping (the link stops working)
+ */
+export const removeShareMapping = (shareId) => {
+    if (!shareId) return
+    const sharePath = join(SHARES_DIR, `${shareId}.json`)
+    if (sharePath.startsWith(SHARES_DIR + '/')) rmSync(sharePath, { force: true })
+}
+
 /**
  * Get project path with permission check
  * @param {Object} user - Authenticated user object (req.user)
@@ -131,7 +143,7 @@ export const getProjectWithAuth = (user, projectId, requiredPermission = 'view',
     }
 
     const isOwner = ownerId === userId
-    const collaborator = metadata.collaborators?.find(c => c.email === user.email)
+    const collaborator = user?.email ? metadata.collaborators?.find(c => c.email === user.email) : null
     const shareLevel = (info && info.isSharedLink) ? info.level : null
 
     // Resolve actually granted permission
@@ -167,4 +179,37 @@ export const getProjectWithAuth = (user, projectId, requiredPermission = 'view',
     }
 }
 
-export default { findProjectInfo, findProjectByShareId, registerShareMapping, getProjectWithAuth }
+/**
+ * Whether a project-relative path is or lies in a hidden file or folder (`.project.json`, `.git`)
+ */
+export const isHiddenPath = (path) => path.replace(/\\/g, '/').split('/').some(part => part.startsWith('.'))
+
+/**
+ * Absolute path of a project file the file API may touch, or null. Paths outside the project
+ * and hidden files are refused: `.project.json` holds the sharing and owner-only build settings.
+ */
+export const resolveProjectPath = (projectPath, filename) => {
+    if (typeof filename !== 'string') return null
+    const filePath = join(projectPath, filename)
+    if (!filePath.startsWith(projectPath + sep)) return null
+    if (isHiddenPath(relative(projectPath, filePath))) return null
+    return filePath
+}
+
+/**
+ * Validate a project-relative path to a root document.
+ * @returns {string|null} the normalized path, or null when it is not a .tex file inside the project
+ */
+export const normalizeRootFile = (rootFile) => {
+    if (typeof rootFile !== 'string' || !rootFile.trim()) return null
+    const clean = posix.normalize(rootFile.trim().replace(/\\/g, '/')).replace(/^\.\//, '')
+    if (clean.startsWith('/') || clean.startsWith('..') || !clean.toLowerCase().endsWith('.tex')) return null
+    return clean
+}
+
+/**
+ * Root document of a project, from its metadata
+ */
+export const getRootFile = (metadata) => normalizeRootFile(metadata?.rootFile) || DEFAULT_ROOT_FILE
+
+export default { findProjectInfo, findProjectByShareId, registerShareMapping, removeShareMapping, getProjectWithAuth, isHiddenPath, resolveProjectPath, normalizeRootFile, getRootFile }